@@ -0,0 +1 @@
+import{S as e,i as t,s as a,N as l,e as n,k as s,l as i,a as o,c,b as r,m as u,o as h,d as f,f as g,g as m,O as d,h as p,j as $,p as w,P as b,Q as y,L as v,R as x,r as k,u as E,v as z,B as T,T as _,U as N,F as A,E as I,x as j,V as P,W as O,X as S,w as U,D as B}from"./client.46811942.js";import{d as F,s as G}from"./Head.e502e17e.js";import{P as M}from"./Picture.c42287bf.js";function D(e){let t,a,l,T,_,N,A,I,j,P,O,S,U,B,F,G,D,X,C,H=e[8].caption+"",K=e[6]("lightbox_position",{index:e[1]+1,count:e[0].length})+"";l=new M({props:{image:e[7],alt:e[8].alt,sizes:e[9]+"px"}});let L=e[0].length>1&&R(e);return{c(){t=n("div"),a=n("figure"),s(l.$$.fragment),T=i(),_=n("figcaption"),N=n("span"),A=o(H),I=i(),j=n("span"),P=o(K),O=i(),L&&L.c(),S=i(),U=n("button"),B=o("×"),this.h()},l(e){t=c(e,"DIV",{class:!0,role:!0,"aria-modal":!0,"aria-label":!0});var n=r(t);a=c(n,"FIGURE",{style:!0,class:!0});var s=r(a);u(l.$$.fragment,s),T=h(s),_=c(s,"FIGCAPTION",{class:!0});var i=r(_);N=c(i,"SPAN",{});var o=r(N);A=f(o,H),o.forEach(g),I=h(i),j=c(i,"SPAN",{"aria-live":!0});var m=r(j);P=f(m,K),m.forEach(g),i.forEach(g),s.forEach(g),O=h(n),L&&L.l(n),S=h(n),U=c(n,"BUTTON",{class:!0,"aria-label":!0});var d=r(U);B=f(d,"×"),d.forEach(g),n.forEach(g),this.h()},h(){m(j,"aria-live","polite"),m(_,"class","svelte-okuiww"),d(a,"width",e[9]+"px"),m(a,"class","svelte-okuiww"),m(U,"class","close svelte-okuiww"),m(U,"aria-label",F=e[6]("lightbox_close")),m(t,"class","lightbox svelte-okuiww"),m(t,"role","dialog"),m(t,"aria-modal","true"),m(t,"aria-label",G=e[6]("lightbox_label"))},m(n,s){p(n,t,s),$(t,a),w(l,a,null),$(a,T),$(a,_),$(_,N),$(N,A),$(_,I),$(_,j),$(j,P),$(t,O),L&&L.m(t,null),$(t,S),$(t,U),$(U,B),e[21](U),e[22](t),D=!0,X||(C=[b(U,"click",e[12]),b(t,"click",y(e[12])),b(t,"touchstart",e[16]),b(t,"touchend",e[17])],X=!0)},p(e,n){const s={};128&n&&(s.image=e[7]),256&n&&(s.alt=e[8].alt),512&n&&(s.sizes=e[9]+"px"),l.$set(s),(!D||256&n)&&H!==(H=e[8].caption+"")&&v(A,H),(!D||67&n)&&K!==(K=e[6]("lightbox_position",{index:e[1]+1,count:e[0].length})+"")&&v(P,K),(!D||512&n)&&d(a,"width",e[9]+"px"),e[0].length>1?L?L.p(e,n):(L=R(e),L.c(),L.m(t,S)):L&&(L.d(1),L=null),(!D||64&n&&F!==(F=e[6]("lightbox_close")))&&m(U,"aria-label",F),(!D||64&n&&G!==(G=e[6]("lightbox_label")))&&m(t,"aria-label",G)},i(e){D||(k(l.$$.fragment,e),D=!0)},o(e){E(l.$$.fragment,e),D=!1},d(a){a&&g(t),z(l),L&&L.d(),e[21](null),e[22](null),X=!1,x(C)}}}function R(e){let t,a,l,s,u,d,w,y,v;return{c(){t=n("button"),a=o("‹"),s=i(),u=n("button"),d=o("›"),this.h()},l(e){t=c(e,"BUTTON",{class:!0,"aria-label":!0});var l=r(t);a=f(l,"‹"),l.forEach(g),s=h(e),u=c(e,"BUTTON",{class:!0,"aria-label":!0});var n=r(u);d=f(n,"›"),n.forEach(g),this.h()},h(){m(t,"class","previous svelte-okuiww"),m(t,"aria-label",l=e[6]("lightbox_previous")),m(u,"class","next svelte-okuiww"),m(u,"aria-label",w=e[6]("lightbox_next"))},m(l,n){p(l,t,n),$(t,a),p(l,s,n),p(l,u,n),$(u,d),y||(v=[b(t,"click",e[19]),b(u,"click",e[20])],y=!0)},p(e,a){64&a&&l!==(l=e[6]("lightbox_previous"))&&m(t,"aria-label",l),64&a&&w!==(w=e[6]("lightbox_next"))&&m(u,"aria-label",w)},d(e){e&&g(t),e&&g(s),e&&g(u),y=!1,x(v)}}}function X(e){let t,a,n,s;l(e[18]);let i=e[7]&&D(e);return{c(){i&&i.c(),t=T()},l(e){i&&i.l(e),t=T()},m(l,o){i&&i.m(l,o),p(l,t,o),a=!0,n||(s=[b(window,"hashchange",e[13]),b(window,"keydown",e[14]),b(window,"focusin",e[15]),b(window,"resize",e[18])],n=!0)},p(e,[a]){e[7]?i?(i.p(e,a),128&a&&k(i,1)):(i=D(e),i.c(),k(i,1),i.m(t.parentNode,t)):i&&(_(),E(i,1,1,()=>{i=null}),N())},i(e){a||(k(i),a=!0)},o(e){E(i),a=!1},d(e){i&&i.d(e),e&&g(t),n=!1,x(s)}}}function C(e,t,a){let l,{images:n}=t;const s=A();I(e,s,e=>a(26,l=e));let i,o,c,r,u=null,h=null,f=null;async function g(e){if(e!==u){if(null===u&&(h=document.activeElement),a(1,u=e),null===u)return h&&h!==document.body&&h.focus(),void(h=null);await S(),i.contains(document.activeElement)||o.focus(),function(e){if(e===n[u])return;const t=new Image;t.sizes=v(e)+"px",t.srcset=G(e)}(n[(u+1)%n.length])}}function m(e){const t=(e+n.length)%n.length;history.replaceState(history.state,"",`${location.pathname}${location.search}#image-${t+1}`),g(t)}function d(){history.replaceState(history.state,"",`${location.pathname}${location.search}`),g(null)}function p(){g(function(){const e=/^#image-(\d+)$/.exec(location.hash),t=e?parseInt(e[1],10)-1:-1;return t>=0&&t<n.length?t:null}())}j(p),P(()=>{"undefined"!=typeof document&&(document.body.style.overflow="")});let $,w,b,y,v,x;return e.$set=e=>{"images"in e&&a(0,n=e.images)},e.$$.update=()=>{67108864&e.$$.dirty&&a(25,({lang:$,t:w}=l),$,(a(6,w),a(26,l))),3&e.$$.dirty&&a(7,b=null===u?null:n[u]),33554560&e.$$.dirty&&a(8,y=b&&F(b,$)),48&e.$$.dirty&&a(27,v=e=>Math.floor(Math.min(c,(r-96)/e.ratio))),134217856&e.$$.dirty&&a(9,x=b&&v(b)),128&e.$$.dirty&&"undefined"!=typeof document&&(document.body.style.overflow=b?"hidden":"")},[n,u,i,o,c,r,w,b,y,x,s,m,d,p,function(e){if(null!==u)if("Escape"===e.key)d();else if("ArrowLeft"===e.key)m(u-1);else if("ArrowRight"===e.key)m(u+1);else if("Tab"===e.key){const t=Array.from(i.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])')),a=t[0],l=t[t.length-1];e.shiftKey&&document.activeElement===a?(l.focus(),e.preventDefault()):e.shiftKey||document.activeElement!==l||(a.focus(),e.preventDefault())}},function(e){null===u||i.contains(e.target)||o.focus()},function(e){f=1===e.touches.length?{x:e.touches[0].clientX,y:e.touches[0].clientY}:null},function(e){if(!f)return;const t=e.changedTouches[0].clientX-f.x,a=e.changedTouches[0].clientY-f.y;f=null,Math.abs(t)>50&&Math.abs(t)>Math.abs(a)&&m(u+(t<0?1:-1))},function(){a(4,c=window.innerWidth),a(5,r=window.innerHeight)},()=>m(u-1),()=>m(u+1),function(e){O[e?"unshift":"push"](()=>{o=e,a(3,o)})},function(e){O[e?"unshift":"push"](()=>{i=e,a(2,i)})}]}class H extends e{constructor(e){super(),t(this,e,C,X,a,{images:0})}}function K(e,t,a){const l=e.slice();return l[10]=t[a],l[12]=a,l}function L(e){let t,a,l,d,b,y,x,T,_,N,A=F(e[10],e[3]).caption+"";return l=new M({props:{image:e[10],alt:F(e[10],e[3]).alt,sizes:e[1],lazy:e[2]}}),{c(){t=n("figure"),a=n("a"),s(l.$$.fragment),y=i(),x=n("figcaption"),T=o(A),this.h()},l(e){t=c(e,"FIGURE",{id:!0,class:!0});var n=r(t);a=c(n,"A",{href:!0,title:!0,class:!0});var s=r(a);u(l.$$.fragment,s),s.forEach(g),y=h(n),x=c(n,"FIGCAPTION",{class:!0});var i=r(x);T=f(i,A),i.forEach(g),n.forEach(g),this.h()},h(){m(a,"href",d=e[5]+"#image-"+(e[12]+1)),m(a,"title",b=e[4]("gallery_open")),m(a,"class","svelte-1wonajk"),m(x,"class","svelte-1wonajk"),m(t,"id",_="image-"+(e[12]+1)),m(t,"class","svelte-1wonajk")},m(e,n){p(e,t,n),$(t,a),w(l,a,null),$(t,y),$(t,x),$(x,T),N=!0},p(e,t){const n={};1&t&&(n.image=e[10]),9&t&&(n.alt=F(e[10],e[3]).alt),2&t&&(n.sizes=e[1]),4&t&&(n.lazy=e[2]),l.$set(n),(!N||32&t&&d!==(d=e[5]+"#image-"+(e[12]+1)))&&m(a,"href",d),(!N||16&t&&b!==(b=e[4]("gallery_open")))&&m(a,"title",b),(!N||9&t)&&A!==(A=F(e[10],e[3]).caption+"")&&v(T,A)},i(e){N||(k(l.$$.fragment,e),N=!0)},o(e){E(l.$$.fragment,e),N=!1},d(e){e&&g(t),z(l)}}}function V(e){let t,a,l,n=e[0],o=[];for(let t=0;t<n.length;t+=1)o[t]=L(K(e,n,t));const c=e=>E(o[e],1,1,()=>{o[e]=null});return a=new H({props:{images:e[0]}}),{c(){for(let e=0;e<o.length;e+=1)o[e].c();t=i(),s(a.$$.fragment)},l(e){for(let t=0;t<o.length;t+=1)o[t].l(e);t=h(e),u(a.$$.fragment,e)},m(e,n){for(let t=0;t<o.length;t+=1)o[t].m(e,n);p(e,t,n),w(a,e,n),l=!0},p(e,[l]){if(63&l){let a;for(n=e[0],a=0;a<n.length;a+=1){const s=K(e,n,a);o[a]?(o[a].p(s,l),k(o[a],1)):(o[a]=L(s),o[a].c(),k(o[a],1),o[a].m(t.parentNode,t))}for(_(),a=n.length;a<o.length;a+=1)c(a);N()}const s={};1&l&&(s.images=e[0]),a.$set(s)},i(e){if(!l){for(let e=0;e<n.length;e+=1)k(o[e]);k(a.$$.fragment,e),l=!0}},o(e){o=o.filter(Boolean);for(let e=0;e<o.length;e+=1)E(o[e]);E(a.$$.fragment,e),l=!1},d(e){U(o,e),e&&g(t),z(a,e)}}}function W(e,t,a){let l,n,{images:s}=t,{sizes:i="100vw"}=t,{lazy:o=!1}=t;const{page:c}=B();I(e,c,e=>a(9,n=e));const r=A();let u,h,f;return I(e,r,e=>a(8,l=e)),e.$set=e=>{"images"in e&&a(0,s=e.images),"sizes"in e&&a(1,i=e.sizes),"lazy"in e&&a(2,o=e.lazy)},e.$$.update=()=>{256&e.$$.dirty&&a(3,({lang:u,t:h}=l),u,(a(4,h),a(8,l))),512&e.$$.dirty&&a(5,f=n.path.slice(1))},[s,i,o,u,h,f,c,r]}class Y extends e{constructor(e){super(),t(this,e,W,V,a,{images:0,sizes:1,lazy:2})}}export{Y as G};
@@ -0,0 +1 @@
+import{A as e,S as t,i as n,s as a,e as o,c as r,g as s,h as c,f as i,B as l,C as h,t as p,j as d,n as m,w as u,D as g,E as f,F as y,G as E,H as M,I as $,J as w,q as A,l as j,o as T}from"./client.46811942.js";const b=[{slug:"feijao-01",extension:"jpg",ratio:1.4511363636363637,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0,formats:[],alt:{en:"Charcoal drawing of a contorted figure folded over on itself, hands and feet braced against the ground, with dark spheres floating around it.",pt:"Desenho a carvão de uma figura contorcida, dobrada sobre si mesma, com mãos e pés apoiados no chão e esferas escuras flutuando ao redor."},caption:{en:"Feijão I, 2020",pt:"Feijão I, 2020"}},{slug:"feijao-02",extension:"jpg",ratio:1.4423076923076923,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0,formats:[],alt:{en:"Charcoal portrait of a bald man's head and neck seen from the front, the face covered in heavy, scratched shading.",pt:"Retrato a carvão da cabeça e do pescoço de um homem careca visto de frente, o rosto coberto por um sombreado denso e riscado."},caption:{en:"Feijão II, 2020",pt:"Feijão II, 2020"}},{slug:"successkid",src:"successkid.jpg",extension:"jpg",ratio:.6640548481880509,sizes:[1021],hasRetina:!1,formats:[],gallery:!1,alt:{en:"Success Kid",pt:"Success Kid"},caption:{en:"Have fun with Sapper!",pt:"Divirta-se com o Sapper!"}}],v=new Map;b.forEach(e=>{v.set(e.slug,e)});const x=b.filter(e=>!1!==e.gallery);function I({slug:e,extension:t,src:n},a,o=t){return n||`images/${e}-${a}.${o}`}function z(e,t=e.extension){const{sizes:n,hasRetina:a}=e,o=new Map;return n.forEach(n=>{o.has(n)||o.set(n,I(e,n,t)),a&&!o.has(2*n)&&o.set(2*n,I(e,n+"_x2",t))}),Array.from(o,([e,t])=>`${t} ${e}w`).join(", ")}function _(e){return(e.formats||[]).map(t=>({type:"image/"+t,srcset:z(e,t)}))}function k({sizes:e,ratio:t},n=e[e.length-1]){return{width:n,height:Math.round(n*t)}}function N({alt:t,caption:n},a){return{alt:t[a]||t[e],caption:n[a]||n[e]}}function S(e,t,n){const a=e.slice();return a[16]=t[n],a}function F(e){let t,n,a;return{c(){t=o("link"),this.h()},l(e){t=r(e,"LINK",{rel:!0,hreflang:!0,href:!0}),this.h()},h(){s(t,"rel","alternate"),s(t,"hreflang",n=e[16].lang),s(t,"href",a=e[16].href)},m(e,n){c(e,t,n)},p(e,o){32&o&&n!==(n=e[16].lang)&&s(t,"hreflang",n),32&o&&a!==(a=e[16].href)&&s(t,"href",a)},d(e){e&&i(t)}}}function R(e){let t,n,a,l;return{c(){t=o("meta"),a=j(),l=o("meta"),this.h()},l(e){t=r(e,"META",{property:!0,content:!0}),a=T(e),l=r(e,"META",{name:!0,content:!0}),this.h()},h(){s(t,"property","og:image"),s(t,"content",n=$("logo-512.png")),s(l,"name","twitter:card"),s(l,"content","summary")},m(e,n){c(e,t,n),c(e,a,n),c(e,l,n)},p:m,d(e){e&&i(t),e&&i(a),e&&i(l)}}}function K(e){let t,n,a,l,h,p,d,m,u,g,f,y,E;return{c(){t=o("meta"),a=j(),l=o("meta"),p=j(),d=o("meta"),u=j(),g=o("meta"),f=j(),y=o("meta"),this.h()},l(e){t=r(e,"META",{property:!0,content:!0}),a=T(e),l=r(e,"META",{property:!0,content:!0}),p=T(e),d=r(e,"META",{property:!0,content:!0}),u=T(e),g=r(e,"META",{name:!0,content:!0}),f=T(e),y=r(e,"META",{name:!0,content:!0}),this.h()},h(){s(t,"property","og:image"),s(t,"content",n=e[6].src),s(l,"property","og:image:width"),s(l,"content",h=e[6].width),s(d,"property","og:image:height"),s(d,"content",m=e[6].height),s(g,"name","twitter:card"),s(g,"content","summary_large_image"),s(y,"name","twitter:image"),s(y,"content",E=e[6].src)},m(e,n){c(e,t,n),c(e,a,n),c(e,l,n),c(e,p,n),c(e,d,n),c(e,u,n),c(e,g,n),c(e,f,n),c(e,y,n)},p(e,a){64&a&&n!==(n=e[6].src)&&s(t,"content",n),64&a&&h!==(h=e[6].width)&&s(l,"content",h),64&a&&m!==(m=e[6].height)&&s(d,"content",m),64&a&&E!==(E=e[6].src)&&s(y,"content",E)},d(e){e&&i(t),e&&i(a),e&&i(l),e&&i(p),e&&i(d),e&&i(u),e&&i(g),e&&i(f),e&&i(y)}}}function C(e){let t;return{c(){this.h()},l(e){this.h()},h(){t=new w(null)},m(n,a){t.m(e[7],n,a)},p(e,n){128&n&&t.p(e[7])},d(e){e&&t.d()}}}function D(e){let t,n,a,c,g,f,y,E,M,$,w,A,j;document.title=t=e[0];let T=e[5],b=[];for(let t=0;t<T.length;t+=1)b[t]=F(S(e,T,t));function v(e,t){return e[6]?K:R}let x=v(e),I=x(e),z=e[7]&&C(e);return{c(){n=o("meta"),a=o("link");for(let e=0;e<b.length;e+=1)b[e].c();c=o("meta"),g=o("meta"),y=o("meta"),E=o("meta"),M=o("meta"),$=o("meta"),I.c(),w=o("meta"),A=o("meta"),z&&z.c(),j=l(),this.h()},l(e){const t=h('[data-svelte="svelte-gjbfei"]',document.head);n=r(t,"META",{name:!0,content:!0}),a=r(t,"LINK",{rel:!0,href:!0});for(let e=0;e<b.length;e+=1)b[e].l(t);c=r(t,"META",{property:!0,content:!0}),g=r(t,"META",{property:!0,content:!0}),y=r(t,"META",{property:!0,content:!0}),E=r(t,"META",{property:!0,content:!0}),M=r(t,"META",{property:!0,content:!0}),$=r(t,"META",{property:!0,content:!0}),I.l(t),w=r(t,"META",{name:!0,content:!0}),A=r(t,"META",{name:!0,content:!0}),z&&z.l(t),j=l(),t.forEach(i),this.h()},h(){s(n,"name","description"),s(n,"content",e[2]),s(a,"rel","canonical"),s(a,"href",e[4]),s(c,"property","og:site_name"),s(c,"content",p),s(g,"property","og:locale"),s(g,"content",f=e[3].t("og_locale")),s(y,"property","og:type"),s(y,"content",e[1]),s(E,"property","og:title"),s(E,"content",e[0]),s(M,"property","og:description"),s(M,"content",e[2]),s($,"property","og:url"),s($,"content",e[4]),s(w,"name","twitter:title"),s(w,"content",e[0]),s(A,"name","twitter:description"),s(A,"content",e[2])},m(e,t){d(document.head,n),d(document.head,a);for(let e=0;e<b.length;e+=1)b[e].m(document.head,null);d(document.head,c),d(document.head,g),d(document.head,y),d(document.head,E),d(document.head,M),d(document.head,$),I.m(document.head,null),d(document.head,w),d(document.head,A),z&&z.m(document.head,null),d(document.head,j)},p(e,[o]){if(1&o&&t!==(t=e[0])&&(document.title=t),4&o&&s(n,"content",e[2]),16&o&&s(a,"href",e[4]),32&o){let t;for(T=e[5],t=0;t<T.length;t+=1){const n=S(e,T,t);b[t]?b[t].p(n,o):(b[t]=F(n),b[t].c(),b[t].m(c.parentNode,c))}for(;t<b.length;t+=1)b[t].d(1);b.length=T.length}8&o&&f!==(f=e[3].t("og_locale"))&&s(g,"content",f),2&o&&s(y,"content",e[1]),1&o&&s(E,"content",e[0]),4&o&&s(M,"content",e[2]),16&o&&s($,"content",e[4]),x===(x=v(e))&&I?I.p(e,o):(I.d(1),I=x(e),I&&(I.c(),I.m(w.parentNode,w))),1&o&&s(w,"content",e[0]),4&o&&s(A,"content",e[2]),e[7]?z?z.p(e,o):(z=C(e),z.c(),z.m(j.parentNode,j)):z&&(z.d(1),z=null)},i:m,o:m,d(e){i(n),i(a),u(b,e),i(c),i(g),i(y),i(E),i(M),i($),I.d(e),i(w),i(A),z&&z.d(e),i(j)}}}function H(t,n,a){let o,r,{title:s}=n,{description:c=null}=n,{image:i=null}=n,{type:l="website"}=n,{schema:h=null}=n,{languages:p=A}=n;const{page:d}=g();f(t,d,e=>a(14,r=e));const m=y();let u,w,j,T,b;return f(t,m,e=>a(3,o=e)),t.$set=e=>{"title"in e&&a(0,s=e.title),"description"in e&&a(10,c=e.description),"image"in e&&a(11,i=e.image),"type"in e&&a(1,l=e.type),"schema"in e&&a(12,h=e.schema),"languages"in e&&a(13,p=e.languages)},t.$$.update=()=>{1032&t.$$.dirty&&a(2,u=c||o.t("site_description")),24584&t.$$.dirty&&a(4,w=p.includes(o.lang)?E(r.path.slice(1)):E(M(r.path,p[0]).slice(1))),24576&t.$$.dirty&&a(5,j=p.map(e=>({lang:e,href:E(M(r.path,e).slice(1))})).concat({lang:"x-default",href:E(M(r.path,e).slice(1))})),2048&t.$$.dirty&&a(6,T=i?function(e){const t=e.sizes.find(e=>e>=1200)||e.sizes[e.sizes.length-1];return Object.assign({src:$(I(e,t))},k(e,t))}(i):null),4096&t.$$.dirty&&a(7,b=h&&`<script type="application/ld+json">${JSON.stringify(h).replace(/</g,"\\u003c")}<\/script>`)},[s,l,u,o,w,j,T,b,d,m,c,i,h,p]}class J extends t{constructor(e){super(),n(this,e,H,D,a,{title:0,description:10,image:11,type:1,schema:12,languages:13})}}export{J as H,k as a,_ as b,N as d,x as g,z as s,I as u};
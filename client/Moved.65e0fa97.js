@@ -0,0 +1 @@
+import{S as t,i as e,s as a,K as s,e as o,l,a as n,C as c,c as r,f as h,o as i,b as d,d as u,g as $,j as p,h as f,L as m,M as v,r as E,u as _,F as x,E as M,x as b,z as j,G as k}from"./client.46811942.js";function q(t){let e,a,x,M,b,j,k,q,y,A,K,L,S,g,w,z=(t[1]||t[2]("moved_title"))+"",C=t[2]("moved_to")+"";document.title=e=t[1]||t[2]("moved_title");const F=t[6].default,G=s(F,t,t[5],null);return{c(){a=o("link"),x=o("meta"),b=l(),j=o("h1"),k=n(z),q=l(),y=o("p"),A=n(C),K=l(),L=o("a"),S=n(t[3]),g=l(),G&&G.c(),this.h()},l(e){const s=c('[data-svelte="svelte-cbki3w"]',document.head);a=r(s,"LINK",{rel:!0,href:!0}),x=r(s,"META",{"http-equiv":!0,content:!0}),s.forEach(h),b=i(e),j=r(e,"H1",{});var o=d(j);k=u(o,z),o.forEach(h),q=i(e),y=r(e,"P",{});var l=d(y);A=u(l,C),K=i(l),L=r(l,"A",{href:!0});var n=d(L);S=u(n,t[3]),n.forEach(h),l.forEach(h),g=i(e),G&&G.l(e),this.h()},h(){$(a,"rel","canonical"),$(a,"href",t[3]),$(x,"http-equiv","refresh"),$(x,"content",M="0; url="+t[3]),$(L,"href",t[0])},m(t,e){p(document.head,a),p(document.head,x),f(t,b,e),f(t,j,e),p(j,k),f(t,q,e),f(t,y,e),p(y,A),p(y,K),p(y,L),p(L,S),f(t,g,e),G&&G.m(t,e),w=!0},p(t,[s]){(!w||6&s)&&e!==(e=t[1]||t[2]("moved_title"))&&(document.title=e),(!w||8&s)&&$(a,"href",t[3]),(!w||8&s&&M!==(M="0; url="+t[3]))&&$(x,"content",M),(!w||6&s)&&z!==(z=(t[1]||t[2]("moved_title"))+"")&&m(k,z),(!w||4&s)&&C!==(C=t[2]("moved_to")+"")&&m(A,C),(!w||8&s)&&m(S,t[3]),(!w||1&s)&&$(L,"href",t[0]),G&&G.p&&32&s&&v(G,F,t,t[5],s,null,null)},i(t){w||(E(G,t),w=!0)},o(t){_(G,t),w=!1},d(t){h(a),h(x),t&&h(b),t&&h(j),t&&h(q),t&&h(y),t&&h(g),G&&G.d(t)}}}function y(t,e,a){let s,{path:o}=e,{title:l=null}=e;const n=x();M(t,n,t=>a(7,s=t)),b(()=>{j(`${o}${location.search}${location.hash}`,{replaceState:!0})});let c,r,{$$slots:h={},$$scope:i}=e;return t.$set=t=>{"path"in t&&a(0,o=t.path),"title"in t&&a(1,l=t.title),"$$scope"in t&&a(5,i=t.$$scope)},t.$$.update=()=>{128&t.$$.dirty&&a(2,({t:c}=s),c),1&t.$$.dirty&&a(3,r=k(o))},[o,l,c,r,n,i,h]}class A extends t{constructor(t){super(),e(this,t,y,q,a,{path:0,title:1})}}export{A as M};
@@ -0,0 +1 @@
+import{S as t,i as s,s as e,B as a,h as i,f as l,e as r,l as c,c as h,b as n,o as d,g as o,j as u,n as p,w as g}from"./client.46811942.js";import{a as m,b as z,s as f,u as y}from"./Head.e502e17e.js";function w(t,s,e){const a=t.slice();return a[7]=s[e],a}function b(t){let s,e,a;return{c(){s=r("source"),this.h()},l(t){s=h(t,"SOURCE",{type:!0,srcset:!0,sizes:!0}),this.h()},h(){o(s,"type",e=t[7].type),o(s,"srcset",a=t[7].srcset),o(s,"sizes",t[2])},m(t,e){i(t,s,e)},p(t,i){64&i&&e!==(e=t[7].type)&&o(s,"type",e),64&i&&a!==(a=t[7].srcset)&&o(s,"srcset",a),4&i&&o(s,"sizes",t[2])},d(t){t&&l(s)}}}function $(t){let s,e,a;return{c(){s=r("source"),this.h()},l(t){s=h(t,"SOURCE",{type:!0,"data-srcset":!0,"data-sizes":!0}),this.h()},h(){o(s,"type",e=t[7].type),o(s,"data-srcset",a=t[7].srcset),o(s,"data-sizes","auto")},m(t,e){i(t,s,e)},p(t,i){64&i&&e!==(e=t[7].type)&&o(s,"type",e),64&i&&a!==(a=t[7].srcset)&&o(s,"data-srcset",a)},d(t){t&&l(s)}}}function v(t){let s;function e(t,s){return t[3]?$:b}let r=e(t),c=r(t);return{c(){c.c(),s=a()},l(t){c.l(t),s=a()},m(t,e){c.m(t,e),i(t,s,e)},p(t,a){r===(r=e(t))&&c?c.p(t,a):(c.d(1),c=r(t),c&&(c.c(),c.m(s.parentNode,s)))},d(t){c.d(t),t&&l(s)}}}function E(t){let s,e,a;return{c(){s=r("img"),this.h()},l(t){s=h(t,"IMG",{alt:!0,width:!0,height:!0,srcset:!0,sizes:!0,src:!0,loading:!0,class:!0}),this.h()},h(){o(s,"alt",t[1]),o(s,"width",t[4]),o(s,"height",t[5]),o(s,"srcset",e=f(t[0])),o(s,"sizes",t[2]),s.src!==(a=y(t[0],t[0].sizes[0]))&&o(s,"src",a),o(s,"loading","lazy"),o(s,"class","svelte-1b2bek4")},m(t,e){i(t,s,e)},p(t,i){2&i&&o(s,"alt",t[1]),16&i&&o(s,"width",t[4]),32&i&&o(s,"height",t[5]),1&i&&e!==(e=f(t[0]))&&o(s,"srcset",e),4&i&&o(s,"sizes",t[2]),1&i&&s.src!==(a=y(t[0],t[0].sizes[0]))&&o(s,"src",a)},d(t){t&&l(s)}}}function j(t){let s,e;return{c(){s=r("img"),this.h()},l(t){s=h(t,"IMG",{alt:!0,width:!0,height:!0,"data-srcset":!0,"data-sizes":!0,class:!0}),this.h()},h(){o(s,"alt",t[1]),o(s,"width",t[4]),o(s,"height",t[5]),o(s,"data-srcset",e=f(t[0])),o(s,"data-sizes","auto"),o(s,"class","lazyload svelte-1b2bek4")},m(t,e){i(t,s,e)},p(t,a){2&a&&o(s,"alt",t[1]),16&a&&o(s,"width",t[4]),32&a&&o(s,"height",t[5]),1&a&&e!==(e=f(t[0]))&&o(s,"data-srcset",e)},d(t){t&&l(s)}}}function k(t){let s,e,a=t[6],m=[];for(let s=0;s<a.length;s+=1)m[s]=v(w(t,a,s));function z(t,s){return t[3]?j:E}let f=z(t),y=f(t);return{c(){s=r("picture");for(let t=0;t<m.length;t+=1)m[t].c();e=c(),y.c(),this.h()},l(t){s=h(t,"PICTURE",{class:!0});var a=n(s);for(let t=0;t<m.length;t+=1)m[t].l(a);e=d(a),y.l(a),a.forEach(l),this.h()},h(){o(s,"class","svelte-1b2bek4")},m(t,a){i(t,s,a);for(let t=0;t<m.length;t+=1)m[t].m(s,null);u(s,e),y.m(s,null)},p(t,[i]){if(76&i){let l;for(a=t[6],l=0;l<a.length;l+=1){const r=w(t,a,l);m[l]?m[l].p(r,i):(m[l]=v(r),m[l].c(),m[l].m(s,e))}for(;l<m.length;l+=1)m[l].d(1);m.length=a.length}f===(f=z(t))&&y?y.p(t,i):(y.d(1),y=f(t),y&&(y.c(),y.m(s,null)))},i:p,o:p,d(t){t&&l(s),g(m,t),y.d()}}}function C(t,s,e){let a,i,l,{image:r}=s,{alt:c=""}=s,{sizes:h="100vw"}=s,{lazy:n=!1}=s;return t.$set=t=>{"image"in t&&e(0,r=t.image),"alt"in t&&e(1,c=t.alt),"sizes"in t&&e(2,h=t.sizes),"lazy"in t&&e(3,n=t.lazy)},t.$$.update=()=>{1&t.$$.dirty&&e(4,({width:a,height:i}=m(r)),a,(e(5,i),e(0,r))),1&t.$$.dirty&&e(6,l=z(r))},[r,c,h,n,a,i,l]}class I extends t{constructor(t){super(),s(this,t,C,k,e,{image:0,alt:1,sizes:2,lazy:3})}}export{I as P};
@@ -0,0 +1 @@
+import{S as s,i as t,s as a,e as l,a as e,l as n,k as r,c as o,b as c,d as f,f as h,o as g,m as i,g as u,h as p,j as m,p as v,L as $,r as j,u as E,v as d,T as b,U as x,w as P,F as L,E as w}from"./client.46811942.js";import{P as U}from"./PostMeta.b7503def.js";function k(s,t,a){const l=s.slice();return l[3]=t[a],l}function A(s){let t,a,b,x,P,L,w,k,A,B,F,H,I,M,S=s[3].title+"",T=s[3].excerpt+"";return H=new U({props:{post:s[3]}}),{c(){t=l("li"),a=l("h2"),b=l("a"),x=e(S),w=n(),k=l("p"),A=e(T),F=n(),r(H.$$.fragment),I=n(),this.h()},l(s){t=o(s,"LI",{class:!0});var l=c(t);a=o(l,"H2",{lang:!0,class:!0});var e=c(a);b=o(e,"A",{rel:!0,href:!0});var n=c(b);x=f(n,S),n.forEach(h),e.forEach(h),w=g(l),k=o(l,"P",{lang:!0,class:!0});var r=c(k);A=f(r,T),r.forEach(h),F=g(l),i(H.$$.fragment,l),I=g(l),l.forEach(h),this.h()},h(){u(b,"rel","prefetch"),u(b,"href",P=s[1].lang+"/blog/"+s[3].slug),u(a,"lang",L=s[3].lang),u(a,"class","svelte-jtasuc"),u(k,"lang",B=s[3].lang),u(k,"class","svelte-jtasuc"),u(t,"class","svelte-jtasuc")},m(s,l){p(s,t,l),m(t,a),m(a,b),m(b,x),m(t,w),m(t,k),m(k,A),m(t,F),v(H,t,null),m(t,I),M=!0},p(s,t){(!M||1&t)&&S!==(S=s[3].title+"")&&$(x,S),(!M||3&t&&P!==(P=s[1].lang+"/blog/"+s[3].slug))&&u(b,"href",P),(!M||1&t&&L!==(L=s[3].lang))&&u(a,"lang",L),(!M||1&t)&&T!==(T=s[3].excerpt+"")&&$(A,T),(!M||1&t&&B!==(B=s[3].lang))&&u(k,"lang",B);const l={};1&t&&(l.post=s[3]),H.$set(l)},i(s){M||(j(H.$$.fragment,s),M=!0)},o(s){E(H.$$.fragment,s),M=!1},d(s){s&&h(t),d(H)}}}function B(s){let t,a,e=s[0],n=[];for(let t=0;t<e.length;t+=1)n[t]=A(k(s,e,t));const r=s=>E(n[s],1,1,()=>{n[s]=null});return{c(){t=l("ul");for(let s=0;s<n.length;s+=1)n[s].c();this.h()},l(s){t=o(s,"UL",{class:!0});var a=c(t);for(let s=0;s<n.length;s+=1)n[s].l(a);a.forEach(h),this.h()},h(){u(t,"class","svelte-jtasuc")},m(s,l){p(s,t,l);for(let s=0;s<n.length;s+=1)n[s].m(t,null);a=!0},p(s,[a]){if(3&a){let l;for(e=s[0],l=0;l<e.length;l+=1){const r=k(s,e,l);n[l]?(n[l].p(r,a),j(n[l],1)):(n[l]=A(r),n[l].c(),j(n[l],1),n[l].m(t,null))}for(b(),l=e.length;l<n.length;l+=1)r(l);x()}},i(s){if(!a){for(let s=0;s<e.length;s+=1)j(n[s]);a=!0}},o(s){n=n.filter(Boolean);for(let s=0;s<n.length;s+=1)E(n[s]);a=!1},d(s){s&&h(t),P(n,s)}}}function F(s,t,a){let l,{posts:e}=t;const n=L();return w(s,n,s=>a(1,l=s)),s.$set=s=>{"posts"in s&&a(0,e=s.posts)},[e,l,n]}class H extends s{constructor(s){super(),t(this,s,F,B,a,{posts:0})}}export{H as P};
@@ -0,0 +1 @@
+import{S as t,i as e,s as a,a as s,l,e as n,d as r,o as d,c as i,b as o,f as h,g as c,h as u,j as m,L as g,w as p,n as f,F as v,E}from"./client.46811942.js";function $(t,e,a){const s=t.slice();return s[6]=e[a],s}function _(t){let e,a,p,f,v,E,$,_=t[2]("post_updated")+"",q=t[3](t[0].updated)+"";return{c(){e=s("("),a=s(_),p=l(),f=n("time"),v=s(q),$=s(")"),this.h()},l(t){e=r(t,"("),a=r(t,_),p=d(t),f=i(t,"TIME",{datetime:!0});var s=o(f);v=r(s,q),s.forEach(h),$=r(t,")"),this.h()},h(){c(f,"datetime",E=t[0].updated)},m(t,s){u(t,e,s),u(t,a,s),u(t,p,s),u(t,f,s),m(f,v),u(t,$,s)},p(t,e){4&e&&_!==(_=t[2]("post_updated")+"")&&g(a,_),9&e&&q!==(q=t[3](t[0].updated)+"")&&g(v,q),1&e&&E!==(E=t[0].updated)&&c(f,"datetime",E)},d(t){t&&h(e),t&&h(a),t&&h(p),t&&h(f),t&&h($)}}}function q(t){let e,a,l=t[0].tags,d=[];for(let e=0;e<l.length;e+=1)d[e]=T($(t,l,e));return{c(){e=s("·\n\t\t"),a=n("ul");for(let t=0;t<d.length;t+=1)d[t].c();this.h()},l(t){e=r(t,"·\n\t\t"),a=i(t,"UL",{class:!0});var s=o(a);for(let t=0;t<d.length;t+=1)d[t].l(s);s.forEach(h),this.h()},h(){c(a,"class","svelte-1qqazvg")},m(t,s){u(t,e,s),u(t,a,s);for(let t=0;t<d.length;t+=1)d[t].m(a,null)},p(t,e){if(3&e){let s;for(l=t[0].tags,s=0;s<l.length;s+=1){const n=$(t,l,s);d[s]?d[s].p(n,e):(d[s]=T(n),d[s].c(),d[s].m(a,null))}for(;s<d.length;s+=1)d[s].d(1);d.length=l.length}},d(t){t&&h(e),t&&h(a),p(d,t)}}}function T(t){let e,a,l,d,p,f=t[6]+"";return{c(){e=n("li"),a=n("a"),l=s("#"),d=s(f),this.h()},l(t){e=i(t,"LI",{class:!0});var s=o(e);a=i(s,"A",{rel:!0,href:!0});var n=o(a);l=r(n,"#"),d=r(n,f),n.forEach(h),s.forEach(h),this.h()},h(){c(a,"rel","prefetch"),c(a,"href",p=t[1]+"/blog/tag/"+t[6]),c(e,"class","svelte-1qqazvg")},m(t,s){u(t,e,s),m(e,a),m(a,l),m(a,d)},p(t,e){1&e&&f!==(f=t[6]+"")&&g(d,f),3&e&&p!==(p=t[1]+"/blog/tag/"+t[6])&&c(a,"href",p)},d(t){t&&h(e)}}}function y(t){let e,a,p,v,E,$,T,y,I,L,b=t[3](t[0].date)+"",z=t[0].author+"",D=t[2]("post_reading_time",{minutes:t[0].readingTime})+"",j=t[0].updated!==t[0].date&&_(t),w=t[0].tags.length&&q(t);return{c(){e=n("div"),a=n("time"),p=s(b),E=l(),j&&j.c(),$=s("\n\t· "),T=s(z),y=s("\n\t· "),I=s(D),L=l(),w&&w.c(),this.h()},l(t){e=i(t,"DIV",{class:!0});var s=o(e);a=i(s,"TIME",{datetime:!0});var l=o(a);p=r(l,b),l.forEach(h),E=d(s),j&&j.l(s),$=r(s,"\n\t· "),T=r(s,z),y=r(s,"\n\t· "),I=r(s,D),L=d(s),w&&w.l(s),s.forEach(h),this.h()},h(){c(a,"datetime",v=t[0].date),c(e,"class","svelte-1qqazvg")},m(t,s){u(t,e,s),m(e,a),m(a,p),m(e,E),j&&j.m(e,null),m(e,$),m(e,T),m(e,y),m(e,I),m(e,L),w&&w.m(e,null)},p(t,[s]){9&s&&b!==(b=t[3](t[0].date)+"")&&g(p,b),1&s&&v!==(v=t[0].date)&&c(a,"datetime",v),t[0].updated!==t[0].date?j?j.p(t,s):(j=_(t),j.c(),j.m(e,$)):j&&(j.d(1),j=null),1&s&&z!==(z=t[0].author+"")&&g(T,z),5&s&&D!==(D=t[2]("post_reading_time",{minutes:t[0].readingTime})+"")&&g(I,D),t[0].tags.length?w?w.p(t,s):(w=q(t),w.c(),w.m(e,null)):w&&(w.d(1),w=null)},i:f,o:f,d(t){t&&h(e),j&&j.d(),w&&w.d()}}}function I(t,e,a){let s,{post:l}=e;const n=v();let r,d,i;return E(t,n,t=>a(5,s=t)),t.$set=t=>{"post"in t&&a(0,l=t.post)},t.$$.update=()=>{32&t.$$.dirty&&a(1,({lang:r,t:d}=s),r,(a(2,d),a(5,s))),4&t.$$.dirty&&a(3,i=t=>new Date(t).toLocaleDateString(d("date_locale"),{year:"numeric",month:"long",day:"numeric",timeZone:"UTC"}))},[l,r,d,i,n]}class L extends t{constructor(t){super(),e(this,t,I,y,a,{post:0})}}export{L as P};
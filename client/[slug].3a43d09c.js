@@ -0,0 +1 @@
+import{S as t,i as s,s as e,A as r,k as a,m as o,p as n,r as i,u,v as c}from"./client.46811942.js";import{M as l}from"./Moved.65e0fa97.js";function p(t){let s,e;return s=new l({props:{path:r+"/work/"+t[0].slug,title:t[0].title}}),{c(){a(s.$$.fragment)},l(t){o(s.$$.fragment,t)},m(t,r){n(s,t,r),e=!0},p(t,[e]){const a={};1&e&&(a.path=r+"/work/"+t[0].slug),1&e&&(a.title=t[0].title),s.$set(a)},i(t){e||(i(s.$$.fragment,t),e=!0)},o(t){u(s.$$.fragment,t),e=!1},d(t){c(s,t)}}}async function f({params:t,query:s}){const e=await this.fetch(`work/${t.slug}.json`),r=await e.json();if(200===e.status)return{project:{title:r.title,slug:r.slug}};this.error(e.status,r.message)}function m(t,s,e){let{project:r}=s;return t.$set=t=>{"project"in t&&e(0,r=t.project)},[r]}export default class extends t{constructor(t){super(),s(this,t,m,p,e,{project:0})}}export{f as preload};
@@ -0,0 +1 @@
+import{S as t,i as s,s as e,A as a,k as o,m as r,p as n,r as i,u as l,v as u}from"./client.46811942.js";import{M as p}from"./Moved.65e0fa97.js";function f(t){let s,e;return s=new p({props:{path:a+"/blog/"+t[0].slug,title:t[0].title}}),{c(){o(s.$$.fragment)},l(t){r(s.$$.fragment,t)},m(t,a){n(s,t,a),e=!0},p(t,[e]){const o={};1&e&&(o.path=a+"/blog/"+t[0].slug),1&e&&(o.title=t[0].title),s.$set(o)},i(t){e||(i(s.$$.fragment,t),e=!0)},o(t){l(s.$$.fragment,t),e=!1},d(t){u(s,t)}}}async function g({params:t,query:s}){const e=await this.fetch(`blog/${t.slug}.json`),a=await e.json();if(200===e.status)return{post:{title:a.title,slug:a.slug}};this.error(e.status,a.message)}function c(t,s,e){let{post:a}=s;return t.$set=t=>{"post"in t&&e(0,a=t.post)},[a]}export default class extends t{constructor(t){super(),s(this,t,c,f,e,{post:0})}}export{g as preload};
@@ -0,0 +1 @@
+import{S as t,i as e,s as a,e as s,a as l,c as n,b as r,d as o,f as i,g as c,h as g,j as h,L as m,k as u,m as p,p as f,r as d,u as v,v as $,l as b,o as x,w as E,B as _,U as y,F as L,E as P,G as j,I as w,T as A}from"./client.46811942.js";import{H,d as M,u as N}from"./Head.e502e17e.js";import{P as I}from"./Picture.c42287bf.js";import{P as S}from"./PostMeta.b7503def.js";function T(t,e,a){const s=t.slice();return s[6]=e[a],s}function V(t){let e,a,u=t[2]("post_untranslated",{language:t[2]("language_"+t[0].lang)})+"";return{c(){e=s("p"),a=l(u),this.h()},l(t){e=n(t,"P",{class:!0});var s=r(e);a=o(s,u),s.forEach(i),this.h()},h(){c(e,"class","untranslated svelte-51mvtc")},m(t,s){g(t,e,s),h(e,a)},p(t,e){5&e&&u!==(u=t[2]("post_untranslated",{language:t[2]("language_"+t[0].lang)})+"")&&m(a,u)},d(t){t&&i(e)}}}function k(t){let e,a;return e=new I({props:{image:t[0].image,alt:M(t[0].image,t[1]).alt}}),{c(){u(e.$$.fragment)},l(t){p(e.$$.fragment,t)},m(t,s){f(e,t,s),a=!0},p(t,a){const s={};1&a&&(s.image=t[0].image),3&a&&(s.alt=M(t[0].image,t[1]).alt),e.$set(s)},i(t){a||(d(e.$$.fragment,t),a=!0)},o(t){v(e.$$.fragment,t),a=!1},d(t){$(e,t)}}}function z(t){let e,a,u,p,f,d,v=t[2]("post_contents")+"",$=t[0].toc,_=[];for(let e=0;e<$.length;e+=1)_[e]=B(T(t,$,e));return{c(){e=s("nav"),a=s("h2"),u=l(v),p=b(),f=s("ul");for(let t=0;t<_.length;t+=1)_[t].c();this.h()},l(t){e=n(t,"NAV",{class:!0,"aria-labelledby":!0});var s=r(e);a=n(s,"H2",{id:!0,class:!0});var l=r(a);u=o(l,v),l.forEach(i),p=x(s),f=n(s,"UL",{lang:!0,class:!0});var c=r(f);for(let t=0;t<_.length;t+=1)_[t].l(c);c.forEach(i),s.forEach(i),this.h()},h(){c(a,"id","toc-heading"),c(a,"class","svelte-51mvtc"),c(f,"lang",d=t[0].lang),c(f,"class","svelte-51mvtc"),c(e,"class","toc svelte-51mvtc"),c(e,"aria-labelledby","toc-heading")},m(t,s){g(t,e,s),h(e,a),h(a,u),h(e,p),h(e,f);for(let t=0;t<_.length;t+=1)_[t].m(f,null)},p(t,e){if(4&e&&v!==(v=t[2]("post_contents")+"")&&m(u,v),3&e){let a;for($=t[0].toc,a=0;a<$.length;a+=1){const s=T(t,$,a);_[a]?_[a].p(s,e):(_[a]=B(s),_[a].c(),_[a].m(f,null))}for(;a<_.length;a+=1)_[a].d(1);_.length=$.length}1&e&&d!==(d=t[0].lang)&&c(f,"lang",d)},d(t){t&&i(e),E(_,t)}}}function B(t){let e,a,u,p,f,d=t[6].text+"";return{c(){e=s("li"),a=s("a"),u=l(d),this.h()},l(t){e=n(t,"LI",{class:!0});var s=r(e);a=n(s,"A",{href:!0});var l=r(a);u=o(l,d),l.forEach(i),s.forEach(i),this.h()},h(){c(a,"href",p=t[1]+"/blog/"+t[0].slug+"/#"+t[6].id),c(e,"class",f="level-"+t[6].level+" svelte-51mvtc")},m(t,s){g(t,e,s),h(e,a),h(a,u)},p(t,s){1&s&&d!==(d=t[6].text+"")&&m(u,d),3&s&&p!==(p=t[1]+"/blog/"+t[0].slug+"/#"+t[6].id)&&c(a,"href",p),1&s&&f!==(f="level-"+t[6].level+" svelte-51mvtc")&&c(e,"class",f)},d(t){t&&i(e)}}}function U(t){let e,a,l,o=t[0].previous&&q(t),m=t[0].next&&D(t);return{c(){e=s("nav"),o&&o.c(),a=b(),m&&m.c(),this.h()},l(t){e=n(t,"NAV",{class:!0,"aria-label":!0});var s=r(e);o&&o.l(s),a=x(s),m&&m.l(s),s.forEach(i),this.h()},h(){c(e,"class","pagination svelte-51mvtc"),c(e,"aria-label",l=t[2]("post_navigation"))},m(t,s){g(t,e,s),o&&o.m(e,null),h(e,a),m&&m.m(e,null)},p(t,s){t[0].previous?o?o.p(t,s):(o=q(t),o.c(),o.m(e,a)):o&&(o.d(1),o=null),t[0].next?m?m.p(t,s):(m=D(t),m.c(),m.m(e,null)):m&&(m.d(1),m=null),4&s&&l!==(l=t[2]("post_navigation"))&&c(e,"aria-label",l)},d(t){t&&i(e),o&&o.d(),m&&m.d()}}}function q(t){let e,a,u,p,f,d,v,$=t[2]("post_previous")+"",E=t[0].previous.title+"";return{c(){e=s("a"),a=s("small"),u=l("← "),p=l($),f=b(),d=l(E),this.h()},l(t){e=n(t,"A",{class:!0,rel:!0,href:!0});var s=r(e);a=n(s,"SMALL",{class:!0});var l=r(a);u=o(l,"← "),p=o(l,$),l.forEach(i),f=x(s),d=o(s,E),s.forEach(i),this.h()},h(){c(a,"class","svelte-51mvtc"),c(e,"class","previous"),c(e,"rel","prefetch"),c(e,"href",v=t[1]+"/blog/"+t[0].previous.slug)},m(t,s){g(t,e,s),h(e,a),h(a,u),h(a,p),h(e,f),h(e,d)},p(t,a){4&a&&$!==($=t[2]("post_previous")+"")&&m(p,$),1&a&&E!==(E=t[0].previous.title+"")&&m(d,E),3&a&&v!==(v=t[1]+"/blog/"+t[0].previous.slug)&&c(e,"href",v)},d(t){t&&i(e)}}}function D(t){let e,a,u,p,f,d,v,$=t[2]("post_next")+"",E=t[0].next.title+"";return{c(){e=s("a"),a=s("small"),u=l($),p=l(" →"),f=b(),d=l(E),this.h()},l(t){e=n(t,"A",{class:!0,rel:!0,href:!0});var s=r(e);a=n(s,"SMALL",{class:!0});var l=r(a);u=o(l,$),p=o(l," →"),l.forEach(i),f=x(s),d=o(s,E),s.forEach(i),this.h()},h(){c(a,"class","svelte-51mvtc"),c(e,"class","next svelte-51mvtc"),c(e,"rel","prefetch"),c(e,"href",v=t[1]+"/blog/"+t[0].next.slug)},m(t,s){g(t,e,s),h(e,a),h(a,u),h(a,p),h(e,f),h(e,d)},p(t,a){4&a&&$!==($=t[2]("post_next")+"")&&m(u,$),1&a&&E!==(E=t[0].next.title+"")&&m(d,E),3&a&&v!==(v=t[1]+"/blog/"+t[0].next.slug)&&c(e,"href",v)},d(t){t&&i(e)}}}function F(t){let e,a,E,L,P,j,w,M,N,I,T,B,q,D,F,G,O=t[0].title+"",C=t[0].html+"";e=new H({props:{title:t[0].title,description:t[0].excerpt,image:t[0].image,type:"article",schema:t[3],languages:t[0].languages}}),w=new S({props:{post:t[0]}});let J=t[0].lang!==t[1]&&V(t),K=t[0].image&&k(t),Q=t[0].toc.length>1&&z(t),R=(t[0].previous||t[0].next)&&U(t);return{c(){u(e.$$.fragment),a=b(),E=s("h1"),L=l(O),j=b(),u(w.$$.fragment),M=b(),J&&J.c(),N=b(),K&&K.c(),I=b(),Q&&Q.c(),T=b(),B=s("div"),D=b(),R&&R.c(),F=_(),this.h()},l(t){p(e.$$.fragment,t),a=x(t),E=n(t,"H1",{lang:!0});var s=r(E);L=o(s,O),s.forEach(i),j=x(t),p(w.$$.fragment,t),M=x(t),J&&J.l(t),N=x(t),K&&K.l(t),I=x(t),Q&&Q.l(t),T=x(t),B=n(t,"DIV",{class:!0,lang:!0}),r(B).forEach(i),D=x(t),R&&R.l(t),F=_(),this.h()},h(){c(E,"lang",P=t[0].lang),c(B,"class","content svelte-51mvtc"),c(B,"lang",q=t[0].lang)},m(t,s){f(e,t,s),g(t,a,s),g(t,E,s),h(E,L),g(t,j,s),f(w,t,s),g(t,M,s),J&&J.m(t,s),g(t,N,s),K&&K.m(t,s),g(t,I,s),Q&&Q.m(t,s),g(t,T,s),g(t,B,s),B.innerHTML=C,g(t,D,s),R&&R.m(t,s),g(t,F,s),G=!0},p(t,[a]){const s={};1&a&&(s.title=t[0].title),1&a&&(s.description=t[0].excerpt),1&a&&(s.image=t[0].image),8&a&&(s.schema=t[3]),1&a&&(s.languages=t[0].languages),e.$set(s),(!G||1&a)&&O!==(O=t[0].title+"")&&m(L,O),(!G||1&a&&P!==(P=t[0].lang))&&c(E,"lang",P);const l={};1&a&&(l.post=t[0]),w.$set(l),t[0].lang!==t[1]?J?J.p(t,a):(J=V(t),J.c(),J.m(N.parentNode,N)):J&&(J.d(1),J=null),t[0].image?K?(K.p(t,a),1&a&&d(K,1)):(K=k(t),K.c(),d(K,1),K.m(I.parentNode,I)):K&&(A(),v(K,1,1,()=>{K=null}),y()),t[0].toc.length>1?Q?Q.p(t,a):(Q=z(t),Q.c(),Q.m(T.parentNode,T)):Q&&(Q.d(1),Q=null),(!G||1&a)&&C!==(C=t[0].html+"")&&(B.innerHTML=C),(!G||1&a&&q!==(q=t[0].lang))&&c(B,"lang",q),t[0].previous||t[0].next?R?R.p(t,a):(R=U(t),R.c(),R.m(F.parentNode,F)):R&&(R.d(1),R=null)},i(t){G||(d(e.$$.fragment,t),d(w.$$.fragment,t),d(K),G=!0)},o(t){v(e.$$.fragment,t),v(w.$$.fragment,t),v(K),G=!1},d(t){$(e,t),t&&i(a),t&&i(E),t&&i(j),$(w,t),t&&i(M),J&&J.d(t),t&&i(N),K&&K.d(t),t&&i(I),Q&&Q.d(t),t&&i(T),t&&i(B),t&&i(D),R&&R.d(t),t&&i(F)}}}async function G({params:t,query:e}){const a=await this.fetch(`${t.lang}/blog/${t.slug}.json`),s=await a.json();if(200===a.status)return{post:s};this.error(a.status,s.message)}function O(t,e,a){let s,{post:l}=e;const n=L();let r,o,i;return P(t,n,t=>a(5,s=t)),t.$set=t=>{"post"in t&&a(0,l=t.post)},t.$$.update=()=>{32&t.$$.dirty&&a(1,({lang:r,t:o}=s),r,(a(2,o),a(5,s))),3&t.$$.dirty&&a(3,i={"@context":"https://schema.org","@type":"BlogPosting",headline:l.title,description:l.excerpt,datePublished:l.date,dateModified:l.updated,author:{"@type":"Person",name:l.author},keywords:l.tags.join(", "),inLanguage:l.lang,url:j(`${r}/blog/${l.slug}`),mainEntityOfPage:j(`${r}/blog/${l.slug}`),image:l.image?w(N(l.image,l.image.sizes[l.image.sizes.length-1])):w("logo-512.png")})},[l,r,o,i,n]}export default class extends t{constructor(t){super(),e(this,t,O,F,a,{post:0})}}export{G as preload};
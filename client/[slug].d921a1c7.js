@@ -0,0 +1 @@
+import{S as s,i as a,s as t,e,c as r,b as l,f as n,g as o,h as c,k as i,l as g,a as f,m,o as h,d,p,j as $,L as u,r as v,u as w,v as j,F as D,E}from"./client.46811942.js";import{H as y}from"./Head.e502e17e.js";import"./Picture.c42287bf.js";import{G as k}from"./Gallery.efaf926b.js";function H(s){let a,t,i=s[0].html+"";return{c(){a=e("div"),this.h()},l(s){a=r(s,"DIV",{class:!0,lang:!0}),l(a).forEach(n),this.h()},h(){o(a,"class","content"),o(a,"lang",t=s[0].lang)},m(s,t){c(s,a,t),a.innerHTML=i},p(s,e){1&e&&i!==(i=s[0].html+"")&&(a.innerHTML=i),1&e&&t!==(t=s[0].lang)&&o(a,"lang",t)},d(s){s&&n(a)}}}function L(s){let a,t,D,E,L,T,_,b,x,G,M,q,F,I,N,P,S,V,z,A=s[0].title+"",B=s[1].t("work_year")+"",C=s[0].year+"",J=s[1].t("work_role")+"",K=s[0].role+"";a=new y({props:{title:s[0].title,description:s[0].description,image:s[0].images[0]}});let O=s[0].html&&H(s);return V=new k({props:{images:s[0].images}}),{c(){i(a.$$.fragment),t=g(),D=e("h1"),E=f(A),L=g(),T=e("dl"),_=e("dt"),b=f(B),x=e("dd"),G=f(C),M=e("dt"),q=f(J),F=e("dd"),I=f(K),P=g(),O&&O.c(),S=g(),i(V.$$.fragment),this.h()},l(s){m(a.$$.fragment,s),t=h(s),D=r(s,"H1",{});var e=l(D);E=d(e,A),e.forEach(n),L=h(s),T=r(s,"DL",{class:!0});var o=l(T);_=r(o,"DT",{class:!0});var c=l(_);b=d(c,B),c.forEach(n),x=r(o,"DD",{class:!0});var i=l(x);G=d(i,C),i.forEach(n),M=r(o,"DT",{class:!0});var g=l(M);q=d(g,J),g.forEach(n),F=r(o,"DD",{lang:!0,class:!0});var f=l(F);I=d(f,K),f.forEach(n),o.forEach(n),P=h(s),O&&O.l(s),S=h(s),m(V.$$.fragment,s),this.h()},h(){o(_,"class","svelte-1wgfldv"),o(x,"class","svelte-1wgfldv"),o(M,"class","svelte-1wgfldv"),o(F,"lang",N=s[0].lang),o(F,"class","svelte-1wgfldv"),o(T,"class","svelte-1wgfldv")},m(s,e){p(a,s,e),c(s,t,e),c(s,D,e),$(D,E),c(s,L,e),c(s,T,e),$(T,_),$(_,b),$(T,x),$(x,G),$(T,M),$(M,q),$(T,F),$(F,I),c(s,P,e),O&&O.m(s,e),c(s,S,e),p(V,s,e),z=!0},p(s,[t]){const e={};1&t&&(e.title=s[0].title),1&t&&(e.description=s[0].description),1&t&&(e.image=s[0].images[0]),a.$set(e),(!z||1&t)&&A!==(A=s[0].title+"")&&u(E,A),(!z||2&t)&&B!==(B=s[1].t("work_year")+"")&&u(b,B),(!z||1&t)&&C!==(C=s[0].year+"")&&u(G,C),(!z||2&t)&&J!==(J=s[1].t("work_role")+"")&&u(q,J),(!z||1&t)&&K!==(K=s[0].role+"")&&u(I,K),(!z||1&t&&N!==(N=s[0].lang))&&o(F,"lang",N),s[0].html?O?O.p(s,t):(O=H(s),O.c(),O.m(S.parentNode,S)):O&&(O.d(1),O=null);const r={};1&t&&(r.images=s[0].images),V.$set(r)},i(s){z||(v(a.$$.fragment,s),v(V.$$.fragment,s),z=!0)},o(s){w(a.$$.fragment,s),w(V.$$.fragment,s),z=!1},d(s){j(a,s),s&&n(t),s&&n(D),s&&n(L),s&&n(T),s&&n(P),O&&O.d(s),s&&n(S),j(V,s)}}}async function T({params:s,query:a}){const t=await this.fetch(`${s.lang}/work/${s.slug}.json`),e=await t.json();if(200===t.status)return{project:e};this.error(t.status,e.message)}function _(s,a,t){let e,{project:r}=a;const l=D();return E(s,l,s=>t(1,e=s)),s.$set=s=>{"project"in s&&t(0,r=s.project)},[r,e,l]}export default class extends s{constructor(s){super(),a(this,s,_,L,t,{project:0})}}export{T as preload};
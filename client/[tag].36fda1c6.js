@@ -0,0 +1 @@
+import{S as t,i as s,s as a,k as e,l as r,e as o,a as g,m as n,o as i,c as p,b as l,d as f,f as $,g as c,p as m,h,j as u,L as d,r as _,u as j,v as b,F as v,E as w}from"./client.46811942.js";import{H as E}from"./Head.e502e17e.js";import"./PostMeta.b7503def.js";import{P}from"./PostList.66118191.js";function x(t){let s,a,v,w,x,y,H,L,k,q,A,F,M=t[3]("tag_title",{tag:t[0]})+"",S=t[3]("tag_all_posts")+"";return s=new E({props:{title:t[3]("tag_title",{tag:t[0]}),description:t[3]("tag_title",{tag:t[0]})+"."}}),y=new P({props:{posts:t[1]}}),{c(){e(s.$$.fragment),a=r(),v=o("h1"),w=g(M),x=r(),e(y.$$.fragment),H=r(),L=o("p"),k=o("a"),q=g(S),this.h()},l(t){n(s.$$.fragment,t),a=i(t),v=p(t,"H1",{});var e=l(v);w=f(e,M),e.forEach($),x=i(t),n(y.$$.fragment,t),H=i(t),L=p(t,"P",{});var r=l(L);k=p(r,"A",{rel:!0,href:!0});var o=l(k);q=f(o,S),o.forEach($),r.forEach($),this.h()},h(){c(k,"rel","prefetch"),c(k,"href",A=t[2]+"/blog")},m(t,e){m(s,t,e),h(t,a,e),h(t,v,e),u(v,w),h(t,x,e),m(y,t,e),h(t,H,e),h(t,L,e),u(L,k),u(k,q),F=!0},p(t,[a]){const e={};9&a&&(e.title=t[3]("tag_title",{tag:t[0]})),9&a&&(e.description=t[3]("tag_title",{tag:t[0]})+"."),s.$set(e),(!F||9&a)&&M!==(M=t[3]("tag_title",{tag:t[0]})+"")&&d(w,M);const r={};2&a&&(r.posts=t[1]),y.$set(r),(!F||8&a)&&S!==(S=t[3]("tag_all_posts")+"")&&d(q,S),(!F||4&a&&A!==(A=t[2]+"/blog"))&&c(k,"href",A)},i(t){F||(_(s.$$.fragment,t),_(y.$$.fragment,t),F=!0)},o(t){j(s.$$.fragment,t),j(y.$$.fragment,t),F=!1},d(t){b(s,t),t&&$(a),t&&$(v),t&&$(x),b(y,t),t&&$(H),t&&$(L)}}}async function y({params:t,query:s}){const a=await this.fetch(`${t.lang}/blog/tag/${t.tag}.json`),e=await a.json();if(200===a.status)return{tag:e.tag,posts:e.posts};this.error(a.status,e.message)}function H(t,s,a){let e,{tag:r}=s,{posts:o}=s;const g=v();let n,i;return w(t,g,t=>a(5,e=t)),t.$set=t=>{"tag"in t&&a(0,r=t.tag),"posts"in t&&a(1,o=t.posts)},t.$$.update=()=>{32&t.$$.dirty&&a(2,({lang:n,t:i}=e),n,(a(3,i),a(5,e)))},[r,o,n,i,g]}export default class extends t{constructor(t){super(),s(this,t,H,x,a,{tag:0,posts:1})}}export{y as preload};
@@ -0,0 +1 @@
+import{S as t,i as a,s,A as e,k as r,m as n,p as o,r as g,u as i,v as f}from"./client.46811942.js";import{M as u}from"./Moved.65e0fa97.js";function c(t){let a,s;return a=new u({props:{path:e+"/blog/tag/"+t[0]}}),{c(){r(a.$$.fragment)},l(t){n(a.$$.fragment,t)},m(t,e){o(a,t,e),s=!0},p(t,[s]){const r={};1&s&&(r.path=e+"/blog/tag/"+t[0]),a.$set(r)},i(t){s||(g(a.$$.fragment,t),s=!0)},o(t){i(a.$$.fragment,t),s=!1},d(t){f(a,t)}}}async function m({params:t,query:a}){const s=await this.fetch(`blog/tag/${t.tag}.json`),e=await s.json();if(200===s.status)return{tag:e.tag};this.error(s.status,e.message)}function p(t,a,s){let{tag:e}=a;return t.$set=t=>{"tag"in t&&s(0,e=t.tag)},[e]}export default class extends t{constructor(t){super(),a(this,t,p,c,s,{tag:0})}}export{m as preload};
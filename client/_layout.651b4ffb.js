@@ -0,0 +1 @@
+import{q as s,S as t,i as n,s as e,K as o,M as l,r,u}from"./client.46811942.js";function a(s){let t;const n=s[1].default,e=o(n,s,s[0],null);return{c(){e&&e.c()},l(s){e&&e.l(s)},m(s,n){e&&e.m(s,n),t=!0},p(s,[t]){e&&e.p&&1&t&&l(e,n,s,s[0],t,null,null)},i(s){t||(r(e,s),t=!0)},o(s){u(e,s),t=!1},d(s){e&&e.d(s)}}}function c({params:t}){s.includes(t.lang)||this.error(404,"Not found")}function i(s,t,n){let{$$slots:e={},$$scope:o}=t;return s.$set=s=>{"$$scope"in s&&n(0,o=s.$$scope)},[o,e]}export default class extends t{constructor(s){super(),n(this,s,i,a,e,{})}}export{c as preload};
@@ -0,0 +1 @@
+import{S as s,i as a,s as t,A as r,k as e,m as n,p as o,n as m,r as f,u as p,v as u}from"./client.46811942.js";import{M as $}from"./Moved.65e0fa97.js";function i(s){let a,t;return a=new $({props:{path:r+"/about"}}),{c(){e(a.$$.fragment)},l(s){n(a.$$.fragment,s)},m(s,r){o(a,s,r),t=!0},p:m,i(s){t||(f(a.$$.fragment,s),t=!0)},o(s){p(a.$$.fragment,s),t=!1},d(s){u(a,s)}}}export default class extends s{constructor(s){super(),a(this,s,null,i,t,{})}}
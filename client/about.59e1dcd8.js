@@ -0,0 +1 @@
+import{S as a,i as t,s,k as e,l as o,e as r,a as i,m as n,o as u,c,b as d,d as p,f as $,p as f,h as l,j as b,L as m,r as _,u as h,v as g,F as j,E as v}from"./client.46811942.js";import{H as y}from"./Head.e502e17e.js";function E(a){let t,s,j,v,E,H,x,k,w=a[0]("about_heading")+"",F=a[0]("about_body")+"";return t=new y({props:{title:a[0]("about_title"),description:a[0]("about_description")}}),{c(){e(t.$$.fragment),s=o(),j=r("h1"),v=i(w),E=o(),H=r("p"),x=i(F)},l(a){n(t.$$.fragment,a),s=u(a),j=c(a,"H1",{});var e=d(j);v=p(e,w),e.forEach($),E=u(a),H=c(a,"P",{});var o=d(H);x=p(o,F),o.forEach($)},m(a,e){f(t,a,e),l(a,s,e),l(a,j,e),b(j,v),l(a,E,e),l(a,H,e),b(H,x),k=!0},p(a,[s]){const e={};1&s&&(e.title=a[0]("about_title")),1&s&&(e.description=a[0]("about_description")),t.$set(e),(!k||1&s)&&w!==(w=a[0]("about_heading")+"")&&m(v,w),(!k||1&s)&&F!==(F=a[0]("about_body")+"")&&m(x,F)},i(a){k||(_(t.$$.fragment,a),k=!0)},o(a){h(t.$$.fragment,a),k=!1},d(a){g(t,a),a&&$(s),a&&$(j),a&&$(E),a&&$(H)}}}function H(a,t,s){let e;const o=j();let r;return v(a,o,a=>s(2,e=a)),a.$$.update=()=>{4&a.$$.dirty&&s(0,({t:r}=e),r)},[r,o]}export default class extends a{constructor(a){super(),t(this,a,H,E,s,{})}}
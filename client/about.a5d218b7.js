@@ -1 +0,0 @@
-import{S as s,i as t,s as e,f as a,e as h,t as o,q as i,d as r,h as c,c as u,j as n,k as l,b as d,l as f,n as m}from"./client.c445aa20.js";function p(s){let t,e,p,b,v,T;return{c(){t=a(),e=h("h1"),p=o("About this site"),b=a(),v=h("p"),T=o("This is the 'about' page. There's not much here."),this.h()},l(s){i('[data-svelte="svelte-1ine71f"]',document.head).forEach(r),t=c(s),e=u(s,"H1",{});var a=n(e);p=l(a,"About this site"),a.forEach(r),b=c(s),v=u(s,"P",{});var h=n(v);T=l(h,"This is the 'about' page. There's not much here."),h.forEach(r),this.h()},h(){document.title="About"},m(s,a){d(s,t,a),d(s,e,a),f(e,p),d(s,b,a),d(s,v,a),f(v,T)},p:m,i:m,o:m,d(s){s&&r(t),s&&r(e),s&&r(b),s&&r(v)}}}export default class extends s{constructor(s){super(),t(this,s,null,p,e,{})}}
@@ -0,0 +1 @@
+function e(){}function t(e,t){for(const n in t)e[n]=t[n];return e}function n(e){return e()}function r(){return Object.create(null)}function a(e){e.forEach(n)}function s(e){return"function"==typeof e}function o(e,t){return e!=e?t==t:e!==t||e&&"object"==typeof e||"function"==typeof e}function l(t,...n){if(null==t)return e;const r=t.subscribe(...n);return r.unsubscribe?()=>r.unsubscribe():r}function i(e,t,n){e.$$.on_destroy.push(l(t,n))}function c(e,t,n,r){if(e){const a=u(e,t,n,r);return e[0](a)}}function u(e,n,r,a){return e[1]&&a?t(r.ctx.slice(),e[1](a(n))):r.ctx}function p(e,t,n,r,a,s,o){const l=function(e,t,n,r){if(e[2]&&r){const a=e[2](r(n));if(void 0===t.dirty)return a;if("object"==typeof a){const e=[],n=Math.max(t.dirty.length,a.length);for(let r=0;r<n;r+=1)e[r]=t.dirty[r]|a[r];return e}return t.dirty|a}return t.dirty}(t,r,a,s);if(l){const a=u(t,n,r,o);e.p(a,l)}}function f(e,t){e.appendChild(t)}function h(e,t,n){e.insertBefore(t,n||null)}function d(e){e.parentNode.removeChild(e)}function g(e,t){for(let n=0;n<e.length;n+=1)e[n]&&e[n].d(t)}function m(e){return document.createElement(e)}function _(e){return document.createTextNode(e)}function b(){return _(" ")}function v(){return _("")}function $(e,t,n,r){return e.addEventListener(t,n,r),()=>e.removeEventListener(t,n,r)}function y(e){return function(t){return t.preventDefault(),e.call(this,t)}}function E(e){return function(t){t.target===this&&e.call(this,t)}}function S(e,t,n){null==n?e.removeAttribute(t):e.getAttribute(t)!==n&&e.setAttribute(t,n)}function w(e){return Array.from(e.childNodes)}function x(e,t,n,r){for(let r=0;r<e.length;r+=1){const a=e[r];if(a.nodeName===t){let t=0;const s=[];for(;t<a.attributes.length;){const e=a.attributes[t++];n[e.name]||s.push(e.name)}for(let e=0;e<s.length;e++)a.removeAttribute(s[e]);return e.splice(r,1)[0]}}return r?function(e){return document.createElementNS("http://www.w3.org/2000/svg",e)}(t):m(t)}function P(e,t){for(let n=0;n<e.length;n+=1){const r=e[n];if(3===r.nodeType)return r.data=""+t,e.splice(n,1)[0]}return _(t)}function A(e){return P(e," ")}function L(e,t){t=""+t,e.data!==t&&(e.data=t)}function R(e,t){e.value=null==t?"":t}function j(e,t,n,r){e.style.setProperty(t,n,r?"important":"")}function k(e,t=document.body){return Array.from(t.querySelectorAll(e))}class C{constructor(e=null){this.a=e,this.e=this.n=null}m(e,t,n=null){this.e||(this.e=m(t.nodeName),this.t=t,this.h(e)),this.i(n)}h(e){this.e.innerHTML=e,this.n=Array.from(this.e.childNodes)}i(e){for(let t=0;t<this.n.length;t+=1)h(this.t,this.n[t],e)}p(e){this.d(),this.h(e),this.i(this.a)}d(){this.n.forEach(d)}}let N;function O(e){N=e}function I(){if(!N)throw new Error("Function called outside component initialization");return N}function D(e){I().$$.on_mount.push(e)}function H(e){I().$$.on_destroy.push(e)}const T=[],q=[],U=[],B=[],F=Promise.resolve();let W=!1;function M(){W||(W=!0,F.then(G))}function z(){return M(),F}function V(e){U.push(e)}let J=!1;const K=new Set;function G(){if(!J){J=!0;do{for(let e=0;e<T.length;e+=1){const t=T[e];O(t),Y(t.$$)}for(T.length=0;q.length;)q.pop()();for(let e=0;e<U.length;e+=1){const t=U[e];K.has(t)||(K.add(t),t())}U.length=0}while(T.length);for(;B.length;)B.pop()();W=!1,J=!1,K.clear()}}function Y(e){if(null!==e.fragment){e.update(),a(e.before_update);const t=e.dirty;e.dirty=[-1],e.fragment&&e.fragment.p(e.ctx,t),e.after_update.forEach(V)}}const X=new Set;let Q;function Z(){Q={r:0,c:[],p:Q}}function ee(){Q.r||a(Q.c),Q=Q.p}function te(e,t){e&&e.i&&(X.delete(e),e.i(t))}function ne(e,t,n,r){if(e&&e.o){if(X.has(e))return;X.add(e),Q.c.push(()=>{X.delete(e),r&&(n&&e.d(1),r())}),e.o(t)}}const re="undefined"!=typeof window?window:"undefined"!=typeof globalThis?globalThis:global;function ae(e,t){const n={},r={},a={$$scope:1};let s=e.length;for(;s--;){const o=e[s],l=t[s];if(l){for(const e in o)e in l||(r[e]=1);for(const e in l)a[e]||(n[e]=l[e],a[e]=1);e[s]=l}else for(const e in o)a[e]=1}for(const e in r)e in n||(n[e]=void 0);return n}function se(e){return"object"==typeof e&&null!==e?e:{}}function oe(e){e&&e.c()}function le(e,t){e&&e.l(t)}function ie(e,t,r){const{fragment:o,on_mount:l,on_destroy:i,after_update:c}=e.$$;o&&o.m(t,r),V(()=>{const t=l.map(n).filter(s);i?i.push(...t):a(t),e.$$.on_mount=[]}),c.forEach(V)}function ce(e,t){const n=e.$$;null!==n.fragment&&(a(n.on_destroy),n.fragment&&n.fragment.d(t),n.on_destroy=n.fragment=null,n.ctx=[])}function ue(t,n,s,o,l,i,c=[-1]){const u=N;O(t);const p=n.props||{},f=t.$$={fragment:null,ctx:null,props:i,update:e,not_equal:l,bound:r(),on_mount:[],on_destroy:[],before_update:[],after_update:[],context:new Map(u?u.$$.context:[]),callbacks:r(),dirty:c};let h=!1;if(f.ctx=s?s(t,p,(e,n,...r)=>{const a=r.length?r[0]:n;return f.ctx&&l(f.ctx[e],f.ctx[e]=a)&&(f.bound[e]&&f.bound[e](a),h&&function(e,t){-1===e.$$.dirty[0]&&(T.push(e),M(),e.$$.dirty.fill(0)),e.$$.dirty[t/31|0]|=1<<t%31}(t,e)),n}):[],f.update(),h=!0,a(f.before_update),f.fragment=!!o&&o(f.ctx),n.target){if(n.hydrate){const e=w(n.target);f.fragment&&f.fragment.l(e),e.forEach(d)}else f.fragment&&f.fragment.c();n.intro&&te(t.$$.fragment),ie(t,n.target,n.anchor),G()}O(u)}class pe{$destroy(){ce(this,1),this.$destroy=e}$on(e,t){const n=this.$$.callbacks[e]||(this.$$.callbacks[e]=[]);return n.push(t),()=>{const e=n.indexOf(t);-1!==e&&n.splice(e,1)}}$set(){}}const fe=[];function he(t,n=e){let r;const a=[];function s(e){if(o(t,e)&&(t=e,r)){const e=!fe.length;for(let e=0;e<a.length;e+=1){const n=a[e];n[1](),fe.push(n,t)}if(e){for(let e=0;e<fe.length;e+=2)fe[e][0](fe[e+1]);fe.length=0}}}return{set:s,update:function(e){s(e(t))},subscribe:function(o,l=e){const i=[o,l];return a.push(i),1===a.length&&(r=n(s)||e),o(t),()=>{const e=a.indexOf(i);-1!==e&&a.splice(e,1),0===a.length&&(r(),r=null)}}}}function de(t,n,r){const o=!Array.isArray(t),i=o?[t]:t,c=n.length<2;return function(e,t){return{subscribe:he(e,t).subscribe}}(r,t=>{let r=!1;const u=[];let p=0,f=e;const h=()=>{if(p)return;f();const r=n(o?u[0]:u,t);c?t(r):f=s(r)?r:e},d=i.map((e,t)=>l(e,e=>{u[t]=e,p&=~(1<<t),r&&h()},()=>{p|=1<<t}));return r=!0,h(),function(){a(d),f()}})}const ge={},me=()=>({}),_e=["en","pt"],be="en";function ve(e){const t=e.split("/")[1];return _e.includes(t)?t:"en"}const $e={en:{language_name:"English",language_en:"English",language_pt:"Portuguese",date_locale:"en",og_locale:"en_US",site_description:"Work and writing by Luciano Feijão.",nav_home:"home",nav_about:"about",nav_work:"work",nav_blog:"blog",nav_language:"Language",search_placeholder:"search",home_heading:"Great success!",home_caption:"Have fun with Sapper!",home_hint:"Try editing this file (src/routes/[lang]/index.svelte) to test live reloading.",about_title:"About",about_description:"About this site.",about_heading:"About this site",about_body:"This is the 'about' page. There's not much here.",blog_title:"Blog",blog_description:"Recent posts.",blog_heading:"Recent posts",blog_search:"Search",post_updated:"updated",post_reading_time:"{minutes} min read",post_untranslated:"This post has not been translated yet, so it is shown in {language}.",post_contents:"Contents",post_anchor:"Link to this section",post_navigation:"More posts",post_previous:"Previous",post_next:"Next",tag_title:"Posts tagged #{tag}",tag_all_posts:"All posts",work_title:"Work",work_description:"Selected projects.",work_year:"Year",work_role:"Role",gallery_open:"View full size",lightbox_label:"Image viewer",lightbox_close:"Close",lightbox_previous:"Previous image",lightbox_next:"Next image",lightbox_position:"{index} of {count}",search_title:"Search",search_description:"Search posts and work.",search_label:"Search posts and work",search_result:"{count} result",search_results:"{count} results",search_type_blog:"blog",search_type_work:"work",moved_title:"This page has moved",moved_to:"It now lives at",update_available:"An update is available.",update_reload:"Reload"},pt:{language_name:"Português",language_en:"inglês",language_pt:"português",date_locale:"pt-BR",og_locale:"pt_BR",site_description:"Trabalhos e textos de Luciano Feijão.",nav_home:"início",nav_about:"sobre",nav_work:"trabalhos",nav_blog:"blog",nav_language:"Idioma",search_placeholder:"buscar",home_heading:"Grande sucesso!",home_caption:"Divirta-se com o Sapper!",home_hint:"Experimente editar este arquivo (src/routes/[lang]/index.svelte) para testar o recarregamento ao vivo.",about_title:"Sobre",about_description:"Sobre este site.",about_heading:"Sobre este site",about_body:'Esta é a página "sobre". Não há muito por aqui.',blog_title:"Blog",blog_description:"Posts recentes.",blog_heading:"Posts recentes",blog_search:"Buscar",post_updated:"atualizado em",post_reading_time:"{minutes} min de leitura",post_untranslated:"Este post ainda não foi traduzido, por isso aparece em {language}.",post_contents:"Conteúdo",post_anchor:"Link para esta seção",post_navigation:"Mais posts",post_previous:"Anterior",post_next:"Próximo",tag_title:"Posts com a tag #{tag}",tag_all_posts:"Todos os posts",work_title:"Trabalhos",work_description:"Projetos selecionados.",work_year:"Ano",work_role:"Função",gallery_open:"Ver em tamanho real",lightbox_label:"Visualizador de imagens",lightbox_close:"Fechar",lightbox_previous:"Imagem anterior",lightbox_next:"Próxima imagem",lightbox_position:"{index} de {count}",search_title:"Buscar",search_description:"Busque nos posts e trabalhos.",search_label:"Buscar nos posts e trabalhos",search_result:"{count} resultado",search_results:"{count} resultados",search_type_blog:"blog",search_type_work:"trabalho",moved_title:"Esta página mudou de endereço",moved_to:"Agora ela fica em",update_available:"Há uma atualização disponível.",update_reload:"Recarregar"}};function ye(e,t,n={}){const r=$e[e]||$e.en,a=t in r?r[t]:$e.en[t];if(void 0===a)throw new Error(`Missing message '${t}'`);return a.replace(/\{(\w+)\}/g,(e,t)=>t in n?n[t]:e)}function Ee(e,t){const n=e.split("/");return _e.includes(n[1])&&n.splice(1,1),`/${t}${n.join("/")}`.replace(/\/$/,"")}function Se(){const{page:e}=Ot();return de(e,e=>{const t=ve(e.path);return{lang:t,t:(e,n)=>ye(t,e,n)}})}function we(e,t,n){const r=e.slice();return r[11]=t[n],r}function xe(e){let t,n,r,a,s,o,l,i=e[11].lang+"";return{c(){t=m("li"),n=m("a"),r=_(i),this.h()},l(e){t=x(e,"LI",{class:!0});var a=w(t);n=x(a,"A",{href:!0,hreflang:!0,lang:!0,"aria-label":!0,class:!0});var s=w(n);r=P(s,i),s.forEach(d),a.forEach(d),this.h()},h(){S(n,"href",a=e[11].href),S(n,"hreflang",s=e[11].lang),S(n,"lang",o=e[11].lang),S(n,"aria-label",l=ye(e[11].lang,"nav_language")+": "+ye(e[11].lang,"language_name")),S(n,"class","svelte-1mbidoc"),S(t,"class","language svelte-1mbidoc")},m(e,a){h(e,t,a),f(t,n),f(n,r)},p(e,t){16&t&&i!==(i=e[11].lang+"")&&L(r,i),16&t&&a!==(a=e[11].href)&&S(n,"href",a),16&t&&s!==(s=e[11].lang)&&S(n,"hreflang",s),16&t&&o!==(o=e[11].lang)&&S(n,"lang",o),16&t&&l!==(l=ye(e[11].lang,"nav_language")+": "+ye(e[11].lang,"language_name"))&&S(n,"aria-label",l)},d(e){e&&d(t)}}}function Pe(t){let n,r,s,o,l,i,c,u,p,v,E,j,k,C,N,O,I,D,H,T,q,U,B,F,W,M,z,V,J,K,G,Y,X,Q,Z=t[3]("nav_home")+"",ee=t[3]("nav_about")+"",te=t[3]("nav_work")+"",ne=t[3]("nav_blog")+"",re=t[4],ae=[];for(let e=0;e<re.length;e+=1)ae[e]=xe(we(t,re,e));return{c(){n=m("nav"),r=m("ul"),s=m("li"),o=m("a"),l=_(Z),c=b(),u=m("li"),p=m("a"),v=_(ee),k=b(),C=m("li"),N=m("a"),O=_(te),H=b(),T=m("li"),q=m("a"),U=_(ne),W=b();for(let e=0;e<ae.length;e+=1)ae[e].c();M=b(),z=m("li"),V=m("form"),J=m("input"),this.h()},l(e){n=x(e,"NAV",{class:!0});var t=w(n);r=x(t,"UL",{class:!0});var a=w(r);s=x(a,"LI",{class:!0});var i=w(s);o=x(i,"A",{"aria-current":!0,href:!0,class:!0});var f=w(o);l=P(f,Z),f.forEach(d),i.forEach(d),c=A(a),u=x(a,"LI",{class:!0});var h=w(u);p=x(h,"A",{"aria-current":!0,href:!0,class:!0});var g=w(p);v=P(g,ee),g.forEach(d),h.forEach(d),k=A(a),C=x(a,"LI",{class:!0});var m=w(C);N=x(m,"A",{rel:!0,"aria-current":!0,href:!0,class:!0});var _=w(N);O=P(_,te),_.forEach(d),m.forEach(d),H=A(a),T=x(a,"LI",{class:!0});var b=w(T);q=x(b,"A",{rel:!0,"aria-current":!0,href:!0,class:!0});var $=w(q);U=P($,ne),$.forEach(d),b.forEach(d),W=A(a);for(let e=0;e<ae.length;e+=1)ae[e].l(a);M=A(a),z=x(a,"LI",{class:!0});var y=w(z);V=x(y,"FORM",{action:!0,role:!0});var E=w(V);J=x(E,"INPUT",{type:!0,name:!0,"aria-label":!0,placeholder:!0,class:!0}),E.forEach(d),y.forEach(d),a.forEach(d),t.forEach(d),this.h()},h(){S(o,"aria-current",i=void 0===t[0]?"page":void 0),S(o,"href",t[2]),S(o,"class","svelte-1mbidoc"),S(s,"class","svelte-1mbidoc"),S(p,"aria-current",E="about"===t[0]?"page":void 0),S(p,"href",j=t[2]+"/about"),S(p,"class","svelte-1mbidoc"),S(u,"class","svelte-1mbidoc"),S(N,"rel","prefetch"),S(N,"aria-current",I="work"===t[0]?"page":void 0),S(N,"href",D=t[2]+"/work"),S(N,"class","svelte-1mbidoc"),S(C,"class","svelte-1mbidoc"),S(q,"rel","prefetch"),S(q,"aria-current",B="blog"===t[0]?"page":void 0),S(q,"href",F=t[2]+"/blog"),S(q,"class","svelte-1mbidoc"),S(T,"class","svelte-1mbidoc"),S(J,"type","search"),S(J,"name","q"),S(J,"aria-label",K=t[3]("search_title")),S(J,"placeholder",G=t[3]("search_placeholder")),S(J,"class","svelte-1mbidoc"),S(V,"action",Y=t[2]+"/search"),S(V,"role","search"),S(z,"class","search svelte-1mbidoc"),S(r,"class","svelte-1mbidoc"),S(n,"class","svelte-1mbidoc")},m(e,a){h(e,n,a),f(n,r),f(r,s),f(s,o),f(o,l),f(r,c),f(r,u),f(u,p),f(p,v),f(r,k),f(r,C),f(C,N),f(N,O),f(r,H),f(r,T),f(T,q),f(q,U),f(r,W);for(let e=0;e<ae.length;e+=1)ae[e].m(r,null);f(r,M),f(r,z),f(z,V),f(V,J),R(J,t[1]),X||(Q=[$(J,"input",t[8]),$(V,"submit",y(t[7]))],X=!0)},p(e,[t]){if(8&t&&Z!==(Z=e[3]("nav_home")+"")&&L(l,Z),1&t&&i!==(i=void 0===e[0]?"page":void 0)&&S(o,"aria-current",i),4&t&&S(o,"href",e[2]),8&t&&ee!==(ee=e[3]("nav_about")+"")&&L(v,ee),1&t&&E!==(E="about"===e[0]?"page":void 0)&&S(p,"aria-current",E),4&t&&j!==(j=e[2]+"/about")&&S(p,"href",j),8&t&&te!==(te=e[3]("nav_work")+"")&&L(O,te),1&t&&I!==(I="work"===e[0]?"page":void 0)&&S(N,"aria-current",I),4&t&&D!==(D=e[2]+"/work")&&S(N,"href",D),8&t&&ne!==(ne=e[3]("nav_blog")+"")&&L(U,ne),1&t&&B!==(B="blog"===e[0]?"page":void 0)&&S(q,"aria-current",B),4&t&&F!==(F=e[2]+"/blog")&&S(q,"href",F),16&t){let n;for(re=e[4],n=0;n<re.length;n+=1){const a=we(e,re,n);ae[n]?ae[n].p(a,t):(ae[n]=xe(a),ae[n].c(),ae[n].m(r,M))}for(;n<ae.length;n+=1)ae[n].d(1);ae.length=re.length}8&t&&K!==(K=e[3]("search_title"))&&S(J,"aria-label",K),8&t&&G!==(G=e[3]("search_placeholder"))&&S(J,"placeholder",G),2&t&&R(J,e[1]),4&t&&Y!==(Y=e[2]+"/search")&&S(V,"action",Y)},i:e,o:e,d(e){e&&d(n),g(ae,e),X=!1,a(Q)}}}function Ae(e,t,n){let r,a,{segment:s}=t;const{page:o}=Ot();i(e,o,e=>n(10,a=e));const l=Se();i(e,l,e=>n(9,r=e));let c,u,p,f="";return e.$set=e=>{"segment"in e&&n(0,s=e.segment)},e.$$.update=()=>{512&e.$$.dirty&&n(2,({lang:c,t:u}=r),c,(n(3,u),n(9,r))),1028&e.$$.dirty&&n(4,p=_e.filter(e=>e!==c).map(e=>({lang:e,href:Ee(a.path,e).slice(1)})))},[s,f,c,u,p,o,l,function(){nt(`${c}/search?q=${encodeURIComponent(f)}`),n(1,f="")},function(){f=this.value,n(1,f)}]}class Le extends pe{constructor(e){super(),ue(this,e,Ae,Pe,o,{segment:0})}}function Re(e){let t,n,r,a,s,o,l,i=e[1].t("update_available")+"",c=e[1].t("update_reload")+"";return{c(){t=m("div"),n=_(i),r=b(),a=m("button"),s=_(c),this.h()},l(e){t=x(e,"DIV",{role:!0,class:!0});var o=w(t);n=P(o,i),r=A(o),a=x(o,"BUTTON",{class:!0});var l=w(a);s=P(l,c),l.forEach(d),o.forEach(d),this.h()},h(){S(a,"class","svelte-ydmezx"),S(t,"role","status"),S(t,"class","svelte-ydmezx")},m(i,c){h(i,t,c),f(t,n),f(t,r),f(t,a),f(a,s),o||(l=$(a,"click",e[3]),o=!0)},p(e,t){2&t&&i!==(i=e[1].t("update_available")+"")&&L(n,i),2&t&&c!==(c=e[1].t("update_reload")+"")&&L(s,c)},d(e){e&&d(t),o=!1,l()}}}function je(t){let n,r=t[0]&&Re(t);return{c(){r&&r.c(),n=v()},l(e){r&&r.l(e),n=v()},m(e,t){r&&r.m(e,t),h(e,n,t)},p(e,[t]){e[0]?r?r.p(e,t):(r=Re(e),r.c(),r.m(n.parentNode,n)):r&&(r.d(1),r=null)},i:e,o:e,d(e){r&&r.d(e),e&&d(n)}}}function ke(e,t,n){let r;const a=Se();i(e,a,e=>n(1,r=e));let s=null;return D(()=>{if(!("serviceWorker"in navigator))return;let e=!1;navigator.serviceWorker.addEventListener("controllerchange",()=>{e||(e=!0,location.reload())}),navigator.serviceWorker.getRegistration().then(e=>{if(!e)return;const t=e=>{e.addEventListener("statechange",()=>{"installed"===e.state&&navigator.serviceWorker.controller&&n(0,s=e)})};e.waiting&&navigator.serviceWorker.controller&&n(0,s=e.waiting),e.installing&&t(e.installing),e.addEventListener("updatefound",()=>t(e.installing))})}),[s,r,a,function(){s.postMessage({type:"SKIP_WAITING"})}]}class Ce extends pe{constructor(e){super(),ue(this,e,ke,je,o,{})}}const Ne="Luciano Feijão";function Oe(e){return new URL(e,"https://lucianofeijao.github.io/").href}function Ie(e){return Oe(e&&!e.endsWith("/")?e+"/":e)}const{document:De}=re;function He(e){let t,n,r,a,s,o,l,i,u,g,v,$,y,E,L,R,j,C,N,O,I,D,H,T,q,U;i=new Le({props:{segment:e[0]}});const B=e[3].default,F=c(B,e,e[2],null);return q=new Ce({}),{c(){t=m("link"),r=m("link"),s=m("link"),l=b(),oe(i.$$.fragment),u=b(),g=m("main"),F&&F.c(),v=b(),$=m("footer"),y=m("a"),E=_("Atom"),L=_(" ·\n\t"),R=m("a"),j=_("RSS"),C=_(" ·\n\t"),N=m("a"),O=_("JSON Feed"),I=_(" ·\n\t"),D=m("a"),H=_("Sitemap"),T=b(),oe(q.$$.fragment),this.h()},l(e){const n=k('[data-svelte="svelte-57tx8y"]',De.head);t=x(n,"LINK",{rel:!0,type:!0,title:!0,href:!0}),r=x(n,"LINK",{rel:!0,type:!0,title:!0,href:!0}),s=x(n,"LINK",{rel:!0,type:!0,title:!0,href:!0}),n.forEach(d),l=A(e),le(i.$$.fragment,e),u=A(e),g=x(e,"MAIN",{class:!0});var a=w(g);F&&F.l(a),a.forEach(d),v=A(e),$=x(e,"FOOTER",{class:!0});var o=w($);y=x(o,"A",{href:!0});var c=w(y);E=P(c,"Atom"),c.forEach(d),L=P(o," ·\n\t"),R=x(o,"A",{href:!0});var p=w(R);j=P(p,"RSS"),p.forEach(d),C=P(o," ·\n\t"),N=x(o,"A",{href:!0});var f=w(N);O=P(f,"JSON Feed"),f.forEach(d),I=P(o," ·\n\t"),D=x(o,"A",{href:!0});var h=w(D);H=P(h,"Sitemap"),h.forEach(d),o.forEach(d),T=A(e),le(q.$$.fragment,e),this.h()},h(){S(t,"rel","alternate"),S(t,"type","application/atom+xml"),S(t,"title",n=Ne+" (Atom)"),S(t,"href","feed.xml"),S(r,"rel","alternate"),S(r,"type","application/rss+xml"),S(r,"title",a=Ne+" (RSS)"),S(r,"href","rss.xml"),S(s,"rel","alternate"),S(s,"type","application/feed+json"),S(s,"title",o=Ne+" (JSON Feed)"),S(s,"href","feed.json"),S(g,"class","svelte-tamcv5"),S(y,"href","feed.xml"),S(R,"href","rss.xml"),S(N,"href","feed.json"),S(D,"href","sitemap.xml"),S($,"class","svelte-tamcv5")},m(e,n){f(De.head,t),f(De.head,r),f(De.head,s),h(e,l,n),ie(i,e,n),h(e,u,n),h(e,g,n),F&&F.m(g,null),h(e,v,n),h(e,$,n),f($,y),f(y,E),f($,L),f($,R),f(R,j),f($,C),f($,N),f(N,O),f($,I),f($,D),f(D,H),h(e,T,n),ie(q,e,n),U=!0},p(e,[t]){const n={};1&t&&(n.segment=e[0]),i.$set(n),F&&F.p&&4&t&&p(F,B,e,e[2],t,null,null)},i(e){U||(te(i.$$.fragment,e),te(F,e),te(q.$$.fragment,e),U=!0)},o(e){ne(i.$$.fragment,e),ne(F,e),ne(q.$$.fragment,e),U=!1},d(e){d(t),d(r),d(s),e&&d(l),ce(i,e),e&&d(u),e&&d(g),F&&F.d(e),e&&d(v),e&&d($),e&&d(T),ce(q,e)}}}function Te(e,t,n){let r;const{page:a}=Ot();i(e,a,e=>n(5,r=e));let s,o,l,{$$slots:c={},$$scope:u}=t;return e.$set=e=>{"$$scope"in e&&n(2,u=e.$$scope)},e.$$.update=()=>{32&e.$$.dirty&&n(4,s=ve(r.path)),32&e.$$.dirty&&n(6,o=r.path.replace(/\/$/,"").split("/")),64&e.$$.dirty&&n(0,l=_e.includes(o[1])?o[2]:null),16&e.$$.dirty&&"undefined"!=typeof document&&(document.documentElement.lang=s)},[l,a,u,c]}class qe extends pe{constructor(e){super(),ue(this,e,Te,He,o,{})}}function Ue(e){let t,n,r=e[1].stack+"";return{c(){t=m("pre"),n=_(r)},l(e){t=x(e,"PRE",{});var a=w(t);n=P(a,r),a.forEach(d)},m(e,r){h(e,t,r),f(t,n)},p(e,t){2&t&&r!==(r=e[1].stack+"")&&L(n,r)},d(e){e&&d(t)}}}function Be(t){let n,r,a,s,o,l,i,c,u,p=t[1].message+"";document.title=n=t[0];let g=t[2]&&t[1].stack&&Ue(t);return{c(){r=b(),a=m("h1"),s=_(t[0]),o=b(),l=m("p"),i=_(p),c=b(),g&&g.c(),u=v(),this.h()},l(e){k('[data-svelte="svelte-1o9r2ue"]',document.head).forEach(d),r=A(e),a=x(e,"H1",{class:!0});var n=w(a);s=P(n,t[0]),n.forEach(d),o=A(e),l=x(e,"P",{class:!0});var f=w(l);i=P(f,p),f.forEach(d),c=A(e),g&&g.l(e),u=v(),this.h()},h(){S(a,"class","svelte-8od9u6"),S(l,"class","svelte-8od9u6")},m(e,t){h(e,r,t),h(e,a,t),f(a,s),h(e,o,t),h(e,l,t),f(l,i),h(e,c,t),g&&g.m(e,t),h(e,u,t)},p(e,[t]){1&t&&n!==(n=e[0])&&(document.title=n),1&t&&L(s,e[0]),2&t&&p!==(p=e[1].message+"")&&L(i,p),e[2]&&e[1].stack?g?g.p(e,t):(g=Ue(e),g.c(),g.m(u.parentNode,u)):g&&(g.d(1),g=null)},i:e,o:e,d(e){e&&d(r),e&&d(a),e&&d(o),e&&d(l),e&&d(c),g&&g.d(e),e&&d(u)}}}function Fe(e,t,n){let{status:r}=t,{error:a}=t;return e.$set=e=>{"status"in e&&n(0,r=e.status),"error"in e&&n(1,a=e.error)},[r,a,!1]}class We extends pe{constructor(e){super(),ue(this,e,Fe,Be,o,{status:0,error:1})}}function Me(e){let n,r,a;const s=[{segment:e[2][1]},e[4].props];var o=e[4].component;function l(e){let n={$$slots:{default:[Je]},$$scope:{ctx:e}};for(let e=0;e<s.length;e+=1)n=t(n,s[e]);return{props:n}}return o&&(n=new o(l(e))),{c(){n&&oe(n.$$.fragment),r=v()},l(e){n&&le(n.$$.fragment,e),r=v()},m(e,t){n&&ie(n,e,t),h(e,r,t),a=!0},p(e,t){const a=20&t?ae(s,[4&t&&{segment:e[2][1]},16&t&&se(e[4].props)]):{};if(288&t&&(a.$$scope={dirty:t,ctx:e}),o!==(o=e[4].component)){if(n){Z();const e=n;ne(e.$$.fragment,1,0,()=>{ce(e,1)}),ee()}o?(n=new o(l(e)),oe(n.$$.fragment),te(n.$$.fragment,1),ie(n,r.parentNode,r)):n=null}else o&&n.$set(a)},i(e){a||(n&&te(n.$$.fragment,e),a=!0)},o(e){n&&ne(n.$$.fragment,e),a=!1},d(e){e&&d(r),n&&ce(n,e)}}}function ze(e){let t,n;return t=new We({props:{error:e[0],status:e[1]}}),{c(){oe(t.$$.fragment)},l(e){le(t.$$.fragment,e)},m(e,r){ie(t,e,r),n=!0},p(e,n){const r={};1&n&&(r.error=e[0]),2&n&&(r.status=e[1]),t.$set(r)},i(e){n||(te(t.$$.fragment,e),n=!0)},o(e){ne(t.$$.fragment,e),n=!1},d(e){ce(t,e)}}}function Ve(e){let n,r,a;const s=[e[5].props];var o=e[5].component;function l(e){let n={};for(let e=0;e<s.length;e+=1)n=t(n,s[e]);return{props:n}}return o&&(n=new o(l())),{c(){n&&oe(n.$$.fragment),r=v()},l(e){n&&le(n.$$.fragment,e),r=v()},m(e,t){n&&ie(n,e,t),h(e,r,t),a=!0},p(e,t){const a=32&t?ae(s,[se(e[5].props)]):{};if(o!==(o=e[5].component)){if(n){Z();const e=n;ne(e.$$.fragment,1,0,()=>{ce(e,1)}),ee()}o?(n=new o(l()),oe(n.$$.fragment),te(n.$$.fragment,1),ie(n,r.parentNode,r)):n=null}else o&&n.$set(a)},i(e){a||(n&&te(n.$$.fragment,e),a=!0)},o(e){n&&ne(n.$$.fragment,e),a=!1},d(e){e&&d(r),n&&ce(n,e)}}}function Je(e){let t,n,r=e[5]&&Ve(e);return{c(){r&&r.c(),t=v()},l(e){r&&r.l(e),t=v()},m(e,a){r&&r.m(e,a),h(e,t,a),n=!0},p(e,n){e[5]?r?(r.p(e,n),32&n&&te(r,1)):(r=Ve(e),r.c(),te(r,1),r.m(t.parentNode,t)):r&&(Z(),ne(r,1,1,()=>{r=null}),ee())},i(e){n||(te(r),n=!0)},o(e){ne(r),n=!1},d(e){r&&r.d(e),e&&d(t)}}}function Ke(e){let t,n,r,a;const s=[ze,Me],o=[];function l(e,t){return e[0]?0:1}return t=l(e),n=o[t]=s[t](e),{c(){n.c(),r=v()},l(e){n.l(e),r=v()},m(e,n){o[t].m(e,n),h(e,r,n),a=!0},p(e,a){let i=t;t=l(e),t===i?o[t].p(e,a):(Z(),ne(o[i],1,1,()=>{o[i]=null}),ee(),n=o[t],n||(n=o[t]=s[t](e),n.c()),te(n,1),n.m(r.parentNode,r))},i(e){a||(te(n),a=!0)},o(e){ne(n),a=!1},d(e){o[t].d(e),e&&d(r)}}}function Ge(e){let n,r;const a=[{segment:e[2][0]},e[3].props];let s={$$slots:{default:[Ke]},$$scope:{ctx:e}};for(let e=0;e<a.length;e+=1)s=t(s,a[e]);return n=new qe({props:s}),{c(){oe(n.$$.fragment)},l(e){le(n.$$.fragment,e)},m(e,t){ie(n,e,t),r=!0},p(e,[t]){const r=12&t?ae(a,[4&t&&{segment:e[2][0]},8&t&&se(e[3].props)]):{};311&t&&(r.$$scope={dirty:t,ctx:e}),n.$set(r)},i(e){r||(te(n.$$.fragment,e),r=!0)},o(e){ne(n.$$.fragment,e),r=!1},d(e){ce(n,e)}}}function Ye(e,t,n){let{stores:r}=t,{error:a}=t,{status:s}=t,{segments:o}=t,{level0:l}=t,{level1:i=null}=t,{level2:c=null}=t,{notify:u}=t;var p,f,h;return p=u,I().$$.after_update.push(p),f=ge,h=r,I().$$.context.set(f,h),e.$set=e=>{"stores"in e&&n(6,r=e.stores),"error"in e&&n(0,a=e.error),"status"in e&&n(1,s=e.status),"segments"in e&&n(2,o=e.segments),"level0"in e&&n(3,l=e.level0),"level1"in e&&n(4,i=e.level1),"level2"in e&&n(5,c=e.level2),"notify"in e&&n(7,u=e.notify)},[a,s,o,l,i,c,r,u]}class Xe extends pe{constructor(e){super(),ue(this,e,Ye,Ge,o,{stores:6,error:0,status:1,segments:2,level0:3,level1:4,level2:5,notify:7})}}const Qe=[/^\/sitemap\.xml$/,/^\/feed\.json$/,/^\/feed\.xml$/,/^\/rss\.xml$/,/^\/blog\.json$/,/^\/blog\/tag\/([^\/]+?)\.json$/,/^\/blog\/([^\/]+?)\.json$/,/^\/work\.json$/,/^\/work\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/search\.json$/,/^\/([^\/]+?)\/blog\.json$/,/^\/([^\/]+?)\/blog\/tag\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/blog\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/work\.json$/,/^\/([^\/]+?)\/work\/([^\/]+?)\.json$/],Ze=[{js:()=>import("./index.8f24d290.js"),css:[]},{js:()=>import("./search.627cb281.js"),css:[]},{js:()=>import("./about.3f2450eb.js"),css:[]},{js:()=>import("./index.4aaf7cd6.js"),css:[]},{js:()=>import("./[tag].e1ef5429.js"),css:[]},{js:()=>import("./[slug].6c0f18fc.js"),css:[]},{js:()=>import("./index.830f7f9b.js"),css:[]},{js:()=>import("./[slug].3a43d09c.js"),css:[]},{js:()=>import("./_layout.651b4ffb.js"),css:[]},{js:()=>import("./index.b02f1080.js"),css:[]},{js:()=>import("./search.f5ef75a0.js"),css:[]},{js:()=>import("./about.59e1dcd8.js"),css:[]},{js:()=>import("./index.138eac3e.js"),css:[]},{js:()=>import("./[tag].36fda1c6.js"),css:[]},{js:()=>import("./[slug].77376ba0.js"),css:[]},{js:()=>import("./index.e64cf02e.js"),css:[]},{js:()=>import("./[slug].d921a1c7.js"),css:[]}],et=(tt=decodeURIComponent,[{pattern:/^\/$/,parts:[{i:0}]},{pattern:/^\/search\/?$/,parts:[{i:1}]},{pattern:/^\/about\/?$/,parts:[{i:2}]},{pattern:/^\/blog\/?$/,parts:[{i:3}]},{pattern:/^\/blog\/tag\/([^\/]+?)\/?$/,parts:[null,null,{i:4,params:e=>({tag:tt(e[1])})}]},{pattern:/^\/blog\/([^\/]+?)\/?$/,parts:[null,{i:5,params:e=>({slug:tt(e[1])})}]},{pattern:/^\/work\/?$/,parts:[{i:6}]},{pattern:/^\/work\/([^\/]+?)\/?$/,parts:[null,{i:7,params:e=>({slug:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},{i:9,params:e=>({lang:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/search\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},{i:10,params:e=>({lang:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/about\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},{i:11,params:e=>({lang:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/blog\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},{i:12,params:e=>({lang:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/blog\/tag\/([^\/]+?)\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},null,null,{i:13,params:e=>({lang:tt(e[1]),tag:tt(e[2])})}]},{pattern:/^\/([^\/]+?)\/blog\/([^\/]+?)\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},null,{i:14,params:e=>({lang:tt(e[1]),slug:tt(e[2])})}]},{pattern:/^\/([^\/]+?)\/work\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},{i:15,params:e=>({lang:tt(e[1])})}]},{pattern:/^\/([^\/]+?)\/work\/([^\/]+?)\/?$/,parts:[{i:8,params:e=>({lang:tt(e[1])})},null,{i:16,params:e=>({lang:tt(e[1]),slug:tt(e[2])})}]}]);var tt;function nt(e,t={replaceState:!1}){const n=$t(new URL(e,document.baseURI));return n?(_t[t.replaceState?"replaceState":"pushState"]({id:gt},"",e),Et(n,null).then(()=>{})):(location.href=e,new Promise(e=>{}))}const rt="undefined"!=typeof __SAPPER__&&__SAPPER__;let at,st,ot,lt=!1,it=[],ct="{}";const ut={page:function(e){const t=he(e);let n=!0;return{notify:function(){n=!0,t.update(e=>e)},set:function(e){n=!1,t.set(e)},subscribe:function(e){let r;return t.subscribe(t=>{(void 0===r||n&&t!==r)&&e(r=t)})}}}({}),preloading:he(null),session:he(rt&&rt.session)};let pt,ft;ut.session.subscribe(async e=>{if(pt=e,!lt)return;ft=!0;const t=$t(new URL(location.href)),n=st={},{redirect:r,props:a,branch:s}=await wt(t);n===st&&await St(r,s,a,t.page)});let ht,dt=null;let gt,mt=1;const _t="undefined"!=typeof history?history:{pushState:(e,t,n)=>{},replaceState:(e,t,n)=>{},scrollRestoration:""},bt={};function vt(e){const t=Object.create(null);return e.length>0&&e.slice(1).split("&").forEach(e=>{let[,n,r=""]=/([^=]*)(?:=(.*))?/.exec(decodeURIComponent(e.replace(/\+/g," ")));"string"==typeof t[n]&&(t[n]=[t[n]]),"object"==typeof t[n]?t[n].push(r):t[n]=r}),t}function $t(e){if(e.origin!==location.origin)return null;if(!e.pathname.startsWith(rt.baseUrl))return null;let t=e.pathname.slice(rt.baseUrl.length);if(""===t&&(t="/"),!Qe.some(e=>e.test(t)))for(let n=0;n<et.length;n+=1){const r=et[n],a=r.pattern.exec(t);if(a){const n=vt(e.search),s=r.parts[r.parts.length-1],o=s.params?s.params(a):{},l={host:location.host,path:t,query:n,params:o};return{href:e.href,route:r,match:a,page:l}}}}function yt(){return{x:pageXOffset,y:pageYOffset}}async function Et(e,t,n,r){if(t)gt=t;else{const e=yt();bt[gt]=e,t=gt=++mt,bt[gt]=n?e:{x:0,y:0}}gt=t,at&&ut.preloading.set(!0);const a=dt&&dt.href===e.href?dt.promise:wt(e);dt=null;const s=st={},{redirect:o,props:l,branch:i}=await a;if(s===st&&(await St(o,i,l,e.page),document.activeElement&&document.activeElement.blur(),!n)){let e=bt[t];if(r){const t=document.getElementById(r.slice(1));t&&(e={x:0,y:t.getBoundingClientRect().top+scrollY})}bt[gt]=e,e&&scrollTo(e.x,e.y)}}async function St(e,t,n,r){if(e)return nt(e.location,{replaceState:!0});if(ut.page.set(r),ut.preloading.set(!1),at)at.$set(n);else{n.stores={page:{subscribe:ut.page.subscribe},preloading:{subscribe:ut.preloading.subscribe},session:ut.session},n.level0={props:await ot},n.notify=ut.page.notify;const e=document.querySelector("#sapper-head-start"),t=document.querySelector("#sapper-head-end");if(e&&t){for(;e.nextSibling!==t;)Pt(e.nextSibling);Pt(e),Pt(t)}at=new Xe({target:ht,props:n,hydrate:!0})}it=t,ct=JSON.stringify(r.query),lt=!0,ft=!1}async function wt(e){const{route:t,page:n}=e,r=n.path.split("/").filter(Boolean);let a=null;const s={error:null,status:200,segments:[r[0]]},o={fetch:(e,t)=>fetch(e,t),redirect:(e,t)=>{if(a&&(a.statusCode!==e||a.location!==t))throw new Error("Conflicting redirects");a={statusCode:e,location:t}},error:(e,t)=>{s.error="string"==typeof t?new Error(t):t,s.status=e}};let l;ot||(ot=rt.preloaded[0]||me.call(o,{host:n.host,path:n.path,query:n.query,params:{}},pt));let i=1;try{const a=JSON.stringify(n.query),c=t.pattern.exec(n.path);let u=!1;l=await Promise.all(t.parts.map(async(t,l)=>{const p=r[l];if(function(e,t,n,r){if(r!==ct)return!0;const a=it[e];return!!a&&(t!==a.segment||(!(!a.match||JSON.stringify(a.match.slice(1,e+2))===JSON.stringify(n.slice(1,e+2)))||void 0))}(l,p,c,a)&&(u=!0),s.segments[i]=r[l+1],!t)return{segment:p};const f=i++;if(!ft&&!u&&it[l]&&it[l].part===t.i)return it[l];u=!1;const{default:h,preload:d}=await function(e){const t="string"==typeof e.css?[]:e.css.map(xt);return t.unshift(e.js()),Promise.all(t).then(e=>e[0])}(Ze[t.i]);let g;return g=lt||!rt.preloaded[l+1]?d?await d.call(o,{host:n.host,path:n.path,query:n.query,params:t.params?t.params(e.match):{}},pt):{}:rt.preloaded[l+1],s["level"+f]={component:h,props:g,segment:p,match:c,part:t.i}}))}catch(e){s.error=e,s.status=500,l=[]}return{redirect:a,props:s,branch:l}}function xt(e){const t="client/"+e;if(!document.querySelector(`link[href="${t}"]`))return new Promise((e,n)=>{const r=document.createElement("link");r.rel="stylesheet",r.href=t,r.onload=()=>e(),r.onerror=n,document.head.appendChild(r)})}function Pt(e){e.parentNode.removeChild(e)}function At(e){const t=$t(new URL(e,document.baseURI));if(t)return dt&&e===dt.href||function(e,t){dt={href:e,promise:t}}(e,wt(t)),dt.promise}let Lt;function Rt(e){clearTimeout(Lt),Lt=setTimeout(()=>{jt(e)},20)}function jt(e){const t=Ct(e.target);t&&"prefetch"===t.rel&&At(t.href)}function kt(e){if(1!==function(e){return null===e.which?e.button:e.which}(e))return;if(e.metaKey||e.ctrlKey||e.shiftKey)return;if(e.defaultPrevented)return;const t=Ct(e.target);if(!t)return;if(!t.href)return;const n="object"==typeof t.href&&"SVGAnimatedString"===t.href.constructor.name,r=String(n?t.href.baseVal:t.href);if(r===location.href)return void(location.hash||e.preventDefault());if(t.hasAttribute("download")||"external"===t.getAttribute("rel"))return;if(n?t.target.baseVal:t.target)return;const a=new URL(r);if(a.pathname===location.pathname&&a.search===location.search)return;const s=$t(a);if(s){Et(s,null,t.hasAttribute("sapper-noscroll"),a.hash),e.preventDefault(),_t.pushState({id:gt},"",a.href)}}function Ct(e){for(;e&&"A"!==e.nodeName.toUpperCase();)e=e.parentNode;return e}function Nt(e){if(bt[gt]=yt(),e.state){const t=$t(new URL(location.href));t?Et(t,e.state.id):location.href=location.href}else mt=mt+1,function(e){gt=e}(mt),_t.replaceState({id:gt},"",location.href)}const Ot=()=>{return e=ge,I().$$.context.get(e);var e};var It;It={target:document.querySelector("#sapper")},"scrollRestoration"in _t&&(_t.scrollRestoration="manual"),addEventListener("beforeunload",()=>{_t.scrollRestoration="auto"}),addEventListener("load",()=>{_t.scrollRestoration="manual"}),function(e){ht=e}(It.target),addEventListener("click",kt),addEventListener("popstate",Nt),addEventListener("touchstart",jt),addEventListener("mousemove",Rt),Promise.resolve().then(()=>{const{hash:e,href:t}=location;_t.replaceState({id:mt},"",t);const n=new URL(location.href);if(rt.error)return function(e){const{host:t,pathname:n,search:r}=location,{session:a,preloaded:s,status:o,error:l}=rt;ot||(ot=s&&s[0]),St(null,[],{error:l,status:o,session:a,level0:{props:ot},level1:{props:{status:o,error:l},component:We},segments:s},{host:t,path:n,query:vt(r),params:{}})}();const r=$t(n);return r?Et(r,mt,!0,e):void 0});export{be as A,v as B,k as C,Ot as D,i as E,Se as F,Ie as G,Ee as H,Oe as I,C as J,c as K,L,p as M,V as N,j as O,$ as P,E as Q,a as R,pe as S,Z as T,ee as U,H as V,q as W,z as X,R as Y,y as Z,_ as a,w as b,x as c,P as d,m as e,d as f,S as g,h,ue as i,f as j,oe as k,b as l,le as m,e as n,A as o,ie as p,_e as q,te as r,o as s,Ne as t,ne as u,ce as v,g as w,D as x,ye as y,nt as z};
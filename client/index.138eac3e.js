@@ -0,0 +1 @@
+import{S as s,i as t,s as e,k as a,l as r,e as o,a as n,m as i,o as p,c,b as f,d as h,f as l,g as $,p as g,h as m,j as d,L as u,r as b,u as _,v as j,F as v,E}from"./client.46811942.js";import{H as P}from"./Head.e502e17e.js";import"./PostMeta.b7503def.js";import{P as x}from"./PostList.66118191.js";function H(s){let t,e,v,E,H,w,y,L,k,q,A,F,M=s[2]("blog_heading")+"",S=s[2]("blog_search")+"";return t=new P({props:{title:s[2]("blog_title"),description:s[2]("blog_description")}}),w=new x({props:{posts:s[0]}}),{c(){a(t.$$.fragment),e=r(),v=o("h1"),E=n(M),H=r(),a(w.$$.fragment),y=r(),L=o("p"),k=o("a"),q=n(S),this.h()},l(s){i(t.$$.fragment,s),e=p(s),v=c(s,"H1",{});var a=f(v);E=h(a,M),a.forEach(l),H=p(s),i(w.$$.fragment,s),y=p(s),L=c(s,"P",{});var r=f(L);k=c(r,"A",{rel:!0,href:!0});var o=f(k);q=h(o,S),o.forEach(l),r.forEach(l),this.h()},h(){$(k,"rel","prefetch"),$(k,"href",A=s[1]+"/search")},m(s,a){g(t,s,a),m(s,e,a),m(s,v,a),d(v,E),m(s,H,a),g(w,s,a),m(s,y,a),m(s,L,a),d(L,k),d(k,q),F=!0},p(s,[e]){const a={};4&e&&(a.title=s[2]("blog_title")),4&e&&(a.description=s[2]("blog_description")),t.$set(a),(!F||4&e)&&M!==(M=s[2]("blog_heading")+"")&&u(E,M);const r={};1&e&&(r.posts=s[0]),w.$set(r),(!F||4&e)&&S!==(S=s[2]("blog_search")+"")&&u(q,S),(!F||2&e&&A!==(A=s[1]+"/search"))&&$(k,"href",A)},i(s){F||(b(t.$$.fragment,s),b(w.$$.fragment,s),F=!0)},o(s){_(t.$$.fragment,s),_(w.$$.fragment,s),F=!1},d(s){j(t,s),s&&l(e),s&&l(v),s&&l(H),j(w,s),s&&l(y),s&&l(L)}}}function w({params:s,query:t}){return this.fetch(s.lang+"/blog.json").then(s=>s.json()).then(s=>({posts:s}))}function y(s,t,e){let a,{posts:r}=t;const o=v();let n,i;return E(s,o,s=>e(4,a=s)),s.$set=s=>{"posts"in s&&e(0,r=s.posts)},s.$$.update=()=>{16&s.$$.dirty&&e(1,({lang:n,t:i}=a),n,(e(2,i),e(4,a)))},[r,n,i,o]}export default class extends s{constructor(s){super(),t(this,s,y,H,e,{posts:0})}}export{w as preload};
@@ -0,0 +1 @@
+import{S as t,i as s,s as e,A as l,k as r,m as n,p as o,r as a,u as f,v as c,e as h,a as u,c as i,b as p,d as g,f as m,g as $,h as d,j as b,L as j,w as v}from"./client.46811942.js";import{M as x}from"./Moved.65e0fa97.js";function E(t,s,e){const l=t.slice();return l[1]=s[e],l}function L(t){let s,e,r,n,o=t[1].title+"";return{c(){s=h("li"),e=h("a"),r=u(o),this.h()},l(t){s=i(t,"LI",{});var l=p(s);e=i(l,"A",{href:!0});var n=p(e);r=g(n,o),n.forEach(m),l.forEach(m),this.h()},h(){$(e,"href",n=l+"/blog/"+t[1].slug)},m(t,l){d(t,s,l),b(s,e),b(e,r)},p(t,s){1&s&&o!==(o=t[1].title+"")&&j(r,o),1&s&&n!==(n=l+"/blog/"+t[1].slug)&&$(e,"href",n)},d(t){t&&m(s)}}}function w(t){let s,e=t[0],l=[];for(let s=0;s<e.length;s+=1)l[s]=L(E(t,e,s));return{c(){s=h("ul");for(let t=0;t<l.length;t+=1)l[t].c()},l(t){s=i(t,"UL",{});var e=p(s);for(let t=0;t<l.length;t+=1)l[t].l(e);e.forEach(m)},m(t,e){d(t,s,e);for(let t=0;t<l.length;t+=1)l[t].m(s,null)},p(t,r){if(1&r){let n;for(e=t[0],n=0;n<e.length;n+=1){const o=E(t,e,n);l[n]?l[n].p(o,r):(l[n]=L(o),l[n].c(),l[n].m(s,null))}for(;n<l.length;n+=1)l[n].d(1);l.length=e.length}},d(t){t&&m(s),v(l,t)}}}function y(t){let s,e;return s=new x({props:{path:l+"/blog",$$slots:{default:[w]},$$scope:{ctx:t}}}),{c(){r(s.$$.fragment)},l(t){n(s.$$.fragment,t)},m(t,l){o(s,t,l),e=!0},p(t,[e]){const l={};17&e&&(l.$$scope={dirty:e,ctx:t}),s.$set(l)},i(t){e||(a(s.$$.fragment,t),e=!0)},o(t){f(s.$$.fragment,t),e=!1},d(t){c(s,t)}}}function A({params:t,query:s}){return this.fetch("blog.json").then(t=>t.json()).then(t=>({posts:t.map(({title:t,slug:s})=>({title:t,slug:s}))}))}function M(t,s,e){let{posts:l}=s;return t.$set=t=>{"posts"in t&&e(0,l=t.posts)},[l]}export default class extends t{constructor(t){super(),s(this,t,M,y,e,{posts:0})}}export{A as preload};
@@ -0,0 +1 @@
+import{S as t,i as e,s,A as r,k as n,m as o,p as a,r as l,u as c,v as f,e as h,a as u,c as i,b as p,d as g,f as m,g as $,h as d,j,L as w,w as k}from"./client.46811942.js";import{M as v}from"./Moved.65e0fa97.js";function x(t,e,s){const r=t.slice();return r[1]=e[s],r}function E(t){let e,s,n,o,a=t[1].title+"";return{c(){e=h("li"),s=h("a"),n=u(a),this.h()},l(t){e=i(t,"LI",{});var r=p(e);s=i(r,"A",{href:!0});var o=p(s);n=g(o,a),o.forEach(m),r.forEach(m),this.h()},h(){$(s,"href",o=r+"/work/"+t[1].slug)},m(t,r){d(t,e,r),j(e,s),j(s,n)},p(t,e){1&e&&a!==(a=t[1].title+"")&&w(n,a),1&e&&o!==(o=r+"/work/"+t[1].slug)&&$(s,"href",o)},d(t){t&&m(e)}}}function L(t){let e,s=t[0],r=[];for(let e=0;e<s.length;e+=1)r[e]=E(x(t,s,e));return{c(){e=h("ul");for(let t=0;t<r.length;t+=1)r[t].c()},l(t){e=i(t,"UL",{});var s=p(e);for(let t=0;t<r.length;t+=1)r[t].l(s);s.forEach(m)},m(t,s){d(t,e,s);for(let t=0;t<r.length;t+=1)r[t].m(e,null)},p(t,n){if(1&n){let o;for(s=t[0],o=0;o<s.length;o+=1){const a=x(t,s,o);r[o]?r[o].p(a,n):(r[o]=E(a),r[o].c(),r[o].m(e,null))}for(;o<r.length;o+=1)r[o].d(1);r.length=s.length}},d(t){t&&m(e),k(r,t)}}}function y(t){let e,s;return e=new v({props:{path:r+"/work",$$slots:{default:[L]},$$scope:{ctx:t}}}),{c(){n(e.$$.fragment)},l(t){o(e.$$.fragment,t)},m(t,r){a(e,t,r),s=!0},p(t,[s]){const r={};17&s&&(r.$$scope={dirty:s,ctx:t}),e.$set(r)},i(t){s||(l(e.$$.fragment,t),s=!0)},o(t){c(e.$$.fragment,t),s=!1},d(t){f(e,t)}}}function A({params:t,query:e}){return this.fetch("work.json").then(t=>t.json()).then(t=>({projects:t.map(({title:t,slug:e})=>({title:t,slug:e}))}))}function M(t,e,s){let{projects:r}=e;return t.$set=t=>{"projects"in t&&s(0,r=t.projects)},[r]}export default class extends t{constructor(t){super(),e(this,t,M,y,s,{projects:0})}}export{A as preload};
@@ -0,0 +1 @@
+import{S as a,i as s,s as e,t,e as l,a as n,c as r,b as o,d as c,f as h,g as f,h as g,j as i,n as u,k as m,l as p,m as v,o as d,p as $,q as y,r as E,u as j,v as w,w as x,x as H,y as L,z as A,A as S}from"./client.46811942.js";import{H as b}from"./Head.e502e17e.js";function k(a,s,e){const t=a.slice();return t[0]=s[e],t}function q(a){let s,e,t,m,p,v,d=L(a[0],"language_name")+"";return{c(){s=l("li"),e=l("a"),t=n(d),this.h()},l(a){s=r(a,"LI",{class:!0});var l=o(s);e=r(l,"A",{href:!0,hreflang:!0,lang:!0});var n=o(e);t=c(n,d),n.forEach(h),l.forEach(h),this.h()},h(){f(e,"href",m=a[0]),f(e,"hreflang",p=a[0]),f(e,"lang",v=a[0]),f(s,"class","svelte-25n4y2")},m(a,l){g(a,s,l),i(s,e),i(e,t)},p:u,d(a){a&&h(s)}}}function z(a){let s,e,u,H,L,A,S;s=new b({props:{title:t}});let z=y,C=[];for(let s=0;s<z.length;s+=1)C[s]=q(k(a,z,s));return{c(){m(s.$$.fragment),e=p(),u=l("h1"),H=n(t),L=p(),A=l("ul");for(let a=0;a<C.length;a+=1)C[a].c();this.h()},l(a){v(s.$$.fragment,a),e=d(a),u=r(a,"H1",{class:!0});var l=o(u);H=c(l,t),l.forEach(h),L=d(a),A=r(a,"UL",{class:!0});var n=o(A);for(let a=0;a<C.length;a+=1)C[a].l(n);n.forEach(h),this.h()},h(){f(u,"class","svelte-25n4y2"),f(A,"class","svelte-25n4y2")},m(a,t){$(s,a,t),g(a,e,t),g(a,u,t),i(u,H),g(a,L,t),g(a,A,t);for(let a=0;a<C.length;a+=1)C[a].m(A,null);S=!0},p(a,[s]){if(0&s){let e;for(z=y,e=0;e<z.length;e+=1){const t=k(a,z,e);C[e]?C[e].p(t,s):(C[e]=q(t),C[e].c(),C[e].m(A,null))}for(;e<C.length;e+=1)C[e].d(1);C.length=z.length}},i(a){S||(E(s.$$.fragment,a),S=!0)},o(a){j(s.$$.fragment,a),S=!1},d(a){w(s,a),a&&h(e),a&&h(u),a&&h(L),a&&h(A),x(C,a)}}}function C(a){return H(()=>{const a=(navigator.languages||[navigator.language]).map(a=>a.toLowerCase().split("-")[0]).find(a=>y.includes(a));A(""+(a||S),{replaceState:!0})}),[]}export default class extends a{constructor(a){super(),s(this,a,C,z,e,{})}}
@@ -1 +0,0 @@
-import{S as e,i as t,s as a,e as s,c as n,a as i,b as r,n as o,d as l,f as c,t as u,g as d,q as f,h,j as g,k as m,l as p,m as v}from"./client.c445aa20.js";!function(e,t,a){e(a={path:t,exports:{},require:function(e,t){return function(){throw new Error("Dynamic requires are not currently supported by @rollup/plugin-commonjs")}(null==t&&a.path)}},a.exports),a.exports}((function(e){!function(t,a){var s=function(e,t,a){var s,n;if(function(){var t,a={lazyClass:"lazyload",loadedClass:"lazyloaded",loadingClass:"lazyloading",preloadClass:"lazypreload",errorClass:"lazyerror",autosizesClass:"lazyautosizes",srcAttr:"data-src",srcsetAttr:"data-srcset",sizesAttr:"data-sizes",minSize:40,customMedia:{},init:!0,expFactor:1.5,hFac:.8,loadMode:2,loadHidden:!0,ricTimeout:0,throttleDelay:125};for(t in n=e.lazySizesConfig||e.lazysizesConfig||{},a)t in n||(n[t]=a[t])}(),!t||!t.getElementsByClassName)return{init:function(){},cfg:n,noSupport:!0};var i=t.documentElement,r=e.HTMLPictureElement,o=e.addEventListener.bind(e),l=e.setTimeout,c=e.requestAnimationFrame||l,u=e.requestIdleCallback,d=/^picture$/i,f=["load","error","lazyincluded","_lazyloaded"],h={},g=Array.prototype.forEach,m=function(e,t){return h[t]||(h[t]=new RegExp("(\\s|^)"+t+"(\\s|$)")),h[t].test(e.getAttribute("class")||"")&&h[t]},p=function(e,t){m(e,t)||e.setAttribute("class",(e.getAttribute("class")||"").trim()+" "+t)},v=function(e,t){var a;(a=m(e,t))&&e.setAttribute("class",(e.getAttribute("class")||"").replace(a," "))},y=function(e,t,a){var s=a?"addEventListener":"removeEventListener";a&&y(e,t),f.forEach((function(a){e[s](a,t)}))},z=function(e,a,n,i,r){var o=t.createEvent("Event");return n||(n={}),n.instance=s,o.initEvent(a,!i,!r),o.detail=n,e.dispatchEvent(o),o},b=function(t,a){var s;!r&&(s=e.picturefill||n.pf)?(a&&a.src&&!t.getAttribute("srcset")&&t.setAttribute("srcset",a.src),s({reevaluate:!0,elements:[t]})):a&&a.src&&(t.src=a.src)},A=function(e,t){return(getComputedStyle(e,null)||{})[t]},C=function(e,t,a){for(a=a||e.offsetWidth;a<n.minSize&&t&&!e._lazysizesWidth;)a=t.offsetWidth,t=t.parentNode;return a},E=(he=[],ge=[],me=he,pe=function(){var e=me;for(me=he.length?ge:he,de=!0,fe=!1;e.length;)e.shift()();de=!1},ve=function(e,a){de&&!a?e.apply(this,arguments):(me.push(e),fe||(fe=!0,(t.hidden?l:c)(pe)))},ve._lsFlush=pe,ve),w=function(e,t){return t?function(){E(e)}:function(){var t=this,a=arguments;E((function(){e.apply(t,a)}))}},x=function(e){var t,s,n=function(){t=null,e()},i=function(){var e=a.now()-s;e<99?l(i,99-e):(u||n)(n)};return function(){s=a.now(),t||(t=l(i,99))}},_=(q=/^img$/i,U=/^iframe$/i,K="onscroll"in e&&!/(gle|ing)bot/.test(navigator.userAgent),J=0,Q=0,V=-1,X=function(e){Q--,(!e||Q<0||!e.target)&&(Q=0)},Y=function(e){return null==P&&(P="hidden"==A(t.body,"visibility")),P||!("hidden"==A(e.parentNode,"visibility")&&"hidden"==A(e,"visibility"))},Z=function(e,a){var s,n=e,r=Y(e);for(I-=a,O+=a,D-=a,G+=a;r&&(n=n.offsetParent)&&n!=t.body&&n!=i;)(r=(A(n,"opacity")||1)>0)&&"visible"!=A(n,"overflow")&&(s=n.getBoundingClientRect(),r=G>s.left&&D<s.right&&O>s.top-1&&I<s.bottom+1);return r},ee=function(){var e,a,r,o,l,c,u,d,f,h,g,m,p=s.elements;if((W=n.loadMode)&&Q<8&&(e=p.length)){for(a=0,V++;a<e;a++)if(p[a]&&!p[a]._lazyRace)if(!K||s.prematureUnveil&&s.prematureUnveil(p[a]))oe(p[a]);else if((d=p[a].getAttribute("data-expand"))&&(c=1*d)||(c=J),h||(h=!n.expand||n.expand<1?i.clientHeight>500&&i.clientWidth>500?500:370:n.expand,s._defEx=h,g=h*n.expFactor,m=n.hFac,P=null,J<g&&Q<1&&V>2&&W>2&&!t.hidden?(J=g,V=0):J=W>1&&V>1&&Q<6?h:0),f!==c&&(B=innerWidth+c*m,H=innerHeight+c,u=-1*c,f=c),r=p[a].getBoundingClientRect(),(O=r.bottom)>=u&&(I=r.top)<=H&&(G=r.right)>=u*m&&(D=r.left)<=B&&(O||G||D||I)&&(n.loadHidden||Y(p[a]))&&(T&&Q<3&&!d&&(W<3||V<4)||Z(p[a],c))){if(oe(p[a]),l=!0,Q>9)break}else!l&&T&&!o&&Q<4&&V<4&&W>2&&(R[0]||n.preloadAfterLoad)&&(R[0]||!d&&(O||G||D||I||"auto"!=p[a].getAttribute(n.sizesAttr)))&&(o=R[0]||p[a]);o&&!l&&oe(o)}},te=function(e){var t,s=0,i=n.throttleDelay,r=n.ricTimeout,o=function(){t=!1,s=a.now(),e()},c=u&&r>49?function(){u(o,{timeout:r}),r!==n.ricTimeout&&(r=n.ricTimeout)}:w((function(){l(o)}),!0);return function(e){var n;(e=!0===e)&&(r=33),t||(t=!0,(n=i-(a.now()-s))<0&&(n=0),e||n<9?c():l(c,n))}}(ee),ae=function(e){var t=e.target;t._lazyCache?delete t._lazyCache:(X(e),p(t,n.loadedClass),v(t,n.loadingClass),y(t,ne),z(t,"lazyloaded"))},se=w(ae),ne=function(e){se({target:e.target})},ie=function(e){var t,a=e.getAttribute(n.srcsetAttr);(t=n.customMedia[e.getAttribute("data-media")||e.getAttribute("media")])&&e.setAttribute("media",t),a&&e.setAttribute("srcset",a)},re=w((function(e,t,a,s,i){var r,o,c,u,f,h;(f=z(e,"lazybeforeunveil",t)).defaultPrevented||(s&&(a?p(e,n.autosizesClass):e.setAttribute("sizes",s)),o=e.getAttribute(n.srcsetAttr),r=e.getAttribute(n.srcAttr),i&&(u=(c=e.parentNode)&&d.test(c.nodeName||"")),h=t.firesLoad||"src"in e&&(o||r||u),f={target:e},p(e,n.loadingClass),h&&(clearTimeout($),$=l(X,2500),y(e,ne,!0)),u&&g.call(c.getElementsByTagName("source"),ie),o?e.setAttribute("srcset",o):r&&!u&&(U.test(e.nodeName)?function(e,t){try{e.contentWindow.location.replace(t)}catch(a){e.src=t}}(e,r):e.src=r),i&&(o||u)&&b(e,{src:r})),e._lazyRace&&delete e._lazyRace,v(e,n.lazyClass),E((function(){var t=e.complete&&e.naturalWidth>1;h&&!t||(t&&p(e,"ls-is-cached"),ae(f),e._lazyCache=!0,l((function(){"_lazyCache"in e&&delete e._lazyCache}),9)),"lazy"==e.loading&&Q--}),!0)})),oe=function(e){if(!e._lazyRace){var t,a=q.test(e.nodeName),s=a&&(e.getAttribute(n.sizesAttr)||e.getAttribute("sizes")),i="auto"==s;(!i&&T||!a||!e.getAttribute("src")&&!e.srcset||e.complete||m(e,n.errorClass)||!m(e,n.lazyClass))&&(t=z(e,"lazyunveilread").detail,i&&N.updateElem(e,!0,e.offsetWidth),e._lazyRace=!0,Q++,re(e,t,i,s,a))}},le=x((function(){n.loadMode=3,te()})),ce=function(){3==n.loadMode&&(n.loadMode=2),le()},ue=function(){T||(a.now()-F<999?l(ue,999):(T=!0,n.loadMode=3,te(),o("scroll",ce,!0)))},{_:function(){F=a.now(),s.elements=t.getElementsByClassName(n.lazyClass),R=t.getElementsByClassName(n.lazyClass+" "+n.preloadClass),o("scroll",te,!0),o("resize",te,!0),o("pageshow",(function(e){if(e.persisted){var a=t.querySelectorAll("."+n.loadingClass);a.length&&a.forEach&&c((function(){a.forEach((function(e){e.complete&&oe(e)}))}))}})),e.MutationObserver?new MutationObserver(te).observe(i,{childList:!0,subtree:!0,attributes:!0}):(i.addEventListener("DOMNodeInserted",te,!0),i.addEventListener("DOMAttrModified",te,!0),setInterval(te,999)),o("hashchange",te,!0),["focus","mouseover","click","load","transitionend","animationend"].forEach((function(e){t.addEventListener(e,te,!0)})),/d$|^c/.test(t.readyState)?ue():(o("load",ue),t.addEventListener("DOMContentLoaded",te),l(ue,2e4)),s.elements.length?(ee(),E._lsFlush()):te()},checkElems:te,unveil:oe,_aLSL:ce}),N=(j=w((function(e,t,a,s){var n,i,r;if(e._lazysizesWidth=s,s+="px",e.setAttribute("sizes",s),d.test(t.nodeName||""))for(i=0,r=(n=t.getElementsByTagName("source")).length;i<r;i++)n[i].setAttribute("sizes",s);a.detail.dataAttr||b(e,a.detail)})),L=function(e,t,a){var s,n=e.parentNode;n&&(a=C(e,n,a),(s=z(e,"lazybeforesizes",{width:a,dataAttr:!!t})).defaultPrevented||(a=s.detail.width)&&a!==e._lazysizesWidth&&j(e,n,s,a))},k=x((function(){var e,t=S.length;if(t)for(e=0;e<t;e++)L(S[e])})),{_:function(){S=t.getElementsByClassName(n.autosizesClass),o("resize",k)},checkElems:k,updateElem:L}),M=function(){!M.i&&t.getElementsByClassName&&(M.i=!0,N._(),_._())};var S,j,L,k;var R,T,$,W,F,B,H,I,D,G,O,P,q,U,K,J,Q,V,X,Y,Z,ee,te,ae,se,ne,ie,re,oe,le,ce,ue;var de,fe,he,ge,me,pe,ve;return l((function(){n.init&&M()})),s={cfg:n,autoSizer:N,loader:_,init:M,uP:b,aC:p,rC:v,hC:m,fire:z,gW:C,rAF:E}}(t,t.document,Date);t.lazySizes=s,e.exports&&(e.exports=s)}("undefined"!=typeof window?window:{})}));var y=[{slug:"feijao-01",extension:"jpg",ratio:1.4511363636363637,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0},{slug:"feijao-02",extension:"jpg",ratio:1.4423076923076923,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0}];function z(e,t,a){const s=e.slice();return s[0]=t[a].slug,s[1]=t[a].sizes,s[2]=t[a].extension,s[3]=t[a].srcset,s}function b(e){let t,a;return{c(){t=s("img"),this.h()},l(e){t=n(e,"IMG",{alt:!0,"data-sizes":!0,"data-srcset":!0,class:!0}),this.h()},h(){i(t,"alt",""),i(t,"data-sizes","auto"),i(t,"data-srcset",a=e[3]),i(t,"class","big lazyload svelte-1jidkdt")},m(e,a){r(e,t,a)},p:o,d(e){e&&l(t)}}}function A(e){let t,a,A,C,E,w,x,_,N,M,S,j,L,k,R,T,$=y,W=[];for(let t=0;t<$.length;t+=1)W[t]=b(z(e,$,t));return{c(){t=c(),a=s("h1"),A=u("Great success!"),C=c(),E=s("figure"),w=s("img"),_=c(),N=s("figcaption"),M=u("Have fun with Sapper!"),S=c(),j=s("p"),L=s("strong"),k=u("Try editing this file (src/routes/index.svelte) to test live reloading."),R=c();for(let e=0;e<W.length;e+=1)W[e].c();T=d(),this.h()},l(e){f('[data-svelte="svelte-oh6yg0"]',document.head).forEach(l),t=h(e),a=n(e,"H1",{class:!0});var s=g(a);A=m(s,"Great success!"),s.forEach(l),C=h(e),E=n(e,"FIGURE",{class:!0});var i=g(E);w=n(i,"IMG",{alt:!0,src:!0,class:!0}),_=h(i),N=n(i,"FIGCAPTION",{});var r=g(N);M=m(r,"Have fun with Sapper!"),r.forEach(l),i.forEach(l),S=h(e),j=n(e,"P",{class:!0});var o=g(j);L=n(o,"STRONG",{});var c=g(L);k=m(c,"Try editing this file (src/routes/index.svelte) to test live reloading."),c.forEach(l),o.forEach(l),R=h(e);for(let t=0;t<W.length;t+=1)W[t].l(e);T=d(),this.h()},h(){document.title="Sapper project template",i(a,"class","svelte-1jidkdt"),i(w,"alt","Success Kid"),w.src!==(x="successkid.jpg")&&i(w,"src","successkid.jpg"),i(w,"class","svelte-1jidkdt"),i(E,"class","svelte-1jidkdt"),i(j,"class","svelte-1jidkdt")},m(e,s){r(e,t,s),r(e,a,s),p(a,A),r(e,C,s),r(e,E,s),p(E,w),p(E,_),p(E,N),p(N,M),r(e,S,s),r(e,j,s),p(j,L),p(L,k),r(e,R,s);for(let t=0;t<W.length;t+=1)W[t].m(e,s);r(e,T,s)},p(e,[t]){if(0&t){let a;for($=y,a=0;a<$.length;a+=1){const s=z(e,$,a);W[a]?W[a].p(s,t):(W[a]=b(s),W[a].c(),W[a].m(T.parentNode,T))}for(;a<W.length;a+=1)W[a].d(1);W.length=$.length}},i:o,o:o,d(e){e&&l(t),e&&l(a),e&&l(C),e&&l(E),e&&l(S),e&&l(j),e&&l(R),v(W,e),e&&l(T)}}}function C(e){return y.map(e=>{const{slug:t,sizes:a,extension:s,hasRetina:n}=e;return e.srcset=a.reduce((e,a,i,r)=>(e+=`images/${t}-${a}.${s} ${a}w`,n&&(e+=`, images/${t}-${a}_x2.${s} ${2*a}w`),i<r.length-1&&(e+=","),e),""),e}),[]}export default class extends e{constructor(e){super(),t(this,e,C,A,a,{})}}
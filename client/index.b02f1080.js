@@ -0,0 +1 @@
+import{S as e,i as t,s as a,t as n,k as i,l as s,e as r,a as o,m as l,o as c,c as u,b as d,d as f,f as m,g,p as h,h as p,j as v,L as y,r as z,u as b,v as A,F as C,E}from"./client.46811942.js";import{H as _,g as $}from"./Head.e502e17e.js";import"./Picture.c42287bf.js";import{G as w}from"./Gallery.efaf926b.js";!function(e,t,a){e(a={path:t,exports:{},require:function(e,t){return function(){throw new Error("Dynamic requires are not currently supported by @rollup/plugin-commonjs")}(null==t&&a.path)}},a.exports),a.exports}((function(e){!function(t,a){var n=function(e,t,a){var n,i;if(function(){var t,a={lazyClass:"lazyload",loadedClass:"lazyloaded",loadingClass:"lazyloading",preloadClass:"lazypreload",errorClass:"lazyerror",autosizesClass:"lazyautosizes",srcAttr:"data-src",srcsetAttr:"data-srcset",sizesAttr:"data-sizes",minSize:40,customMedia:{},init:!0,expFactor:1.5,hFac:.8,loadMode:2,loadHidden:!0,ricTimeout:0,throttleDelay:125};for(t in i=e.lazySizesConfig||e.lazysizesConfig||{},a)t in i||(i[t]=a[t])}(),!t||!t.getElementsByClassName)return{init:function(){},cfg:i,noSupport:!0};var s=t.documentElement,r=e.HTMLPictureElement,o=e.addEventListener.bind(e),l=e.setTimeout,c=e.requestAnimationFrame||l,u=e.requestIdleCallback,d=/^picture$/i,f=["load","error","lazyincluded","_lazyloaded"],m={},g=Array.prototype.forEach,h=function(e,t){return m[t]||(m[t]=new RegExp("(\\s|^)"+t+"(\\s|$)")),m[t].test(e.getAttribute("class")||"")&&m[t]},p=function(e,t){h(e,t)||e.setAttribute("class",(e.getAttribute("class")||"").trim()+" "+t)},v=function(e,t){var a;(a=h(e,t))&&e.setAttribute("class",(e.getAttribute("class")||"").replace(a," "))},y=function(e,t,a){var n=a?"addEventListener":"removeEventListener";a&&y(e,t),f.forEach((function(a){e[n](a,t)}))},z=function(e,a,i,s,r){var o=t.createEvent("Event");return i||(i={}),i.instance=n,o.initEvent(a,!s,!r),o.detail=i,e.dispatchEvent(o),o},b=function(t,a){var n;!r&&(n=e.picturefill||i.pf)?(a&&a.src&&!t.getAttribute("srcset")&&t.setAttribute("srcset",a.src),n({reevaluate:!0,elements:[t]})):a&&a.src&&(t.src=a.src)},A=function(e,t){return(getComputedStyle(e,null)||{})[t]},C=function(e,t,a){for(a=a||e.offsetWidth;a<i.minSize&&t&&!e._lazysizesWidth;)a=t.offsetWidth,t=t.parentNode;return a},E=(me=[],ge=[],he=me,pe=function(){var e=he;for(he=me.length?ge:me,de=!0,fe=!1;e.length;)e.shift()();de=!1},ve=function(e,a){de&&!a?e.apply(this,arguments):(he.push(e),fe||(fe=!0,(t.hidden?l:c)(pe)))},ve._lsFlush=pe,ve),_=function(e,t){return t?function(){E(e)}:function(){var t=this,a=arguments;E((function(){e.apply(t,a)}))}},$=function(e){var t,n,i=function(){t=null,e()},s=function(){var e=a.now()-n;e<99?l(s,99-e):(u||i)(i)};return function(){n=a.now(),t||(t=l(s,99))}},w=(q=/^img$/i,U=/^iframe$/i,K="onscroll"in e&&!/(gle|ing)bot/.test(navigator.userAgent),J=0,Q=0,V=-1,X=function(e){Q--,(!e||Q<0||!e.target)&&(Q=0)},Y=function(e){return null==G&&(G="hidden"==A(t.body,"visibility")),G||!("hidden"==A(e.parentNode,"visibility")&&"hidden"==A(e,"visibility"))},Z=function(e,a){var n,i=e,r=Y(e);for(P-=a,O+=a,D-=a,I+=a;r&&(i=i.offsetParent)&&i!=t.body&&i!=s;)(r=(A(i,"opacity")||1)>0)&&"visible"!=A(i,"overflow")&&(n=i.getBoundingClientRect(),r=I>n.left&&D<n.right&&O>n.top-1&&P<n.bottom+1);return r},ee=function(){var e,a,r,o,l,c,u,d,f,m,g,h,p=n.elements;if((R=i.loadMode)&&Q<8&&(e=p.length)){for(a=0,V++;a<e;a++)if(p[a]&&!p[a]._lazyRace)if(!K||n.prematureUnveil&&n.prematureUnveil(p[a]))oe(p[a]);else if((d=p[a].getAttribute("data-expand"))&&(c=1*d)||(c=J),m||(m=!i.expand||i.expand<1?s.clientHeight>500&&s.clientWidth>500?500:370:i.expand,n._defEx=m,g=m*i.expFactor,h=i.hFac,G=null,J<g&&Q<1&&V>2&&R>2&&!t.hidden?(J=g,V=0):J=R>1&&V>1&&Q<6?m:0),f!==c&&(j=innerWidth+c*h,H=innerHeight+c,u=-1*c,f=c),r=p[a].getBoundingClientRect(),(O=r.bottom)>=u&&(P=r.top)<=H&&(I=r.right)>=u*h&&(D=r.left)<=j&&(O||I||D||P)&&(i.loadHidden||Y(p[a]))&&(T&&Q<3&&!d&&(R<3||V<4)||Z(p[a],c))){if(oe(p[a]),l=!0,Q>9)break}else!l&&T&&!o&&Q<4&&V<4&&R>2&&(F[0]||i.preloadAfterLoad)&&(F[0]||!d&&(O||I||D||P||"auto"!=p[a].getAttribute(i.sizesAttr)))&&(o=F[0]||p[a]);o&&!l&&oe(o)}},te=function(e){var t,n=0,s=i.throttleDelay,r=i.ricTimeout,o=function(){t=!1,n=a.now(),e()},c=u&&r>49?function(){u(o,{timeout:r}),r!==i.ricTimeout&&(r=i.ricTimeout)}:_((function(){l(o)}),!0);return function(e){var i;(e=!0===e)&&(r=33),t||(t=!0,(i=s-(a.now()-n))<0&&(i=0),e||i<9?c():l(c,i))}}(ee),ae=function(e){var t=e.target;t._lazyCache?delete t._lazyCache:(X(e),p(t,i.loadedClass),v(t,i.loadingClass),y(t,ie),z(t,"lazyloaded"))},ne=_(ae),ie=function(e){ne({target:e.target})},se=function(e){var t,a=e.getAttribute(i.srcsetAttr);(t=i.customMedia[e.getAttribute("data-media")||e.getAttribute("media")])&&e.setAttribute("media",t),a&&e.setAttribute("srcset",a)},re=_((function(e,t,a,n,s){var r,o,c,u,f,m;(f=z(e,"lazybeforeunveil",t)).defaultPrevented||(n&&(a?p(e,i.autosizesClass):e.setAttribute("sizes",n)),o=e.getAttribute(i.srcsetAttr),r=e.getAttribute(i.srcAttr),s&&(u=(c=e.parentNode)&&d.test(c.nodeName||"")),m=t.firesLoad||"src"in e&&(o||r||u),f={target:e},p(e,i.loadingClass),m&&(clearTimeout(W),W=l(X,2500),y(e,ie,!0)),u&&g.call(c.getElementsByTagName("source"),se),o?e.setAttribute("srcset",o):r&&!u&&(U.test(e.nodeName)?function(e,t){try{e.contentWindow.location.replace(t)}catch(a){e.src=t}}(e,r):e.src=r),s&&(o||u)&&b(e,{src:r})),e._lazyRace&&delete e._lazyRace,v(e,i.lazyClass),E((function(){var t=e.complete&&e.naturalWidth>1;m&&!t||(t&&p(e,"ls-is-cached"),ae(f),e._lazyCache=!0,l((function(){"_lazyCache"in e&&delete e._lazyCache}),9)),"lazy"==e.loading&&Q--}),!0)})),oe=function(e){if(!e._lazyRace){var t,a=q.test(e.nodeName),n=a&&(e.getAttribute(i.sizesAttr)||e.getAttribute("sizes")),s="auto"==n;(!s&&T||!a||!e.getAttribute("src")&&!e.srcset||e.complete||h(e,i.errorClass)||!h(e,i.lazyClass))&&(t=z(e,"lazyunveilread").detail,s&&N.updateElem(e,!0,e.offsetWidth),e._lazyRace=!0,Q++,re(e,t,s,n,a))}},le=$((function(){i.loadMode=3,te()})),ce=function(){3==i.loadMode&&(i.loadMode=2),le()},ue=function(){T||(a.now()-B<999?l(ue,999):(T=!0,i.loadMode=3,te(),o("scroll",ce,!0)))},{_:function(){B=a.now(),n.elements=t.getElementsByClassName(i.lazyClass),F=t.getElementsByClassName(i.lazyClass+" "+i.preloadClass),o("scroll",te,!0),o("resize",te,!0),o("pageshow",(function(e){if(e.persisted){var a=t.querySelectorAll("."+i.loadingClass);a.length&&a.forEach&&c((function(){a.forEach((function(e){e.complete&&oe(e)}))}))}})),e.MutationObserver?new MutationObserver(te).observe(s,{childList:!0,subtree:!0,attributes:!0}):(s.addEventListener("DOMNodeInserted",te,!0),s.addEventListener("DOMAttrModified",te,!0),setInterval(te,999)),o("hashchange",te,!0),["focus","mouseover","click","load","transitionend","animationend"].forEach((function(e){t.addEventListener(e,te,!0)})),/d$|^c/.test(t.readyState)?ue():(o("load",ue),t.addEventListener("DOMContentLoaded",te),l(ue,2e4)),n.elements.length?(ee(),E._lsFlush()):te()},checkElems:te,unveil:oe,_aLSL:ce}),N=(M=_((function(e,t,a,n){var i,s,r;if(e._lazysizesWidth=n,n+="px",e.setAttribute("sizes",n),d.test(t.nodeName||""))for(s=0,r=(i=t.getElementsByTagName("source")).length;s<r;s++)i[s].setAttribute("sizes",n);a.detail.dataAttr||b(e,a.detail)})),L=function(e,t,a){var n,i=e.parentNode;i&&(a=C(e,i,a),(n=z(e,"lazybeforesizes",{width:a,dataAttr:!!t})).defaultPrevented||(a=n.detail.width)&&a!==e._lazysizesWidth&&M(e,i,n,a))},S=$((function(){var e,t=x.length;if(t)for(e=0;e<t;e++)L(x[e])})),{_:function(){x=t.getElementsByClassName(i.autosizesClass),o("resize",S)},checkElems:S,updateElem:L}),k=function(){!k.i&&t.getElementsByClassName&&(k.i=!0,N._(),w._())};var x,M,L,S;var F,T,W,R,B,j,H,P,D,I,O,G,q,U,K,J,Q,V,X,Y,Z,ee,te,ae,ne,ie,se,re,oe,le,ce,ue;var de,fe,me,ge,he,pe,ve;return l((function(){i.init&&k()})),n={cfg:i,autoSizer:N,loader:w,init:k,uP:b,aC:p,rC:v,hC:h,fire:z,gW:C,rAF:E}}(t,t.document,Date);t.lazySizes=n,e.exports&&(e.exports=n)}("undefined"!=typeof window?window:{})}));function N(e){let t,a,C,E,N,k,x,M,L,S,F,T,W,R,B,j,H,P,D=e[0]("home_heading")+"",I=e[0]("home_caption")+"",O=e[0]("home_hint")+"";return t=new _({props:{title:n,image:$[0]}}),H=new w({props:{images:$,lazy:!0}}),{c(){i(t.$$.fragment),a=s(),C=r("h1"),E=o(D),N=s(),k=r("figure"),x=r("img"),L=s(),S=r("figcaption"),F=o(I),T=s(),W=r("p"),R=r("strong"),B=o(O),j=s(),i(H.$$.fragment),this.h()},l(e){l(t.$$.fragment,e),a=c(e),C=u(e,"H1",{class:!0});var n=d(C);E=f(n,D),n.forEach(m),N=c(e),k=u(e,"FIGURE",{class:!0});var i=d(k);x=u(i,"IMG",{alt:!0,src:!0,class:!0}),L=c(i),S=u(i,"FIGCAPTION",{});var s=d(S);F=f(s,I),s.forEach(m),i.forEach(m),T=c(e),W=u(e,"P",{class:!0});var r=d(W);R=u(r,"STRONG",{});var o=d(R);B=f(o,O),o.forEach(m),r.forEach(m),j=c(e),l(H.$$.fragment,e),this.h()},h(){g(C,"class","svelte-1kk9opm"),g(x,"alt","Success Kid"),x.src!==(M="successkid.jpg")&&g(x,"src","successkid.jpg"),g(x,"class","svelte-1kk9opm"),g(k,"class","svelte-1kk9opm"),g(W,"class","svelte-1kk9opm")},m(e,n){h(t,e,n),p(e,a,n),p(e,C,n),v(C,E),p(e,N,n),p(e,k,n),v(k,x),v(k,L),v(k,S),v(S,F),p(e,T,n),p(e,W,n),v(W,R),v(R,B),p(e,j,n),h(H,e,n),P=!0},p(e,[t]){(!P||1&t)&&D!==(D=e[0]("home_heading")+"")&&y(E,D),(!P||1&t)&&I!==(I=e[0]("home_caption")+"")&&y(F,I),(!P||1&t)&&O!==(O=e[0]("home_hint")+"")&&y(B,O)},i(e){P||(z(t.$$.fragment,e),z(H.$$.fragment,e),P=!0)},o(e){b(t.$$.fragment,e),b(H.$$.fragment,e),P=!1},d(e){A(t,e),e&&m(a),e&&m(C),e&&m(N),e&&m(k),e&&m(T),e&&m(W),e&&m(j),A(H,e)}}}function k(e,t,a){let n;const i=C();let s;return E(e,i,e=>a(2,n=e)),e.$$.update=()=>{4&e.$$.dirty&&a(0,({t:s}=n),s)},[s,i]}export default class extends e{constructor(e){super(),t(this,e,k,N,a,{})}}
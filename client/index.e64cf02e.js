@@ -0,0 +1 @@
+import{S as e,i as t,s,e as r,k as a,l,a as o,c as n,b as c,m as h,o as i,d as f,f as g,g as p,h as m,j as u,p as $,L as v,r as w,u as k,v as d,U as j,w as E,F as _,E as q,T as x}from"./client.46811942.js";import{H as y}from"./Head.e502e17e.js";import{P as H}from"./Picture.c42287bf.js";function L(e,t,s){const r=e.slice();return r[5]=t[s],r}function P(e){let t,s,j,E,_,q,x,y,L,P,b,U,z,A,B=e[5].title+"",F=e[5].year+"",I=e[5].role+"";return j=new H({props:{image:e[5].cover,sizes:"(min-width: 600px) 50vw, 100vw"}}),{c(){t=r("li"),s=r("a"),a(j.$$.fragment),E=l(),_=r("h2"),q=o(B),x=l(),y=r("p"),L=o(F),P=o(" · "),b=o(I),z=l(),this.h()},l(e){t=n(e,"LI",{});var r=c(t);s=n(r,"A",{rel:!0,href:!0,class:!0});var a=c(s);h(j.$$.fragment,a),E=i(a),_=n(a,"H2",{class:!0});var l=c(_);q=f(l,B),l.forEach(g),x=i(a),y=n(a,"P",{class:!0});var o=c(y);L=f(o,F),P=f(o," · "),b=f(o,I),o.forEach(g),a.forEach(g),z=i(r),r.forEach(g),this.h()},h(){p(_,"class","svelte-1qhkhgh"),p(y,"class","svelte-1qhkhgh"),p(s,"rel","prefetch"),p(s,"href",U=e[1]+"/work/"+e[5].slug),p(s,"class","svelte-1qhkhgh")},m(e,r){m(e,t,r),u(t,s),$(j,s,null),u(s,E),u(s,_),u(_,q),u(s,x),u(s,y),u(y,L),u(y,P),u(y,b),u(t,z),A=!0},p(e,t){const r={};1&t&&(r.image=e[5].cover),j.$set(r),(!A||1&t)&&B!==(B=e[5].title+"")&&v(q,B),(!A||1&t)&&F!==(F=e[5].year+"")&&v(L,F),(!A||1&t)&&I!==(I=e[5].role+"")&&v(b,I),(!A||3&t&&U!==(U=e[1]+"/work/"+e[5].slug))&&p(s,"href",U)},i(e){A||(w(j.$$.fragment,e),A=!0)},o(e){k(j.$$.fragment,e),A=!1},d(e){e&&g(t),d(j)}}}function b(e){let t,s,_,q,H,b,U,z=e[2]("work_title")+"";t=new y({props:{title:e[2]("work_title"),description:e[2]("work_description"),image:e[0][0].cover}});let A=e[0],B=[];for(let t=0;t<A.length;t+=1)B[t]=P(L(e,A,t));const F=e=>k(B[e],1,1,()=>{B[e]=null});return{c(){a(t.$$.fragment),s=l(),_=r("h1"),q=o(z),H=l(),b=r("ul");for(let e=0;e<B.length;e+=1)B[e].c();this.h()},l(e){h(t.$$.fragment,e),s=i(e),_=n(e,"H1",{});var r=c(_);q=f(r,z),r.forEach(g),H=i(e),b=n(e,"UL",{class:!0});var a=c(b);for(let e=0;e<B.length;e+=1)B[e].l(a);a.forEach(g),this.h()},h(){p(b,"class","svelte-1qhkhgh")},m(e,r){$(t,e,r),m(e,s,r),m(e,_,r),u(_,q),m(e,H,r),m(e,b,r);for(let e=0;e<B.length;e+=1)B[e].m(b,null);U=!0},p(e,[s]){const r={};if(4&s&&(r.title=e[2]("work_title")),4&s&&(r.description=e[2]("work_description")),1&s&&(r.image=e[0][0].cover),t.$set(r),(!U||4&s)&&z!==(z=e[2]("work_title")+"")&&v(q,z),3&s){let t;for(A=e[0],t=0;t<A.length;t+=1){const r=L(e,A,t);B[t]?(B[t].p(r,s),w(B[t],1)):(B[t]=P(r),B[t].c(),w(B[t],1),B[t].m(b,null))}for(x(),t=A.length;t<B.length;t+=1)F(t);j()}},i(e){if(!U){w(t.$$.fragment,e);for(let e=0;e<A.length;e+=1)w(B[e]);U=!0}},o(e){k(t.$$.fragment,e),B=B.filter(Boolean);for(let e=0;e<B.length;e+=1)k(B[e]);U=!1},d(e){d(t,e),e&&g(s),e&&g(_),e&&g(H),e&&g(b),E(B,e)}}}function U({params:e,query:t}){return this.fetch(e.lang+"/work.json").then(e=>e.json()).then(e=>({projects:e}))}function z(e,t,s){let r,{projects:a}=t;const l=_();let o,n;return q(e,l,e=>s(4,r=e)),e.$set=e=>{"projects"in e&&s(0,a=e.projects)},e.$$.update=()=>{16&e.$$.dirty&&s(1,({lang:o,t:n}=r),o,(s(2,n),s(4,r)))},[a,o,n,l]}export default class extends e{constructor(e){super(),t(this,e,z,b,s,{projects:0})}}export{U as preload};
@@ -0,0 +1 @@
+import{_ as t,a as n,S as e,b as a,c as o,d as r,i,s as c,U as l,e as u,p as s,q as f,f as h,g as p,h as v,r as g,u as d,j as m,k as y,l as b,V as $,m as w,n as x,v as k,W as E,X as _,Q as T,Y as z,y as O,z as j,A as G,G as S,w as A,Z as N,$ as P,L as B,K as I,C as F,a0 as R,a1 as U,T as M,a2 as C,B as D,J as K}from"./client.6bd18ee1.js";import{d as X,s as Y}from"./Head.1651de73.js";import{P as q}from"./Picture.b952dd9b.js";function H(t,n,e){return n=o(n),r(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],o(t).constructor):n.apply(t,e))}function L(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,e="function"==typeof Symbol?Symbol:{},a=e.iterator||"@@iterator",o=e.toStringTag||"@@toStringTag";function r(e,a,o,r){var l=a&&a.prototype instanceof c?a:c,u=Object.create(l.prototype);return V(u,"_invoke",function(e,a,o){var r,c,l,u=0,s=o||[],f=!1,h={p:0,n:0,v:t,a:p,f:p.bind(t,4),d:function(n,e){return r=n,c=0,l=t,h.n=e,i}};function p(e,a){for(c=e,l=a,n=0;!f&&u&&!o&&n<s.length;n++){var o,r=s[n],p=h.p,v=r[2];e>3?(o=v===a)&&(l=r[(c=r[4])?5:(c=3,3)],r[4]=r[5]=t):r[0]<=p&&((o=e<2&&p<r[1])?(c=0,h.v=a,h.n=r[1]):p<v&&(o=e<3||r[0]>a||a>v)&&(r[4]=e,r[5]=a,h.n=v,c=0))}if(o||e>1)return i;throw f=!0,a}return function(o,s,v){if(u>1)throw TypeError("Generator is already running");for(f&&1===s&&p(s,v),c=s,l=v;(n=c<2?t:l)||!f;){r||(c?c<3?(c>1&&(h.n=-1),p(c,l)):h.n=l:h.v=l);try{if(u=2,r){if(c||(o="next"),n=r[o]){if(!(n=n.call(r,l)))throw TypeError("iterator result is not an object");if(!n.done)return n;l=n.value,c<2&&(c=0)}else 1===c&&(n=r.return)&&n.call(r),c<2&&(l=TypeError("The iterator does not provide a '"+o+"' method"),c=1);r=t}else if((n=(f=h.n<0)?l:e.call(a,h))!==i)break}catch(n){r=t,c=1,l=n}finally{u=1}}return{value:n,done:f}}}(e,o,r),!0),u}var i={};function c(){}function l(){}function u(){}n=Object.getPrototypeOf;var s=[][a]?n(n([][a]())):(V(n={},a,(function(){return this})),n),f=u.prototype=c.prototype=Object.create(s);function h(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,u):(t.__proto__=u,V(t,o,"GeneratorFunction")),t.prototype=Object.create(f),t}return l.prototype=u,V(f,"constructor",u),V(u,"constructor",l),l.displayName="GeneratorFunction",V(u,o,"GeneratorFunction"),V(f),V(f,o,"Generator"),V(f,a,(function(){return this})),V(f,"toString",(function(){return"[object Generator]"})),(L=function(){return{w:r,m:h}})()}function V(t,n,e,a){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(V=function(t,n,e,a){function r(n,e){V(t,n,(function(t){return this._invoke(n,e,t)}))}n?o?o(t,n,{value:e,enumerable:!a,configurable:!a,writable:!a}):t[n]=e:(r("next",0),r("throw",1),r("return",2))})(t,n,e,a)}function W(t){var n,e,a,o,r,i,c,l,S,A,N,P,B,I,F,R,U,M,C,D=t[8].caption+"",K=t[6]("lightbox_position",{index:t[1]+1,count:t[0].length})+"";a=new q({props:{image:t[7],alt:t[8].alt,sizes:t[9]+"px"}});var X=t[0].length>1&&J(t);return{c:function(){n=u("div"),e=u("figure"),s(a.$$.fragment),o=f(),r=u("figcaption"),i=u("span"),c=h(D),l=f(),S=u("span"),A=h(K),N=f(),X&&X.c(),P=f(),B=u("button"),I=h("×"),this.h()},l:function(t){n=p(t,"DIV",{class:!0,role:!0,"aria-modal":!0,"aria-label":!0});var u=v(n);e=p(u,"FIGURE",{style:!0,class:!0});var s=v(e);g(a.$$.fragment,s),o=d(s),r=p(s,"FIGCAPTION",{class:!0});var f=v(r);i=p(f,"SPAN",{});var h=v(i);c=m(h,D),h.forEach(y),l=d(f),S=p(f,"SPAN",{"aria-live":!0});var b=v(S);A=m(b,K),b.forEach(y),f.forEach(y),s.forEach(y),N=d(u),X&&X.l(u),P=d(u),B=p(u,"BUTTON",{class:!0,"aria-label":!0});var $=v(B);I=m($,"×"),$.forEach(y),u.forEach(y),this.h()},h:function(){b(S,"aria-live","polite"),b(r,"class","svelte-okuiww"),$(e,"width",t[9]+"px"),b(e,"class","svelte-okuiww"),b(B,"class","close svelte-okuiww"),b(B,"aria-label",F=t[6]("lightbox_close")),b(n,"class","lightbox svelte-okuiww"),b(n,"role","dialog"),b(n,"aria-modal","true"),b(n,"aria-label",R=t[6]("lightbox_label"))},m:function(u,s){w(u,n,s),x(n,e),k(a,e,null),x(e,o),x(e,r),x(r,i),x(i,c),x(r,l),x(r,S),x(S,A),x(n,N),X&&X.m(n,null),x(n,P),x(n,B),x(B,I),t[21](B),t[22](n),U=!0,M||(C=[E(B,"click",t[12]),E(n,"click",_(t[12])),E(n,"touchstart",t[16]),E(n,"touchend",t[17])],M=!0)},p:function(t,o){var r={};128&o&&(r.image=t[7]),256&o&&(r.alt=t[8].alt),512&o&&(r.sizes=t[9]+"px"),a.$set(r),(!U||256&o)&&D!==(D=t[8].caption+"")&&T(c,D),(!U||67&o)&&K!==(K=t[6]("lightbox_position",{index:t[1]+1,count:t[0].length})+"")&&T(A,K),(!U||512&o)&&$(e,"width",t[9]+"px"),t[0].length>1?X?X.p(t,o):((X=J(t)).c(),X.m(n,P)):X&&(X.d(1),X=null),(!U||64&o&&F!==(F=t[6]("lightbox_close")))&&b(B,"aria-label",F),(!U||64&o&&R!==(R=t[6]("lightbox_label")))&&b(n,"aria-label",R)},i:function(t){U||(O(a.$$.fragment,t),U=!0)},o:function(t){j(a.$$.fragment,t),U=!1},d:function(e){e&&y(n),G(a),X&&X.d(),t[21](null),t[22](null),M=!1,z(C)}}}function J(t){var n,e,a,o,r,i,c,l,s;return{c:function(){n=u("button"),e=h("‹"),o=f(),r=u("button"),i=h("›"),this.h()},l:function(t){n=p(t,"BUTTON",{class:!0,"aria-label":!0});var a=v(n);e=m(a,"‹"),a.forEach(y),o=d(t),r=p(t,"BUTTON",{class:!0,"aria-label":!0});var c=v(r);i=m(c,"›"),c.forEach(y),this.h()},h:function(){b(n,"class","previous svelte-okuiww"),b(n,"aria-label",a=t[6]("lightbox_previous")),b(r,"class","next svelte-okuiww"),b(r,"aria-label",c=t[6]("lightbox_next"))},m:function(a,c){w(a,n,c),x(n,e),w(a,o,c),w(a,r,c),x(r,i),l||(s=[E(n,"click",t[19]),E(r,"click",t[20])],l=!0)},p:function(t,e){64&e&&a!==(a=t[6]("lightbox_previous"))&&b(n,"aria-label",a),64&e&&c!==(c=t[6]("lightbox_next"))&&b(r,"aria-label",c)},d:function(t){t&&y(n),t&&y(o),t&&y(r),l=!1,z(s)}}}function Q(t){var n,e,a,o;l(t[18]);var r=t[7]&&W(t);return{c:function(){r&&r.c(),n=S()},l:function(t){r&&r.l(t),n=S()},m:function(i,c){r&&r.m(i,c),w(i,n,c),e=!0,a||(o=[E(window,"hashchange",t[13]),E(window,"keydown",t[14]),E(window,"focusin",t[15]),E(window,"resize",t[18])],a=!0)},p:function(t,e){var a=A(e,1)[0];t[7]?r?(r.p(t,a),128&a&&O(r,1)):((r=W(t)).c(),O(r,1),r.m(n.parentNode,n)):r&&(N(),j(r,1,1,(function(){r=null})),P())},i:function(t){e||(O(r),e=!0)},o:function(t){j(r),e=!1},d:function(t){r&&r.d(t),t&&y(n),a=!1,z(o)}}}function Z(t,n,e){var a,o=n.images,r=B();I(t,r,(function(t){return e(26,a=t)}));var i,c,l,u,s=null,f=null,h=null;function p(t){return v.apply(this,arguments)}function v(){return(v=M(L().m((function t(n){return L().w((function(t){for(;;)switch(t.n){case 0:if(n!==s){t.n=1;break}return t.a(2);case 1:if(null===s&&(f=document.activeElement),e(1,s=n),null!==s){t.n=2;break}return f&&f!==document.body&&f.focus(),f=null,t.a(2);case 2:return t.n=3,C();case 3:i.contains(document.activeElement)||c.focus(),g(o[(s+1)%o.length]);case 4:return t.a(2)}}),t)})))).apply(this,arguments)}function g(t){if(t!==o[s]){var n=new Image;n.sizes="".concat(k(t),"px"),n.srcset=Y(t)}}function d(t){var n=(t+o.length)%o.length;history.replaceState(history.state,"","".concat(location.pathname).concat(location.search,"#image-").concat(n+1)),p(n)}function m(){history.replaceState(history.state,"","".concat(location.pathname).concat(location.search)),p(null)}function y(){var t,n;p((t=/^#image-(\d+)$/.exec(location.hash),(n=t?parseInt(t[1],10)-1:-1)>=0&&n<o.length?n:null))}F(y),R((function(){"undefined"!=typeof document&&(document.body.style.overflow="")}));var b,$,w,x,k,E;return t.$set=function(t){"images"in t&&e(0,o=t.images)},t.$$.update=function(){var n;67108864&t.$$.dirty&&e(25,(b=(n=a).lang,$=n.t,n),b,(e(6,$),e(26,a)));3&t.$$.dirty&&e(7,w=null===s?null:o[s]),33554560&t.$$.dirty&&e(8,x=w&&X(w,b)),48&t.$$.dirty&&e(27,k=function(t){return Math.floor(Math.min(l,(u-96)/t.ratio))}),134217856&t.$$.dirty&&e(9,E=w&&k(w)),128&t.$$.dirty&&"undefined"!=typeof document&&(document.body.style.overflow=w?"hidden":"")},[o,s,i,c,l,u,$,w,x,E,r,d,m,y,function(t){if(null!==s)if("Escape"===t.key)m();else if("ArrowLeft"===t.key)d(s-1);else if("ArrowRight"===t.key)d(s+1);else if("Tab"===t.key){var n=Array.from(i.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])')),e=n[0],a=n[n.length-1];t.shiftKey&&document.activeElement===e?(a.focus(),t.preventDefault()):t.shiftKey||document.activeElement!==a||(e.focus(),t.preventDefault())}},function(t){null===s||i.contains(t.target)||c.focus()},function(t){h=1===t.touches.length?{x:t.touches[0].clientX,y:t.touches[0].clientY}:null},function(t){if(h){var n=t.changedTouches[0].clientX-h.x,e=t.changedTouches[0].clientY-h.y;h=null,Math.abs(n)>50&&Math.abs(n)>Math.abs(e)&&d(s+(n<0?1:-1))}},function(){e(4,l=window.innerWidth),e(5,u=window.innerHeight)},function(){return d(s-1)},function(){return d(s+1)},function(t){U[t?"unshift":"push"]((function(){e(3,c=t)}))},function(t){U[t?"unshift":"push"]((function(){e(2,i=t)}))}]}var tt=function(o){function r(t){var n;return a(this,r),n=H(this,r),i(n,t,Z,Q,c,{images:0}),n}return t(r,e),n(r)}();function nt(t,n,e){return n=o(n),r(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],o(t).constructor):n.apply(t,e))}function et(t,n,e){var a=t.slice();return a[10]=n[e],a[12]=e,a}function at(t){var n,e,a,o,r,i,c,l,$,E=X(t[10],t[3]).caption+"";return a=new q({props:{image:t[10],alt:X(t[10],t[3]).alt,sizes:t[1],lazy:t[2]}}),{c:function(){n=u("figure"),e=u("a"),s(a.$$.fragment),i=f(),c=u("figcaption"),l=h(E),this.h()},l:function(t){n=p(t,"FIGURE",{id:!0,class:!0});var o=v(n);e=p(o,"A",{href:!0,title:!0,class:!0});var r=v(e);g(a.$$.fragment,r),r.forEach(y),i=d(o),c=p(o,"FIGCAPTION",{class:!0});var u=v(c);l=m(u,E),u.forEach(y),o.forEach(y),this.h()},h:function(){b(e,"href",o=t[5]+"#image-"+(t[12]+1)),b(e,"title",r=t[4]("gallery_open")),b(e,"class","svelte-1wonajk"),b(c,"class","svelte-1wonajk"),b(n,"id","image-"+(t[12]+1)),b(n,"class","svelte-1wonajk")},m:function(t,o){w(t,n,o),x(n,e),k(a,e,null),x(n,i),x(n,c),x(c,l),$=!0},p:function(t,n){var i={};1&n&&(i.image=t[10]),9&n&&(i.alt=X(t[10],t[3]).alt),2&n&&(i.sizes=t[1]),4&n&&(i.lazy=t[2]),a.$set(i),(!$||32&n&&o!==(o=t[5]+"#image-"+(t[12]+1)))&&b(e,"href",o),(!$||16&n&&r!==(r=t[4]("gallery_open")))&&b(e,"title",r),(!$||9&n)&&E!==(E=X(t[10],t[3]).caption+"")&&T(l,E)},i:function(t){$||(O(a.$$.fragment,t),$=!0)},o:function(t){j(a.$$.fragment,t),$=!1},d:function(t){t&&y(n),G(a)}}}function ot(t){for(var n,e,a,o=t[0],r=[],i=0;i<o.length;i+=1)r[i]=at(et(t,o,i));var c=function(t){return j(r[t],1,1,(function(){r[t]=null}))};return e=new tt({props:{images:t[0]}}),{c:function(){for(var t=0;t<r.length;t+=1)r[t].c();n=f(),s(e.$$.fragment)},l:function(t){for(var a=0;a<r.length;a+=1)r[a].l(t);n=d(t),g(e.$$.fragment,t)},m:function(t,o){for(var i=0;i<r.length;i+=1)r[i].m(t,o);w(t,n,o),k(e,t,o),a=!0},p:function(t,a){var i=A(a,1)[0];if(63&i){var l;for(o=t[0],l=0;l<o.length;l+=1){var u=et(t,o,l);r[l]?(r[l].p(u,i),O(r[l],1)):(r[l]=at(u),r[l].c(),O(r[l],1),r[l].m(n.parentNode,n))}for(N(),l=o.length;l<r.length;l+=1)c(l);P()}var s={};1&i&&(s.images=t[0]),e.$set(s)},i:function(t){if(!a){for(var n=0;n<o.length;n+=1)O(r[n]);O(e.$$.fragment,t),a=!0}},o:function(t){r=r.filter(Boolean);for(var n=0;n<r.length;n+=1)j(r[n]);j(e.$$.fragment,t),a=!1},d:function(t){D(r,t),t&&y(n),G(e,t)}}}function rt(t,n,e){var a,o,r=n.images,i=n.sizes,c=void 0===i?"100vw":i,l=n.lazy,u=void 0!==l&&l,s=K().page;I(t,s,(function(t){return e(9,o=t)}));var f,h,p,v=B();return I(t,v,(function(t){return e(8,a=t)})),t.$set=function(t){"images"in t&&e(0,r=t.images),"sizes"in t&&e(1,c=t.sizes),"lazy"in t&&e(2,u=t.lazy)},t.$$.update=function(){var n;256&t.$$.dirty&&e(3,(f=(n=a).lang,h=n.t,n),f,(e(4,h),e(8,a)));512&t.$$.dirty&&e(5,p=o.path.slice(1))},[r,c,u,f,h,p,s,v]}var it=function(o){function r(t){var n;return a(this,r),n=nt(this,r),i(n,t,rt,ot,c,{images:0,sizes:1,lazy:2}),n}return t(r,e),n(r)}();export{it as G};
@@ -0,0 +1 @@
+import{F as t,w as n,_ as e,a as o,S as a,b as r,c,d as i,i as s,s as u,e as l,g as d,l as h,m as f,k as p,H as m,G as g,I as v,t as y,n as M,o as E,B as w,J as A,K as T,L as j,M as b,N as $,O as x,x as I,q as z,u as _}from"./client.6bd18ee1.js";var k=[{slug:"feijao-01",extension:"jpg",ratio:1.4511363636363637,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0,formats:[],alt:{en:"Charcoal drawing of a contorted figure folded over on itself, hands and feet braced against the ground, with dark spheres floating around it.",pt:"Desenho a carvão de uma figura contorcida, dobrada sobre si mesma, com mãos e pés apoiados no chão e esferas escuras flutuando ao redor."},caption:{en:"Feijão I, 2020",pt:"Feijão I, 2020"}},{slug:"feijao-02",extension:"jpg",ratio:1.4423076923076923,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0,formats:[],alt:{en:"Charcoal portrait of a bald man's head and neck seen from the front, the face covered in heavy, scratched shading.",pt:"Retrato a carvão da cabeça e do pescoço de um homem careca visto de frente, o rosto coberto por um sombreado denso e riscado."},caption:{en:"Feijão II, 2020",pt:"Feijão II, 2020"}},{slug:"successkid",src:"successkid.jpg",extension:"jpg",ratio:.6640548481880509,sizes:[1021],hasRetina:!1,formats:[],gallery:!1,alt:{en:"Success Kid",pt:"Success Kid"},caption:{en:"Have fun with Sapper!",pt:"Divirta-se com o Sapper!"}}],N=new Map;k.forEach((function(t){N.set(t.slug,t)}));var R=k.filter((function(t){return!1!==t.gallery}));function S(t,n){var e=t.slug,o=t.extension,a=t.src,r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:o;return a||"images/".concat(e,"-").concat(n,".").concat(r)}function F(t){var e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:t.extension,o=t.sizes,a=t.hasRetina,r=new Map;return o.forEach((function(n){r.has(n)||r.set(n,S(t,n,e)),a&&!r.has(2*n)&&r.set(2*n,S(t,"".concat(n,"_x2"),e))})),Array.from(r,(function(t){var e=n(t,2),o=e[0],a=e[1];return"".concat(a," ").concat(o,"w")})).join(", ")}function K(t){return(t.formats||[]).map((function(n){return{type:"image/".concat(n),srcset:F(t,n)}}))}function O(t){var n=t.sizes,e=t.ratio,o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:n[n.length-1];return{width:o,height:Math.round(o*e)}}function B(n,e){var o=n.alt,a=n.caption;return{alt:o[e]||o[t],caption:a[e]||a[t]}}function H(t,n,e){return n=c(n),i(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],c(t).constructor):n.apply(t,e))}function L(t,n,e){var o=t.slice();return o[16]=n[e],o}function C(t){var n,e,o;return{c:function(){n=l("link"),this.h()},l:function(t){n=d(t,"LINK",{rel:!0,hreflang:!0,href:!0}),this.h()},h:function(){h(n,"rel","alternate"),h(n,"hreflang",e=t[16].lang),h(n,"href",o=t[16].href)},m:function(t,e){f(t,n,e)},p:function(t,a){32&a&&e!==(e=t[16].lang)&&h(n,"hreflang",e),32&a&&o!==(o=t[16].href)&&h(n,"href",o)},d:function(t){t&&p(n)}}}function D(t){var n,e,o;return{c:function(){n=l("meta"),e=z(),o=l("meta"),this.h()},l:function(t){n=d(t,"META",{property:!0,content:!0}),e=_(t),o=d(t,"META",{name:!0,content:!0}),this.h()},h:function(){h(n,"property","og:image"),h(n,"content",x("logo-512.png")),h(o,"name","twitter:card"),h(o,"content","summary")},m:function(t,a){f(t,n,a),f(t,e,a),f(t,o,a)},p:E,d:function(t){t&&p(n),t&&p(e),t&&p(o)}}}function J(t){var n,e,o,a,r,c,i,s,u,m,g,v,y;return{c:function(){n=l("meta"),o=z(),a=l("meta"),c=z(),i=l("meta"),u=z(),m=l("meta"),g=z(),v=l("meta"),this.h()},l:function(t){n=d(t,"META",{property:!0,content:!0}),o=_(t),a=d(t,"META",{property:!0,content:!0}),c=_(t),i=d(t,"META",{property:!0,content:!0}),u=_(t),m=d(t,"META",{name:!0,content:!0}),g=_(t),v=d(t,"META",{name:!0,content:!0}),this.h()},h:function(){h(n,"property","og:image"),h(n,"content",e=t[6].src),h(a,"property","og:image:width"),h(a,"content",r=t[6].width),h(i,"property","og:image:height"),h(i,"content",s=t[6].height),h(m,"name","twitter:card"),h(m,"content","summary_large_image"),h(v,"name","twitter:image"),h(v,"content",y=t[6].src)},m:function(t,e){f(t,n,e),f(t,o,e),f(t,a,e),f(t,c,e),f(t,i,e),f(t,u,e),f(t,m,e),f(t,g,e),f(t,v,e)},p:function(t,o){64&o&&e!==(e=t[6].src)&&h(n,"content",e),64&o&&r!==(r=t[6].width)&&h(a,"content",r),64&o&&s!==(s=t[6].height)&&h(i,"content",s),64&o&&y!==(y=t[6].src)&&h(v,"content",y)},d:function(t){t&&p(n),t&&p(o),t&&p(a),t&&p(c),t&&p(i),t&&p(u),t&&p(m),t&&p(g),t&&p(v)}}}function q(t){var n;return{c:function(){this.h()},l:function(t){this.h()},h:function(){n=new m(null)},m:function(e,o){n.m(t[7],e,o)},p:function(t,e){128&e&&n.p(t[7])},d:function(t){t&&n.d()}}}function G(t){var e,o,a,r,c,i,s,u,f,m,A,T,j;document.title=e=t[0];for(var b=t[5],$=[],x=0;x<b.length;x+=1)$[x]=C(L(t,b,x));function I(t,n){return t[6]?J:D}var z=I(t),_=z(t),k=t[7]&&q(t);return{c:function(){o=l("meta"),a=l("link");for(var t=0;t<$.length;t+=1)$[t].c();r=l("meta"),c=l("meta"),s=l("meta"),u=l("meta"),f=l("meta"),m=l("meta"),_.c(),A=l("meta"),T=l("meta"),k&&k.c(),j=g(),this.h()},l:function(t){var n=v('[data-svelte="svelte-gjbfei"]',document.head);o=d(n,"META",{name:!0,content:!0}),a=d(n,"LINK",{rel:!0,href:!0});for(var e=0;e<$.length;e+=1)$[e].l(n);r=d(n,"META",{property:!0,content:!0}),c=d(n,"META",{property:!0,content:!0}),s=d(n,"META",{property:!0,content:!0}),u=d(n,"META",{property:!0,content:!0}),f=d(n,"META",{property:!0,content:!0}),m=d(n,"META",{property:!0,content:!0}),_.l(n),A=d(n,"META",{name:!0,content:!0}),T=d(n,"META",{name:!0,content:!0}),k&&k.l(n),j=g(),n.forEach(p),this.h()},h:function(){h(o,"name","description"),h(o,"content",t[2]),h(a,"rel","canonical"),h(a,"href",t[4]),h(r,"property","og:site_name"),h(r,"content",y),h(c,"property","og:locale"),h(c,"content",i=t[3].t("og_locale")),h(s,"property","og:type"),h(s,"content",t[1]),h(u,"property","og:title"),h(u,"content",t[0]),h(f,"property","og:description"),h(f,"content",t[2]),h(m,"property","og:url"),h(m,"content",t[4]),h(A,"name","twitter:title"),h(A,"content",t[0]),h(T,"name","twitter:description"),h(T,"content",t[2])},m:function(t,n){M(document.head,o),M(document.head,a);for(var e=0;e<$.length;e+=1)$[e].m(document.head,null);M(document.head,r),M(document.head,c),M(document.head,s),M(document.head,u),M(document.head,f),M(document.head,m),_.m(document.head,null),M(document.head,A),M(document.head,T),k&&k.m(document.head,null),M(document.head,j)},p:function(t,l){var d=n(l,1)[0];if(1&d&&e!==(e=t[0])&&(document.title=e),4&d&&h(o,"content",t[2]),16&d&&h(a,"href",t[4]),32&d){var p;for(b=t[5],p=0;p<b.length;p+=1){var g=L(t,b,p);$[p]?$[p].p(g,d):($[p]=C(g),$[p].c(),$[p].m(r.parentNode,r))}for(;p<$.length;p+=1)$[p].d(1);$.length=b.length}8&d&&i!==(i=t[3].t("og_locale"))&&h(c,"content",i),2&d&&h(s,"content",t[1]),1&d&&h(u,"content",t[0]),4&d&&h(f,"content",t[2]),16&d&&h(m,"content",t[4]),z===(z=I(t))&&_?_.p(t,d):(_.d(1),(_=z(t))&&(_.c(),_.m(A.parentNode,A))),1&d&&h(A,"content",t[0]),4&d&&h(T,"content",t[2]),t[7]?k?k.p(t,d):((k=q(t)).c(),k.m(j.parentNode,j)):k&&(k.d(1),k=null)},i:E,o:E,d:function(t){p(o),p(a),w($,t),p(r),p(c),p(s),p(u),p(f),p(m),_.d(t),p(A),p(T),k&&k.d(t),p(j)}}}function P(n,e,o){var a,r,c=e.title,i=e.description,s=void 0===i?null:i,u=e.image,l=void 0===u?null:u,d=e.type,h=void 0===d?"website":d,f=e.schema,p=void 0===f?null:f,m=e.languages,g=void 0===m?I:m,v=A().page;T(n,v,(function(t){return o(14,r=t)}));var y,M,E,w,z,_=j();return T(n,_,(function(t){return o(3,a=t)})),n.$set=function(t){"title"in t&&o(0,c=t.title),"description"in t&&o(10,s=t.description),"image"in t&&o(11,l=t.image),"type"in t&&o(1,h=t.type),"schema"in t&&o(12,p=t.schema),"languages"in t&&o(13,g=t.languages)},n.$$.update=function(){1032&n.$$.dirty&&o(2,y=s||a.t("site_description")),24584&n.$$.dirty&&o(4,M=g.includes(a.lang)?b(r.path.slice(1)):b($(r.path,g[0]).slice(1))),24576&n.$$.dirty&&o(5,E=g.map((function(t){return{lang:t,href:b($(r.path,t).slice(1))}})).concat({lang:"x-default",href:b($(r.path,t).slice(1))})),2048&n.$$.dirty&&o(6,w=l?function(t){var n=t.sizes.find((function(t){return t>=1200}))||t.sizes[t.sizes.length-1];return Object.assign({src:x(S(t,n))},O(t,n))}(l):null),4096&n.$$.dirty&&o(7,z=p&&'<script type="application/ld+json">'.concat(JSON.stringify(p).replace(/</g,"\\u003c"),"</scr")+"ipt>")},[c,h,y,a,M,E,w,z,v,_,s,l,p,g]}var Q=function(t){function n(t){var e;return r(this,n),e=H(this,n),s(e,t,P,G,u,{title:0,description:10,image:11,type:1,schema:12,languages:13}),e}return e(n,a),o(n)}();export{Q as H,O as a,K as b,B as d,R as g,F as s,S as u};
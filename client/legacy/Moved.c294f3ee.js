@@ -0,0 +1 @@
+import{_ as t,a as n,S as a,b as e,c as o,d as c,i as r,s as i,P as s,e as u,q as l,f,I as h,g as v,k as d,u as p,h as m,j as $,l as _,n as y,m as E,w as b,Q as k,R as q,y as M,z as R,L as j,K as w,C as A,E as B,M as I}from"./client.6bd18ee1.js";function K(t,n,a){return n=o(n),c(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,a||[],o(t).constructor):n.apply(t,a))}function L(t){var n,a,e,o,c,r,i,j,w,A,B,I,K,L,P,S=(t[1]||t[2]("moved_title"))+"",g=t[2]("moved_to")+"";document.title=n=t[1]||t[2]("moved_title");var x=t[6].default,z=s(x,t,t[5],null);return{c:function(){a=u("link"),e=u("meta"),c=l(),r=u("h1"),i=f(S),j=l(),w=u("p"),A=f(g),B=l(),I=u("a"),K=f(t[3]),L=l(),z&&z.c(),this.h()},l:function(n){var o=h('[data-svelte="svelte-cbki3w"]',document.head);a=v(o,"LINK",{rel:!0,href:!0}),e=v(o,"META",{"http-equiv":!0,content:!0}),o.forEach(d),c=p(n),r=v(n,"H1",{});var s=m(r);i=$(s,S),s.forEach(d),j=p(n),w=v(n,"P",{});var u=m(w);A=$(u,g),B=p(u),I=v(u,"A",{href:!0});var l=m(I);K=$(l,t[3]),l.forEach(d),u.forEach(d),L=p(n),z&&z.l(n),this.h()},h:function(){_(a,"rel","canonical"),_(a,"href",t[3]),_(e,"http-equiv","refresh"),_(e,"content",o="0; url="+t[3]),_(I,"href",t[0])},m:function(t,n){y(document.head,a),y(document.head,e),E(t,c,n),E(t,r,n),y(r,i),E(t,j,n),E(t,w,n),y(w,A),y(w,B),y(w,I),y(I,K),E(t,L,n),z&&z.m(t,n),P=!0},p:function(t,c){var r=b(c,1)[0];(!P||6&r)&&n!==(n=t[1]||t[2]("moved_title"))&&(document.title=n),(!P||8&r)&&_(a,"href",t[3]),(!P||8&r&&o!==(o="0; url="+t[3]))&&_(e,"content",o),(!P||6&r)&&S!==(S=(t[1]||t[2]("moved_title"))+"")&&k(i,S),(!P||4&r)&&g!==(g=t[2]("moved_to")+"")&&k(A,g),(!P||8&r)&&k(K,t[3]),(!P||1&r)&&_(I,"href",t[0]),z&&z.p&&32&r&&q(z,x,t,t[5],r,null,null)},i:function(t){P||(M(z,t),P=!0)},o:function(t){R(z,t),P=!1},d:function(t){d(a),d(e),t&&d(c),t&&d(r),t&&d(j),t&&d(w),t&&d(L),z&&z.d(t)}}}function P(t,n,a){var e,o=n.path,c=n.title,r=void 0===c?null:c,i=j();w(t,i,(function(t){return a(7,e=t)})),A((function(){B("".concat(o).concat(location.search).concat(location.hash),{replaceState:!0})}));var s,u,l=n.$$slots,f=void 0===l?{}:l,h=n.$$scope;return t.$set=function(t){"path"in t&&a(0,o=t.path),"title"in t&&a(1,r=t.title),"$$scope"in t&&a(5,h=t.$$scope)},t.$$.update=function(){var n;128&t.$$.dirty&&a(2,(s=(n=e).t,n),s);1&t.$$.dirty&&a(3,u=I(o))},[o,r,s,u,i,h,f]}var S=function(o){function c(t){var n;return e(this,c),n=K(this,c),r(n,t,P,L,i,{path:0,title:1}),n}return t(c,a),n(c)}();export{S as M};
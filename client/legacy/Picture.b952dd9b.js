@@ -0,0 +1 @@
+import{_ as t,a as n,S as s,b as i,c,d as a,i as e,s as r,G as o,m as u,k as f,e as l,q as h,g as d,h as p,u as v,l as g,n as m,w as z,o as y,B as b}from"./client.6bd18ee1.js";import{a as w,b as $,s as R,u as k}from"./Head.1651de73.js";function E(t,n,s){return n=c(n),a(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,s||[],c(t).constructor):n.apply(t,s))}function B(t,n,s){var i=t.slice();return i[7]=n[s],i}function C(t){var n,s,i;return{c:function(){n=l("source"),this.h()},l:function(t){n=d(t,"SOURCE",{type:!0,srcset:!0,sizes:!0}),this.h()},h:function(){g(n,"type",s=t[7].type),g(n,"srcset",i=t[7].srcset),g(n,"sizes",t[2])},m:function(t,s){u(t,n,s)},p:function(t,c){64&c&&s!==(s=t[7].type)&&g(n,"type",s),64&c&&i!==(i=t[7].srcset)&&g(n,"srcset",i),4&c&&g(n,"sizes",t[2])},d:function(t){t&&f(n)}}}function G(t){var n,s,i;return{c:function(){n=l("source"),this.h()},l:function(t){n=d(t,"SOURCE",{type:!0,"data-srcset":!0,"data-sizes":!0}),this.h()},h:function(){g(n,"type",s=t[7].type),g(n,"data-srcset",i=t[7].srcset),g(n,"data-sizes","auto")},m:function(t,s){u(t,n,s)},p:function(t,c){64&c&&s!==(s=t[7].type)&&g(n,"type",s),64&c&&i!==(i=t[7].srcset)&&g(n,"data-srcset",i)},d:function(t){t&&f(n)}}}function I(t){var n;function s(t,n){return t[3]?G:C}var i=s(t),c=i(t);return{c:function(){c.c(),n=o()},l:function(t){c.l(t),n=o()},m:function(t,s){c.m(t,s),u(t,n,s)},p:function(t,a){i===(i=s(t))&&c?c.p(t,a):(c.d(1),(c=i(t))&&(c.c(),c.m(n.parentNode,n)))},d:function(t){c.d(t),t&&f(n)}}}function O(t){var n,s,i;return{c:function(){n=l("img"),this.h()},l:function(t){n=d(t,"IMG",{alt:!0,width:!0,height:!0,srcset:!0,sizes:!0,src:!0,loading:!0,class:!0}),this.h()},h:function(){g(n,"alt",t[1]),g(n,"width",t[4]),g(n,"height",t[5]),g(n,"srcset",s=R(t[0])),g(n,"sizes",t[2]),n.src!==(i=k(t[0],t[0].sizes[0]))&&g(n,"src",i),g(n,"loading","lazy"),g(n,"class","svelte-1b2bek4")},m:function(t,s){u(t,n,s)},p:function(t,c){2&c&&g(n,"alt",t[1]),16&c&&g(n,"width",t[4]),32&c&&g(n,"height",t[5]),1&c&&s!==(s=R(t[0]))&&g(n,"srcset",s),4&c&&g(n,"sizes",t[2]),1&c&&n.src!==(i=k(t[0],t[0].sizes[0]))&&g(n,"src",i)},d:function(t){t&&f(n)}}}function S(t){var n,s;return{c:function(){n=l("img"),this.h()},l:function(t){n=d(t,"IMG",{alt:!0,width:!0,height:!0,"data-srcset":!0,"data-sizes":!0,class:!0}),this.h()},h:function(){g(n,"alt",t[1]),g(n,"width",t[4]),g(n,"height",t[5]),g(n,"data-srcset",s=R(t[0])),g(n,"data-sizes","auto"),g(n,"class","lazyload svelte-1b2bek4")},m:function(t,s){u(t,n,s)},p:function(t,i){2&i&&g(n,"alt",t[1]),16&i&&g(n,"width",t[4]),32&i&&g(n,"height",t[5]),1&i&&s!==(s=R(t[0]))&&g(n,"data-srcset",s)},d:function(t){t&&f(n)}}}function U(t){for(var n,s,i=t[6],c=[],a=0;a<i.length;a+=1)c[a]=I(B(t,i,a));function e(t,n){return t[3]?S:O}var r=e(t),o=r(t);return{c:function(){n=l("picture");for(var t=0;t<c.length;t+=1)c[t].c();s=h(),o.c(),this.h()},l:function(t){n=d(t,"PICTURE",{class:!0});for(var i=p(n),a=0;a<c.length;a+=1)c[a].l(i);s=v(i),o.l(i),i.forEach(f),this.h()},h:function(){g(n,"class","svelte-1b2bek4")},m:function(t,i){u(t,n,i);for(var a=0;a<c.length;a+=1)c[a].m(n,null);m(n,s),o.m(n,null)},p:function(t,a){var u=z(a,1)[0];if(76&u){var f;for(i=t[6],f=0;f<i.length;f+=1){var l=B(t,i,f);c[f]?c[f].p(l,u):(c[f]=I(l),c[f].c(),c[f].m(n,s))}for(;f<c.length;f+=1)c[f].d(1);c.length=i.length}r===(r=e(t))&&o?o.p(t,u):(o.d(1),(o=r(t))&&(o.c(),o.m(n,null)))},i:y,o:y,d:function(t){t&&f(n),b(c,t),o.d()}}}function j(t,n,s){var i,c,a,e=n.image,r=n.alt,o=void 0===r?"":r,u=n.sizes,f=void 0===u?"100vw":u,l=n.lazy,h=void 0!==l&&l;return t.$set=function(t){"image"in t&&s(0,e=t.image),"alt"in t&&s(1,o=t.alt),"sizes"in t&&s(2,f=t.sizes),"lazy"in t&&s(3,h=t.lazy)},t.$$.update=function(){var n;1&t.$$.dirty&&s(4,(n=w(e),i=n.width,c=n.height,n),i,(s(5,c),s(0,e)));1&t.$$.dirty&&s(6,a=$(e))},[e,o,f,h,i,c,a]}var M=function(c){function a(t){var n;return i(this,a),n=E(this,a),e(n,t,j,U,r,{image:0,alt:1,sizes:2,lazy:3}),n}return t(a,s),n(a)}();export{M as P};
@@ -0,0 +1 @@
+import{_ as n,a as t,S as a,b as s,c as r,d as o,i as c,s as l,e,f,q as u,p as i,g as h,h as g,j as v,k as p,u as m,r as $,l as j,m as b,n as E,v as d,Q as y,y as B,z as P,A as x,w as L,Z as w,$ as A,B as R,L as k,K as q}from"./client.6bd18ee1.js";import{P as z}from"./PostMeta.813c0bba.js";function H(n,t,a){return t=r(t),o(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,a||[],r(n).constructor):t.apply(n,a))}function I(n,t,a){var s=n.slice();return s[3]=t[a],s}function K(n){var t,a,s,r,o,c,l,L,w,A,R,k,q,H,I=n[3].title+"",K=n[3].excerpt+"";return k=new z({props:{post:n[3]}}),{c:function(){t=e("li"),a=e("h2"),s=e("a"),r=f(I),l=u(),L=e("p"),w=f(K),R=u(),i(k.$$.fragment),q=u(),this.h()},l:function(n){t=h(n,"LI",{class:!0});var o=g(t);a=h(o,"H2",{lang:!0,class:!0});var c=g(a);s=h(c,"A",{rel:!0,href:!0});var e=g(s);r=v(e,I),e.forEach(p),c.forEach(p),l=m(o),L=h(o,"P",{lang:!0,class:!0});var f=g(L);w=v(f,K),f.forEach(p),R=m(o),$(k.$$.fragment,o),q=m(o),o.forEach(p),this.h()},h:function(){j(s,"rel","prefetch"),j(s,"href",o=n[1].lang+"/blog/"+n[3].slug),j(a,"lang",c=n[3].lang),j(a,"class","svelte-jtasuc"),j(L,"lang",A=n[3].lang),j(L,"class","svelte-jtasuc"),j(t,"class","svelte-jtasuc")},m:function(n,o){b(n,t,o),E(t,a),E(a,s),E(s,r),E(t,l),E(t,L),E(L,w),E(t,R),d(k,t,null),E(t,q),H=!0},p:function(n,t){(!H||1&t)&&I!==(I=n[3].title+"")&&y(r,I),(!H||3&t&&o!==(o=n[1].lang+"/blog/"+n[3].slug))&&j(s,"href",o),(!H||1&t&&c!==(c=n[3].lang))&&j(a,"lang",c),(!H||1&t)&&K!==(K=n[3].excerpt+"")&&y(w,K),(!H||1&t&&A!==(A=n[3].lang))&&j(L,"lang",A);var l={};1&t&&(l.post=n[3]),k.$set(l)},i:function(n){H||(B(k.$$.fragment,n),H=!0)},o:function(n){P(k.$$.fragment,n),H=!1},d:function(n){n&&p(t),x(k)}}}function M(n){for(var t,a,s=n[0],r=[],o=0;o<s.length;o+=1)r[o]=K(I(n,s,o));var c=function(n){return P(r[n],1,1,(function(){r[n]=null}))};return{c:function(){t=e("ul");for(var n=0;n<r.length;n+=1)r[n].c();this.h()},l:function(n){t=h(n,"UL",{class:!0});for(var a=g(t),s=0;s<r.length;s+=1)r[s].l(a);a.forEach(p),this.h()},h:function(){j(t,"class","svelte-jtasuc")},m:function(n,s){b(n,t,s);for(var o=0;o<r.length;o+=1)r[o].m(t,null);a=!0},p:function(n,a){var o=L(a,1)[0];if(3&o){var l;for(s=n[0],l=0;l<s.length;l+=1){var e=I(n,s,l);r[l]?(r[l].p(e,o),B(r[l],1)):(r[l]=K(e),r[l].c(),B(r[l],1),r[l].m(t,null))}for(w(),l=s.length;l<r.length;l+=1)c(l);A()}},i:function(n){if(!a){for(var t=0;t<s.length;t+=1)B(r[t]);a=!0}},o:function(n){r=r.filter(Boolean);for(var t=0;t<r.length;t+=1)P(r[t]);a=!1},d:function(n){n&&p(t),R(r,n)}}}function O(n,t,a){var s,r=t.posts,o=k();return q(n,o,(function(n){return a(1,s=n)})),n.$set=function(n){"posts"in n&&a(0,r=n.posts)},[r,s,o]}var Q=function(r){function o(n){var t;return s(this,o),t=H(this,o),c(t,n,O,M,l,{posts:0}),t}return n(o,a),t(o)}();export{Q as P};
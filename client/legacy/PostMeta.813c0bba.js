@@ -0,0 +1 @@
+import{_ as t,a as n,S as a,b as e,c as r,d as o,i,s as c,f as u,q as s,e as f,j as l,u as d,g as h,h as m,k as p,l as g,m as v,n as E,Q as _,B as q,w as y,o as $,L as T,K as b}from"./client.6bd18ee1.js";function I(t,n,a){return n=r(n),o(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,a||[],r(t).constructor):n.apply(t,a))}function L(t,n,a){var e=t.slice();return e[6]=n[a],e}function z(t){var n,a,e,r,o,i,c,q=t[2]("post_updated")+"",y=t[3](t[0].updated)+"";return{c:function(){n=u("("),a=u(q),e=s(),r=f("time"),o=u(y),c=u(")"),this.h()},l:function(t){n=l(t,"("),a=l(t,q),e=d(t),r=h(t,"TIME",{datetime:!0});var i=m(r);o=l(i,y),i.forEach(p),c=l(t,")"),this.h()},h:function(){g(r,"datetime",i=t[0].updated)},m:function(t,i){v(t,n,i),v(t,a,i),v(t,e,i),v(t,r,i),E(r,o),v(t,c,i)},p:function(t,n){4&n&&q!==(q=t[2]("post_updated")+"")&&_(a,q),9&n&&y!==(y=t[3](t[0].updated)+"")&&_(o,y),1&n&&i!==(i=t[0].updated)&&g(r,"datetime",i)},d:function(t){t&&p(n),t&&p(a),t&&p(e),t&&p(r),t&&p(c)}}}function B(t){for(var n,a,e=t[0].tags,r=[],o=0;o<e.length;o+=1)r[o]=D(L(t,e,o));return{c:function(){n=u("·\n\t\t"),a=f("ul");for(var t=0;t<r.length;t+=1)r[t].c();this.h()},l:function(t){n=l(t,"·\n\t\t"),a=h(t,"UL",{class:!0});for(var e=m(a),o=0;o<r.length;o+=1)r[o].l(e);e.forEach(p),this.h()},h:function(){g(a,"class","svelte-1qqazvg")},m:function(t,e){v(t,n,e),v(t,a,e);for(var o=0;o<r.length;o+=1)r[o].m(a,null)},p:function(t,n){if(3&n){var o;for(e=t[0].tags,o=0;o<e.length;o+=1){var i=L(t,e,o);r[o]?r[o].p(i,n):(r[o]=D(i),r[o].c(),r[o].m(a,null))}for(;o<r.length;o+=1)r[o].d(1);r.length=e.length}},d:function(t){t&&p(n),t&&p(a),q(r,t)}}}function D(t){var n,a,e,r,o,i=t[6]+"";return{c:function(){n=f("li"),a=f("a"),e=u("#"),r=u(i),this.h()},l:function(t){n=h(t,"LI",{class:!0});var o=m(n);a=h(o,"A",{rel:!0,href:!0});var c=m(a);e=l(c,"#"),r=l(c,i),c.forEach(p),o.forEach(p),this.h()},h:function(){g(a,"rel","prefetch"),g(a,"href",o=t[1]+"/blog/tag/"+t[6]),g(n,"class","svelte-1qqazvg")},m:function(t,o){v(t,n,o),E(n,a),E(a,e),E(a,r)},p:function(t,n){1&n&&i!==(i=t[6]+"")&&_(r,i),3&n&&o!==(o=t[1]+"/blog/tag/"+t[6])&&g(a,"href",o)},d:function(t){t&&p(n)}}}function j(t){var n,a,e,r,o,i,c,q,T,b,I=t[3](t[0].date)+"",L=t[0].author+"",D=t[2]("post_reading_time",{minutes:t[0].readingTime})+"",j=t[0].updated!==t[0].date&&z(t),w=t[0].tags.length&&B(t);return{c:function(){n=f("div"),a=f("time"),e=u(I),o=s(),j&&j.c(),i=u("\n\t· "),c=u(L),q=u("\n\t· "),T=u(D),b=s(),w&&w.c(),this.h()},l:function(t){n=h(t,"DIV",{class:!0});var r=m(n);a=h(r,"TIME",{datetime:!0});var u=m(a);e=l(u,I),u.forEach(p),o=d(r),j&&j.l(r),i=l(r,"\n\t· "),c=l(r,L),q=l(r,"\n\t· "),T=l(r,D),b=d(r),w&&w.l(r),r.forEach(p),this.h()},h:function(){g(a,"datetime",r=t[0].date),g(n,"class","svelte-1qqazvg")},m:function(t,r){v(t,n,r),E(n,a),E(a,e),E(n,o),j&&j.m(n,null),E(n,i),E(n,c),E(n,q),E(n,T),E(n,b),w&&w.m(n,null)},p:function(t,o){var u=y(o,1)[0];9&u&&I!==(I=t[3](t[0].date)+"")&&_(e,I),1&u&&r!==(r=t[0].date)&&g(a,"datetime",r),t[0].updated!==t[0].date?j?j.p(t,u):((j=z(t)).c(),j.m(n,i)):j&&(j.d(1),j=null),1&u&&L!==(L=t[0].author+"")&&_(c,L),5&u&&D!==(D=t[2]("post_reading_time",{minutes:t[0].readingTime})+"")&&_(T,D),t[0].tags.length?w?w.p(t,u):((w=B(t)).c(),w.m(n,null)):w&&(w.d(1),w=null)},i:$,o:$,d:function(t){t&&p(n),j&&j.d(),w&&w.d()}}}function w(t,n,a){var e,r,o,i,c=n.post,u=T();return b(t,u,(function(t){return a(5,e=t)})),t.$set=function(t){"post"in t&&a(0,c=t.post)},t.$$.update=function(){var n;32&t.$$.dirty&&a(1,(r=(n=e).lang,o=n.t,n),r,(a(2,o),a(5,e)));4&t.$$.dirty&&a(3,i=function(t){return new Date(t).toLocaleDateString(o("date_locale"),{year:"numeric",month:"long",day:"numeric",timeZone:"UTC"})})},[c,r,o,i,u]}var M=function(r){function o(t){var n;return e(this,o),n=I(this,o),i(n,t,w,j,c,{post:0}),n}return t(o,a),n(o)}();export{M as P};
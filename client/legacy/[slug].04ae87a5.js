@@ -0,0 +1 @@
+import{T as t,_ as n,a as r,S as e,b as o,c as a,d as i,i as u,s as c,F as s,p as f,r as l,v as p,w as v,y,z as h,A as b}from"./client.6bd18ee1.js";import{M as g}from"./Moved.c294f3ee.js";function m(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,r="function"==typeof Symbol?Symbol:{},e=r.iterator||"@@iterator",o=r.toStringTag||"@@toStringTag";function a(r,e,o,a){var c=e&&e.prototype instanceof u?e:u,s=Object.create(c.prototype);return d(s,"_invoke",function(r,e,o){var a,u,c,s=0,f=o||[],l=!1,p={p:0,n:0,v:t,a:v,f:v.bind(t,4),d:function(n,r){return a=n,u=0,c=t,p.n=r,i}};function v(r,e){for(u=r,c=e,n=0;!l&&s&&!o&&n<f.length;n++){var o,a=f[n],v=p.p,y=a[2];r>3?(o=y===e)&&(c=a[(u=a[4])?5:(u=3,3)],a[4]=a[5]=t):a[0]<=v&&((o=r<2&&v<a[1])?(u=0,p.v=e,p.n=a[1]):v<y&&(o=r<3||a[0]>e||e>y)&&(a[4]=r,a[5]=e,p.n=y,u=0))}if(o||r>1)return i;throw l=!0,e}return function(o,f,y){if(s>1)throw TypeError("Generator is already running");for(l&&1===f&&v(f,y),u=f,c=y;(n=u<2?t:c)||!l;){a||(u?u<3?(u>1&&(p.n=-1),v(u,c)):p.n=c:p.v=c);try{if(s=2,a){if(u||(o="next"),n=a[o]){if(!(n=n.call(a,c)))throw TypeError("iterator result is not an object");if(!n.done)return n;c=n.value,u<2&&(u=0)}else 1===u&&(n=a.return)&&n.call(a),u<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),u=1);a=t}else if((n=(l=p.n<0)?c:r.call(e,p))!==i)break}catch(n){a=t,u=1,c=n}finally{s=1}}return{value:n,done:l}}}(r,o,a),!0),s}var i={};function u(){}function c(){}function s(){}n=Object.getPrototypeOf;var f=[][e]?n(n([][e]())):(d(n={},e,(function(){return this})),n),l=s.prototype=u.prototype=Object.create(f);function p(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,s):(t.__proto__=s,d(t,o,"GeneratorFunction")),t.prototype=Object.create(l),t}return c.prototype=s,d(l,"constructor",s),d(s,"constructor",c),c.displayName="GeneratorFunction",d(s,o,"GeneratorFunction"),d(l),d(l,o,"Generator"),d(l,e,(function(){return this})),d(l,"toString",(function(){return"[object Generator]"})),(m=function(){return{w:a,m:p}})()}function d(t,n,r,e){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(d=function(t,n,r,e){function a(n,r){d(t,n,(function(t){return this._invoke(n,r,t)}))}n?o?o(t,n,{value:r,enumerable:!e,configurable:!e,writable:!e}):t[n]=r:(a("next",0),a("throw",1),a("return",2))})(t,n,r,e)}function j(t,n,r){return n=a(n),i(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,r||[],a(t).constructor):n.apply(t,r))}function O(t){var n,r;return n=new g({props:{path:s+"/blog/"+t[0].slug,title:t[0].title}}),{c:function(){f(n.$$.fragment)},l:function(t){l(n.$$.fragment,t)},m:function(t,e){p(n,t,e),r=!0},p:function(t,r){var e=v(r,1)[0],o={};1&e&&(o.path=s+"/blog/"+t[0].slug),1&e&&(o.title=t[0].title),n.$set(o)},i:function(t){r||(y(n.$$.fragment,t),r=!0)},o:function(t){h(n.$$.fragment,t),r=!1},d:function(t){b(n,t)}}}function w(t){return $.apply(this,arguments)}function $(){return($=t(m().m((function t(n){var r,e,o;return m().w((function(t){for(;;)switch(t.n){case 0:return r=n.params,n.query,t.n=1,this.fetch("blog/".concat(r.slug,".json"));case 1:return e=t.v,t.n=2,e.json();case 2:if(o=t.v,200!==e.status){t.n=3;break}return t.a(2,{post:{title:o.title,slug:o.slug}});case 3:this.error(e.status,o.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function T(t,n,r){var e=n.post;return t.$set=function(t){"post"in t&&r(0,e=t.post)},[e]}var _=function(t){function a(t){var n;return o(this,a),n=j(this,a),u(n,t,T,O,c,{post:0}),n}return n(a,e),r(a)}();export default _;export{w as preload};
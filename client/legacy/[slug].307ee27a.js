@@ -0,0 +1 @@
+import{T as t,_ as r,a as n,S as e,b as o,c as a,d as c,i,s as u,F as f,p as s,r as p,v as l,w as v,y,z as h,A as b}from"./client.6bd18ee1.js";import{M as g}from"./Moved.c294f3ee.js";function j(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,r,n="function"==typeof Symbol?Symbol:{},e=n.iterator||"@@iterator",o=n.toStringTag||"@@toStringTag";function a(n,e,o,a){var u=e&&e.prototype instanceof i?e:i,f=Object.create(u.prototype);return m(f,"_invoke",function(n,e,o){var a,i,u,f=0,s=o||[],p=!1,l={p:0,n:0,v:t,a:v,f:v.bind(t,4),d:function(r,n){return a=r,i=0,u=t,l.n=n,c}};function v(n,e){for(i=n,u=e,r=0;!p&&f&&!o&&r<s.length;r++){var o,a=s[r],v=l.p,y=a[2];n>3?(o=y===e)&&(u=a[(i=a[4])?5:(i=3,3)],a[4]=a[5]=t):a[0]<=v&&((o=n<2&&v<a[1])?(i=0,l.v=e,l.n=a[1]):v<y&&(o=n<3||a[0]>e||e>y)&&(a[4]=n,a[5]=e,l.n=y,i=0))}if(o||n>1)return c;throw p=!0,e}return function(o,s,y){if(f>1)throw TypeError("Generator is already running");for(p&&1===s&&v(s,y),i=s,u=y;(r=i<2?t:u)||!p;){a||(i?i<3?(i>1&&(l.n=-1),v(i,u)):l.n=u:l.v=u);try{if(f=2,a){if(i||(o="next"),r=a[o]){if(!(r=r.call(a,u)))throw TypeError("iterator result is not an object");if(!r.done)return r;u=r.value,i<2&&(i=0)}else 1===i&&(r=a.return)&&r.call(a),i<2&&(u=TypeError("The iterator does not provide a '"+o+"' method"),i=1);a=t}else if((r=(p=l.n<0)?u:n.call(e,l))!==c)break}catch(r){a=t,i=1,u=r}finally{f=1}}return{value:r,done:p}}}(n,o,a),!0),f}var c={};function i(){}function u(){}function f(){}r=Object.getPrototypeOf;var s=[][e]?r(r([][e]())):(m(r={},e,(function(){return this})),r),p=f.prototype=i.prototype=Object.create(s);function l(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,f):(t.__proto__=f,m(t,o,"GeneratorFunction")),t.prototype=Object.create(p),t}return u.prototype=f,m(p,"constructor",f),m(f,"constructor",u),u.displayName="GeneratorFunction",m(f,o,"GeneratorFunction"),m(p),m(p,o,"Generator"),m(p,e,(function(){return this})),m(p,"toString",(function(){return"[object Generator]"})),(j=function(){return{w:a,m:l}})()}function m(t,r,n,e){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(m=function(t,r,n,e){function a(r,n){m(t,r,(function(t){return this._invoke(r,n,t)}))}r?o?o(t,r,{value:n,enumerable:!e,configurable:!e,writable:!e}):t[r]=n:(a("next",0),a("throw",1),a("return",2))})(t,r,n,e)}function d(t,r,n){return r=a(r),c(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(r,n||[],a(t).constructor):r.apply(t,n))}function w(t){var r,n;return r=new g({props:{path:f+"/work/"+t[0].slug,title:t[0].title}}),{c:function(){s(r.$$.fragment)},l:function(t){p(r.$$.fragment,t)},m:function(t,e){l(r,t,e),n=!0},p:function(t,n){var e=v(n,1)[0],o={};1&e&&(o.path=f+"/work/"+t[0].slug),1&e&&(o.title=t[0].title),r.$set(o)},i:function(t){n||(y(r.$$.fragment,t),n=!0)},o:function(t){h(r.$$.fragment,t),n=!1},d:function(t){b(r,t)}}}function O(t){return $.apply(this,arguments)}function $(){return($=t(j().m((function t(r){var n,e,o;return j().w((function(t){for(;;)switch(t.n){case 0:return n=r.params,r.query,t.n=1,this.fetch("work/".concat(n.slug,".json"));case 1:return e=t.v,t.n=2,e.json();case 2:if(o=t.v,200!==e.status){t.n=3;break}return t.a(2,{project:{title:o.title,slug:o.slug}});case 3:this.error(e.status,o.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function k(t,r,n){var e=r.project;return t.$set=function(t){"project"in t&&n(0,e=t.project)},[e]}var T=function(t){function a(t){var r;return o(this,a),r=d(this,a),i(r,t,k,w,u,{project:0}),r}return r(a,e),n(a)}();export default T;export{O as preload};
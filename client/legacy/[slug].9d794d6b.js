@@ -0,0 +1 @@
+import{T as t,_ as n,a as r,S as e,b as a,c as o,d as c,i,s,e as u,g as f,h as l,k as p,l as v,m as h,p as g,q as m,f as d,r as y,u as b,j,v as w,n as $,w as O,Q as T,y as _,z as k,A as E,L as D,K as G}from"./client.6bd18ee1.js";import{H as S}from"./Head.1651de73.js";import"./Picture.b952dd9b.js";import{G as H}from"./Gallery.a532d7fc.js";function P(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,r="function"==typeof Symbol?Symbol:{},e=r.iterator||"@@iterator",a=r.toStringTag||"@@toStringTag";function o(r,e,a,o){var s=e&&e.prototype instanceof i?e:i,u=Object.create(s.prototype);return x(u,"_invoke",function(r,e,a){var o,i,s,u=0,f=a||[],l=!1,p={p:0,n:0,v:t,a:v,f:v.bind(t,4),d:function(n,r){return o=n,i=0,s=t,p.n=r,c}};function v(r,e){for(i=r,s=e,n=0;!l&&u&&!a&&n<f.length;n++){var a,o=f[n],v=p.p,h=o[2];r>3?(a=h===e)&&(s=o[(i=o[4])?5:(i=3,3)],o[4]=o[5]=t):o[0]<=v&&((a=r<2&&v<o[1])?(i=0,p.v=e,p.n=o[1]):v<h&&(a=r<3||o[0]>e||e>h)&&(o[4]=r,o[5]=e,p.n=h,i=0))}if(a||r>1)return c;throw l=!0,e}return function(a,f,h){if(u>1)throw TypeError("Generator is already running");for(l&&1===f&&v(f,h),i=f,s=h;(n=i<2?t:s)||!l;){o||(i?i<3?(i>1&&(p.n=-1),v(i,s)):p.n=s:p.v=s);try{if(u=2,o){if(i||(a="next"),n=o[a]){if(!(n=n.call(o,s)))throw TypeError("iterator result is not an object");if(!n.done)return n;s=n.value,i<2&&(i=0)}else 1===i&&(n=o.return)&&n.call(o),i<2&&(s=TypeError("The iterator does not provide a '"+a+"' method"),i=1);o=t}else if((n=(l=p.n<0)?s:r.call(e,p))!==c)break}catch(n){o=t,i=1,s=n}finally{u=1}}return{value:n,done:l}}}(r,a,o),!0),u}var c={};function i(){}function s(){}function u(){}n=Object.getPrototypeOf;var f=[][e]?n(n([][e]())):(x(n={},e,(function(){return this})),n),l=u.prototype=i.prototype=Object.create(f);function p(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,u):(t.__proto__=u,x(t,a,"GeneratorFunction")),t.prototype=Object.create(l),t}return s.prototype=u,x(l,"constructor",u),x(u,"constructor",s),s.displayName="GeneratorFunction",x(u,a,"GeneratorFunction"),x(l),x(l,a,"Generator"),x(l,e,(function(){return this})),x(l,"toString",(function(){return"[object Generator]"})),(P=function(){return{w:o,m:p}})()}function x(t,n,r,e){var a=Object.defineProperty;try{a({},"",{})}catch(t){a=0}(x=function(t,n,r,e){function o(n,r){x(t,n,(function(t){return this._invoke(n,r,t)}))}n?a?a(t,n,{value:r,enumerable:!e,configurable:!e,writable:!e}):t[n]=r:(o("next",0),o("throw",1),o("return",2))})(t,n,r,e)}function L(t,n,r){return n=o(n),c(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,r||[],o(t).constructor):n.apply(t,r))}function F(t){var n,r,e=t[0].html+"";return{c:function(){n=u("div"),this.h()},l:function(t){n=f(t,"DIV",{class:!0,lang:!0}),l(n).forEach(p),this.h()},h:function(){v(n,"class","content"),v(n,"lang",r=t[0].lang)},m:function(t,r){h(t,n,r),n.innerHTML=e},p:function(t,a){1&a&&e!==(e=t[0].html+"")&&(n.innerHTML=e),1&a&&r!==(r=t[0].lang)&&v(n,"lang",r)},d:function(t){t&&p(n)}}}function q(t){var n,r,e,a,o,c,i,s,D,G,P,x,L,q,B,M,N,R,z,A=t[0].title+"",I=t[1].t("work_year")+"",K=t[0].year+"",Q=t[1].t("work_role")+"",V=t[0].role+"";n=new S({props:{title:t[0].title,description:t[0].description,image:t[0].images[0]}});var C=t[0].html&&F(t);return R=new H({props:{images:t[0].images}}),{c:function(){g(n.$$.fragment),r=m(),e=u("h1"),a=d(A),o=m(),c=u("dl"),i=u("dt"),s=d(I),D=u("dd"),G=d(K),P=u("dt"),x=d(Q),L=u("dd"),q=d(V),M=m(),C&&C.c(),N=m(),g(R.$$.fragment),this.h()},l:function(t){y(n.$$.fragment,t),r=b(t),e=f(t,"H1",{});var u=l(e);a=j(u,A),u.forEach(p),o=b(t),c=f(t,"DL",{class:!0});var v=l(c);i=f(v,"DT",{class:!0});var h=l(i);s=j(h,I),h.forEach(p),D=f(v,"DD",{class:!0});var g=l(D);G=j(g,K),g.forEach(p),P=f(v,"DT",{class:!0});var m=l(P);x=j(m,Q),m.forEach(p),L=f(v,"DD",{lang:!0,class:!0});var d=l(L);q=j(d,V),d.forEach(p),v.forEach(p),M=b(t),C&&C.l(t),N=b(t),y(R.$$.fragment,t),this.h()},h:function(){v(i,"class","svelte-1wgfldv"),v(D,"class","svelte-1wgfldv"),v(P,"class","svelte-1wgfldv"),v(L,"lang",B=t[0].lang),v(L,"class","svelte-1wgfldv"),v(c,"class","svelte-1wgfldv")},m:function(t,u){w(n,t,u),h(t,r,u),h(t,e,u),$(e,a),h(t,o,u),h(t,c,u),$(c,i),$(i,s),$(c,D),$(D,G),$(c,P),$(P,x),$(c,L),$(L,q),h(t,M,u),C&&C.m(t,u),h(t,N,u),w(R,t,u),z=!0},p:function(t,r){var e=O(r,1)[0],o={};1&e&&(o.title=t[0].title),1&e&&(o.description=t[0].description),1&e&&(o.image=t[0].images[0]),n.$set(o),(!z||1&e)&&A!==(A=t[0].title+"")&&T(a,A),(!z||2&e)&&I!==(I=t[1].t("work_year")+"")&&T(s,I),(!z||1&e)&&K!==(K=t[0].year+"")&&T(G,K),(!z||2&e)&&Q!==(Q=t[1].t("work_role")+"")&&T(x,Q),(!z||1&e)&&V!==(V=t[0].role+"")&&T(q,V),(!z||1&e&&B!==(B=t[0].lang))&&v(L,"lang",B),t[0].html?C?C.p(t,e):((C=F(t)).c(),C.m(N.parentNode,N)):C&&(C.d(1),C=null);var c={};1&e&&(c.images=t[0].images),R.$set(c)},i:function(t){z||(_(n.$$.fragment,t),_(R.$$.fragment,t),z=!0)},o:function(t){k(n.$$.fragment,t),k(R.$$.fragment,t),z=!1},d:function(t){E(n,t),t&&p(r),t&&p(e),t&&p(o),t&&p(c),t&&p(M),C&&C.d(t),t&&p(N),E(R,t)}}}function B(t){return M.apply(this,arguments)}function M(){return(M=t(P().m((function t(n){var r,e,a;return P().w((function(t){for(;;)switch(t.n){case 0:return r=n.params,n.query,t.n=1,this.fetch("".concat(r.lang,"/work/").concat(r.slug,".json"));case 1:return e=t.v,t.n=2,e.json();case 2:if(a=t.v,200!==e.status){t.n=3;break}return t.a(2,{project:a});case 3:this.error(e.status,a.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function N(t,n,r){var e,a=n.project,o=D();return G(t,o,(function(t){return r(1,e=t)})),t.$set=function(t){"project"in t&&r(0,a=t.project)},[a,e,o]}var R=function(t){function o(t){var n;return a(this,o),n=L(this,o),i(n,t,N,q,s,{project:0}),n}return n(o,e),r(o)}();export default R;export{B as preload};
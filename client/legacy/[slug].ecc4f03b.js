@@ -0,0 +1 @@
+import{T as t,_ as n,a as e,S as a,b as r,c as o,d as c,i,s,e as l,f as u,g as f,h as g,j as p,k as h,l as v,m,n as d,Q as b,p as y,r as $,v as x,y as _,z as j,A as E,q as w,u as O,B as P,G as L,w as T,$ as A,L as S,K as G,M,O as N,Z as k}from"./client.6bd18ee1.js";import{H,d as B,u as z}from"./Head.1651de73.js";import{P as F}from"./Picture.b952dd9b.js";import{P as V}from"./PostMeta.813c0bba.js";function q(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,e="function"==typeof Symbol?Symbol:{},a=e.iterator||"@@iterator",r=e.toStringTag||"@@toStringTag";function o(e,a,r,o){var s=a&&a.prototype instanceof i?a:i,l=Object.create(s.prototype);return I(l,"_invoke",function(e,a,r){var o,i,s,l=0,u=r||[],f=!1,g={p:0,n:0,v:t,a:p,f:p.bind(t,4),d:function(n,e){return o=n,i=0,s=t,g.n=e,c}};function p(e,a){for(i=e,s=a,n=0;!f&&l&&!r&&n<u.length;n++){var r,o=u[n],p=g.p,h=o[2];e>3?(r=h===a)&&(s=o[(i=o[4])?5:(i=3,3)],o[4]=o[5]=t):o[0]<=p&&((r=e<2&&p<o[1])?(i=0,g.v=a,g.n=o[1]):p<h&&(r=e<3||o[0]>a||a>h)&&(o[4]=e,o[5]=a,g.n=h,i=0))}if(r||e>1)return c;throw f=!0,a}return function(r,u,h){if(l>1)throw TypeError("Generator is already running");for(f&&1===u&&p(u,h),i=u,s=h;(n=i<2?t:s)||!f;){o||(i?i<3?(i>1&&(g.n=-1),p(i,s)):g.n=s:g.v=s);try{if(l=2,o){if(i||(r="next"),n=o[r]){if(!(n=n.call(o,s)))throw TypeError("iterator result is not an object");if(!n.done)return n;s=n.value,i<2&&(i=0)}else 1===i&&(n=o.return)&&n.call(o),i<2&&(s=TypeError("The iterator does not provide a '"+r+"' method"),i=1);o=t}else if((n=(f=g.n<0)?s:e.call(a,g))!==c)break}catch(n){o=t,i=1,s=n}finally{l=1}}return{value:n,done:f}}}(e,r,o),!0),l}var c={};function i(){}function s(){}function l(){}n=Object.getPrototypeOf;var u=[][a]?n(n([][a]())):(I(n={},a,(function(){return this})),n),f=l.prototype=i.prototype=Object.create(u);function g(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,l):(t.__proto__=l,I(t,r,"GeneratorFunction")),t.prototype=Object.create(f),t}return s.prototype=l,I(f,"constructor",l),I(l,"constructor",s),s.displayName="GeneratorFunction",I(l,r,"GeneratorFunction"),I(f),I(f,r,"Generator"),I(f,a,(function(){return this})),I(f,"toString",(function(){return"[object Generator]"})),(q=function(){return{w:o,m:g}})()}function I(t,n,e,a){var r=Object.defineProperty;try{r({},"",{})}catch(t){r=0}(I=function(t,n,e,a){function o(n,e){I(t,n,(function(t){return this._invoke(n,e,t)}))}n?r?r(t,n,{value:e,enumerable:!a,configurable:!a,writable:!a}):t[n]=e:(o("next",0),o("throw",1),o("return",2))})(t,n,e,a)}function R(t,n,e){return n=o(n),c(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],o(t).constructor):n.apply(t,e))}function D(t,n,e){var a=t.slice();return a[6]=n[e],a}function K(t){var n,e,a=t[2]("post_untranslated",{language:t[2]("language_".concat(t[0].lang))})+"";return{c:function(){n=l("p"),e=u(a),this.h()},l:function(t){n=f(t,"P",{class:!0});var r=g(n);e=p(r,a),r.forEach(h),this.h()},h:function(){v(n,"class","untranslated svelte-51mvtc")},m:function(t,a){m(t,n,a),d(n,e)},p:function(t,n){5&n&&a!==(a=t[2]("post_untranslated",{language:t[2]("language_".concat(t[0].lang))})+"")&&b(e,a)},d:function(t){t&&h(n)}}}function Q(t){var n,e;return n=new F({props:{image:t[0].image,alt:B(t[0].image,t[1]).alt}}),{c:function(){y(n.$$.fragment)},l:function(t){$(n.$$.fragment,t)},m:function(t,a){x(n,t,a),e=!0},p:function(t,e){var a={};1&e&&(a.image=t[0].image),3&e&&(a.alt=B(t[0].image,t[1]).alt),n.$set(a)},i:function(t){e||(_(n.$$.fragment,t),e=!0)},o:function(t){j(n.$$.fragment,t),e=!1},d:function(t){E(n,t)}}}function U(t){for(var n,e,a,r,o,c,i=t[2]("post_contents")+"",s=t[0].toc,y=[],$=0;$<s.length;$+=1)y[$]=Z(D(t,s,$));return{c:function(){n=l("nav"),e=l("h2"),a=u(i),r=w(),o=l("ul");for(var t=0;t<y.length;t+=1)y[t].c();this.h()},l:function(t){n=f(t,"NAV",{class:!0,"aria-labelledby":!0});var c=g(n);e=f(c,"H2",{id:!0,class:!0});var s=g(e);a=p(s,i),s.forEach(h),r=O(c),o=f(c,"UL",{lang:!0,class:!0});for(var l=g(o),u=0;u<y.length;u+=1)y[u].l(l);l.forEach(h),c.forEach(h),this.h()},h:function(){v(e,"id","toc-heading"),v(e,"class","svelte-51mvtc"),v(o,"lang",c=t[0].lang),v(o,"class","svelte-51mvtc"),v(n,"class","toc svelte-51mvtc"),v(n,"aria-labelledby","toc-heading")},m:function(t,c){m(t,n,c),d(n,e),d(e,a),d(n,r),d(n,o);for(var i=0;i<y.length;i+=1)y[i].m(o,null)},p:function(t,n){if(4&n&&i!==(i=t[2]("post_contents")+"")&&b(a,i),3&n){var e;for(s=t[0].toc,e=0;e<s.length;e+=1){var r=D(t,s,e);y[e]?y[e].p(r,n):(y[e]=Z(r),y[e].c(),y[e].m(o,null))}for(;e<y.length;e+=1)y[e].d(1);y.length=s.length}1&n&&c!==(c=t[0].lang)&&v(o,"lang",c)},d:function(t){t&&h(n),P(y,t)}}}function Z(t){var n,e,a,r,o,c=t[6].text+"";return{c:function(){n=l("li"),e=l("a"),a=u(c),this.h()},l:function(t){n=f(t,"LI",{class:!0});var r=g(n);e=f(r,"A",{href:!0});var o=g(e);a=p(o,c),o.forEach(h),r.forEach(h),this.h()},h:function(){v(e,"href",r=t[1]+"/blog/"+t[0].slug+"/#"+t[6].id),v(n,"class",o="level-"+t[6].level+" svelte-51mvtc")},m:function(t,r){m(t,n,r),d(n,e),d(e,a)},p:function(t,i){1&i&&c!==(c=t[6].text+"")&&b(a,c),3&i&&r!==(r=t[1]+"/blog/"+t[0].slug+"/#"+t[6].id)&&v(e,"href",r),1&i&&o!==(o="level-"+t[6].level+" svelte-51mvtc")&&v(n,"class",o)},d:function(t){t&&h(n)}}}function C(t){var n,e,a,r=t[0].previous&&J(t),o=t[0].next&&W(t);return{c:function(){n=l("nav"),r&&r.c(),e=w(),o&&o.c(),this.h()},l:function(t){n=f(t,"NAV",{class:!0,"aria-label":!0});var a=g(n);r&&r.l(a),e=O(a),o&&o.l(a),a.forEach(h),this.h()},h:function(){v(n,"class","pagination svelte-51mvtc"),v(n,"aria-label",a=t[2]("post_navigation"))},m:function(t,a){m(t,n,a),r&&r.m(n,null),d(n,e),o&&o.m(n,null)},p:function(t,c){t[0].previous?r?r.p(t,c):((r=J(t)).c(),r.m(n,e)):r&&(r.d(1),r=null),t[0].next?o?o.p(t,c):((o=W(t)).c(),o.m(n,null)):o&&(o.d(1),o=null),4&c&&a!==(a=t[2]("post_navigation"))&&v(n,"aria-label",a)},d:function(t){t&&h(n),r&&r.d(),o&&o.d()}}}function J(t){var n,e,a,r,o,c,i,s=t[2]("post_previous")+"",y=t[0].previous.title+"";return{c:function(){n=l("a"),e=l("small"),a=u("← "),r=u(s),o=w(),c=u(y),this.h()},l:function(t){n=f(t,"A",{class:!0,rel:!0,href:!0});var i=g(n);e=f(i,"SMALL",{class:!0});var l=g(e);a=p(l,"← "),r=p(l,s),l.forEach(h),o=O(i),c=p(i,y),i.forEach(h),this.h()},h:function(){v(e,"class","svelte-51mvtc"),v(n,"class","previous"),v(n,"rel","prefetch"),v(n,"href",i=t[1]+"/blog/"+t[0].previous.slug)},m:function(t,i){m(t,n,i),d(n,e),d(e,a),d(e,r),d(n,o),d(n,c)},p:function(t,e){4&e&&s!==(s=t[2]("post_previous")+"")&&b(r,s),1&e&&y!==(y=t[0].previous.title+"")&&b(c,y),3&e&&i!==(i=t[1]+"/blog/"+t[0].previous.slug)&&v(n,"href",i)},d:function(t){t&&h(n)}}}function W(t){var n,e,a,r,o,c,i,s=t[2]("post_next")+"",y=t[0].next.title+"";return{c:function(){n=l("a"),e=l("small"),a=u(s),r=u(" →"),o=w(),c=u(y),this.h()},l:function(t){n=f(t,"A",{class:!0,rel:!0,href:!0});var i=g(n);e=f(i,"SMALL",{class:!0});var l=g(e);a=p(l,s),r=p(l," →"),l.forEach(h),o=O(i),c=p(i,y),i.forEach(h),this.h()},h:function(){v(e,"class","svelte-51mvtc"),v(n,"class","next svelte-51mvtc"),v(n,"rel","prefetch"),v(n,"href",i=t[1]+"/blog/"+t[0].next.slug)},m:function(t,i){m(t,n,i),d(n,e),d(e,a),d(e,r),d(n,o),d(n,c)},p:function(t,e){4&e&&s!==(s=t[2]("post_next")+"")&&b(a,s),1&e&&y!==(y=t[0].next.title+"")&&b(c,y),3&e&&i!==(i=t[1]+"/blog/"+t[0].next.slug)&&v(n,"href",i)},d:function(t){t&&h(n)}}}function X(t){var n,e,a,r,o,c,i,s,P,S,G,M,N,B,z,F,q=t[0].title+"",I=t[0].html+"";n=new H({props:{title:t[0].title,description:t[0].excerpt,image:t[0].image,type:"article",schema:t[3],languages:t[0].languages}}),i=new V({props:{post:t[0]}});var R=t[0].lang!==t[1]&&K(t),D=t[0].image&&Q(t),Z=t[0].toc.length>1&&U(t),J=(t[0].previous||t[0].next)&&C(t);return{c:function(){y(n.$$.fragment),e=w(),a=l("h1"),r=u(q),c=w(),y(i.$$.fragment),s=w(),R&&R.c(),P=w(),D&&D.c(),S=w(),Z&&Z.c(),G=w(),M=l("div"),B=w(),J&&J.c(),z=L(),this.h()},l:function(t){$(n.$$.fragment,t),e=O(t),a=f(t,"H1",{lang:!0});var o=g(a);r=p(o,q),o.forEach(h),c=O(t),$(i.$$.fragment,t),s=O(t),R&&R.l(t),P=O(t),D&&D.l(t),S=O(t),Z&&Z.l(t),G=O(t),M=f(t,"DIV",{class:!0,lang:!0}),g(M).forEach(h),B=O(t),J&&J.l(t),z=L(),this.h()},h:function(){v(a,"lang",o=t[0].lang),v(M,"class","content svelte-51mvtc"),v(M,"lang",N=t[0].lang)},m:function(t,o){x(n,t,o),m(t,e,o),m(t,a,o),d(a,r),m(t,c,o),x(i,t,o),m(t,s,o),R&&R.m(t,o),m(t,P,o),D&&D.m(t,o),m(t,S,o),Z&&Z.m(t,o),m(t,G,o),m(t,M,o),M.innerHTML=I,m(t,B,o),J&&J.m(t,o),m(t,z,o),F=!0},p:function(t,e){var c=T(e,1)[0],s={};1&c&&(s.title=t[0].title),1&c&&(s.description=t[0].excerpt),1&c&&(s.image=t[0].image),8&c&&(s.schema=t[3]),1&c&&(s.languages=t[0].languages),n.$set(s),(!F||1&c)&&q!==(q=t[0].title+"")&&b(r,q),(!F||1&c&&o!==(o=t[0].lang))&&v(a,"lang",o);var l={};1&c&&(l.post=t[0]),i.$set(l),t[0].lang!==t[1]?R?R.p(t,c):((R=K(t)).c(),R.m(P.parentNode,P)):R&&(R.d(1),R=null),t[0].image?D?(D.p(t,c),1&c&&_(D,1)):((D=Q(t)).c(),_(D,1),D.m(S.parentNode,S)):D&&(k(),j(D,1,1,(function(){D=null})),A()),t[0].toc.length>1?Z?Z.p(t,c):((Z=U(t)).c(),Z.m(G.parentNode,G)):Z&&(Z.d(1),Z=null),(!F||1&c)&&I!==(I=t[0].html+"")&&(M.innerHTML=I),(!F||1&c&&N!==(N=t[0].lang))&&v(M,"lang",N),t[0].previous||t[0].next?J?J.p(t,c):((J=C(t)).c(),J.m(z.parentNode,z)):J&&(J.d(1),J=null)},i:function(t){F||(_(n.$$.fragment,t),_(i.$$.fragment,t),_(D),F=!0)},o:function(t){j(n.$$.fragment,t),j(i.$$.fragment,t),j(D),F=!1},d:function(t){E(n,t),t&&h(e),t&&h(a),t&&h(c),E(i,t),t&&h(s),R&&R.d(t),t&&h(P),D&&D.d(t),t&&h(S),Z&&Z.d(t),t&&h(G),t&&h(M),t&&h(B),J&&J.d(t),t&&h(z)}}}function Y(t){return tt.apply(this,arguments)}function tt(){return(tt=t(q().m((function t(n){var e,a,r;return q().w((function(t){for(;;)switch(t.n){case 0:return e=n.params,n.query,t.n=1,this.fetch("".concat(e.lang,"/blog/").concat(e.slug,".json"));case 1:return a=t.v,t.n=2,a.json();case 2:if(r=t.v,200!==a.status){t.n=3;break}return t.a(2,{post:r});case 3:this.error(a.status,r.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function nt(t,n,e){var a,r,o,c,i=n.post,s=S();return G(t,s,(function(t){return e(5,a=t)})),t.$set=function(t){"post"in t&&e(0,i=t.post)},t.$$.update=function(){var n;32&t.$$.dirty&&e(1,(r=(n=a).lang,o=n.t,n),r,(e(2,o),e(5,a)));3&t.$$.dirty&&e(3,c={"@context":"https://schema.org","@type":"BlogPosting",headline:i.title,description:i.excerpt,datePublished:i.date,dateModified:i.updated,author:{"@type":"Person",name:i.author},keywords:i.tags.join(", "),inLanguage:i.lang,url:M("".concat(r,"/blog/").concat(i.slug)),mainEntityOfPage:M("".concat(r,"/blog/").concat(i.slug)),image:i.image?N(z(i.image,i.image.sizes[i.image.sizes.length-1])):N("logo-512.png")})},[i,r,o,c,s]}var et=function(t){function o(t){var n;return r(this,o),n=R(this,o),i(n,t,nt,X,s,{post:0}),n}return n(o,a),e(o)}();export default et;export{Y as preload};
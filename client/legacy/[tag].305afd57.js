@@ -0,0 +1 @@
+import{T as t,_ as n,a as r,S as e,b as o,c as a,d as c,i as u,s as i,F as f,p as s,r as p,v as l,w as v,y,z as g,A as h}from"./client.6bd18ee1.js";import{M as b}from"./Moved.c294f3ee.js";function m(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,r="function"==typeof Symbol?Symbol:{},e=r.iterator||"@@iterator",o=r.toStringTag||"@@toStringTag";function a(r,e,o,a){var i=e&&e.prototype instanceof u?e:u,f=Object.create(i.prototype);return d(f,"_invoke",function(r,e,o){var a,u,i,f=0,s=o||[],p=!1,l={p:0,n:0,v:t,a:v,f:v.bind(t,4),d:function(n,r){return a=n,u=0,i=t,l.n=r,c}};function v(r,e){for(u=r,i=e,n=0;!p&&f&&!o&&n<s.length;n++){var o,a=s[n],v=l.p,y=a[2];r>3?(o=y===e)&&(i=a[(u=a[4])?5:(u=3,3)],a[4]=a[5]=t):a[0]<=v&&((o=r<2&&v<a[1])?(u=0,l.v=e,l.n=a[1]):v<y&&(o=r<3||a[0]>e||e>y)&&(a[4]=r,a[5]=e,l.n=y,u=0))}if(o||r>1)return c;throw p=!0,e}return function(o,s,y){if(f>1)throw TypeError("Generator is already running");for(p&&1===s&&v(s,y),u=s,i=y;(n=u<2?t:i)||!p;){a||(u?u<3?(u>1&&(l.n=-1),v(u,i)):l.n=i:l.v=i);try{if(f=2,a){if(u||(o="next"),n=a[o]){if(!(n=n.call(a,i)))throw TypeError("iterator result is not an object");if(!n.done)return n;i=n.value,u<2&&(u=0)}else 1===u&&(n=a.return)&&n.call(a),u<2&&(i=TypeError("The iterator does not provide a '"+o+"' method"),u=1);a=t}else if((n=(p=l.n<0)?i:r.call(e,l))!==c)break}catch(n){a=t,u=1,i=n}finally{f=1}}return{value:n,done:p}}}(r,o,a),!0),f}var c={};function u(){}function i(){}function f(){}n=Object.getPrototypeOf;var s=[][e]?n(n([][e]())):(d(n={},e,(function(){return this})),n),p=f.prototype=u.prototype=Object.create(s);function l(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,f):(t.__proto__=f,d(t,o,"GeneratorFunction")),t.prototype=Object.create(p),t}return i.prototype=f,d(p,"constructor",f),d(f,"constructor",i),i.displayName="GeneratorFunction",d(f,o,"GeneratorFunction"),d(p),d(p,o,"Generator"),d(p,e,(function(){return this})),d(p,"toString",(function(){return"[object Generator]"})),(m=function(){return{w:a,m:l}})()}function d(t,n,r,e){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(d=function(t,n,r,e){function a(n,r){d(t,n,(function(t){return this._invoke(n,r,t)}))}n?o?o(t,n,{value:r,enumerable:!e,configurable:!e,writable:!e}):t[n]=r:(a("next",0),a("throw",1),a("return",2))})(t,n,r,e)}function j(t,n,r){return n=a(n),c(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,r||[],a(t).constructor):n.apply(t,r))}function O(t){var n,r;return n=new b({props:{path:f+"/blog/tag/"+t[0]}}),{c:function(){s(n.$$.fragment)},l:function(t){p(n.$$.fragment,t)},m:function(t,e){l(n,t,e),r=!0},p:function(t,r){var e={};1&v(r,1)[0]&&(e.path=f+"/blog/tag/"+t[0]),n.$set(e)},i:function(t){r||(y(n.$$.fragment,t),r=!0)},o:function(t){g(n.$$.fragment,t),r=!1},d:function(t){h(n,t)}}}function w(t){return $.apply(this,arguments)}function $(){return($=t(m().m((function t(n){var r,e,o;return m().w((function(t){for(;;)switch(t.n){case 0:return r=n.params,n.query,t.n=1,this.fetch("blog/tag/".concat(r.tag,".json"));case 1:return e=t.v,t.n=2,e.json();case 2:if(o=t.v,200!==e.status){t.n=3;break}return t.a(2,{tag:o.tag});case 3:this.error(e.status,o.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function T(t,n,r){var e=n.tag;return t.$set=function(t){"tag"in t&&r(0,e=t.tag)},[e]}var _=function(t){function a(t){var n;return o(this,a),n=j(this,a),u(n,t,T,O,i,{tag:0}),n}return n(a,e),r(a)}();export default _;export{w as preload};
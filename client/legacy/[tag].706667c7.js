@@ -0,0 +1 @@
+import{T as t,_ as r,a as n,S as e,b as o,c as a,d as i,i as s,s as c,p as u,q as f,e as p,f as l,r as g,u as h,g as v,h as y,j as m,k as b,l as $,v as d,m as _,n as j,w,Q as O,y as P,z as T,A as E,L as G,K as S}from"./client.6bd18ee1.js";import{H as k}from"./Head.1651de73.js";import"./PostMeta.813c0bba.js";import{P as x}from"./PostList.8a1335f4.js";function F(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,r,n="function"==typeof Symbol?Symbol:{},e=n.iterator||"@@iterator",o=n.toStringTag||"@@toStringTag";function a(n,e,o,a){var c=e&&e.prototype instanceof s?e:s,u=Object.create(c.prototype);return H(u,"_invoke",function(n,e,o){var a,s,c,u=0,f=o||[],p=!1,l={p:0,n:0,v:t,a:g,f:g.bind(t,4),d:function(r,n){return a=r,s=0,c=t,l.n=n,i}};function g(n,e){for(s=n,c=e,r=0;!p&&u&&!o&&r<f.length;r++){var o,a=f[r],g=l.p,h=a[2];n>3?(o=h===e)&&(c=a[(s=a[4])?5:(s=3,3)],a[4]=a[5]=t):a[0]<=g&&((o=n<2&&g<a[1])?(s=0,l.v=e,l.n=a[1]):g<h&&(o=n<3||a[0]>e||e>h)&&(a[4]=n,a[5]=e,l.n=h,s=0))}if(o||n>1)return i;throw p=!0,e}return function(o,f,h){if(u>1)throw TypeError("Generator is already running");for(p&&1===f&&g(f,h),s=f,c=h;(r=s<2?t:c)||!p;){a||(s?s<3?(s>1&&(l.n=-1),g(s,c)):l.n=c:l.v=c);try{if(u=2,a){if(s||(o="next"),r=a[o]){if(!(r=r.call(a,c)))throw TypeError("iterator result is not an object");if(!r.done)return r;c=r.value,s<2&&(s=0)}else 1===s&&(r=a.return)&&r.call(a),s<2&&(c=TypeError("The iterator does not provide a '"+o+"' method"),s=1);a=t}else if((r=(p=l.n<0)?c:n.call(e,l))!==i)break}catch(r){a=t,s=1,c=r}finally{u=1}}return{value:r,done:p}}}(n,o,a),!0),u}var i={};function s(){}function c(){}function u(){}r=Object.getPrototypeOf;var f=[][e]?r(r([][e]())):(H(r={},e,(function(){return this})),r),p=u.prototype=s.prototype=Object.create(f);function l(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,u):(t.__proto__=u,H(t,o,"GeneratorFunction")),t.prototype=Object.create(p),t}return c.prototype=u,H(p,"constructor",u),H(u,"constructor",c),c.displayName="GeneratorFunction",H(u,o,"GeneratorFunction"),H(p),H(p,o,"Generator"),H(p,e,(function(){return this})),H(p,"toString",(function(){return"[object Generator]"})),(F=function(){return{w:a,m:l}})()}function H(t,r,n,e){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(H=function(t,r,n,e){function a(r,n){H(t,r,(function(t){return this._invoke(r,n,t)}))}r?o?o(t,r,{value:n,enumerable:!e,configurable:!e,writable:!e}):t[r]=n:(a("next",0),a("throw",1),a("return",2))})(t,r,n,e)}function q(t,r,n){return r=a(r),i(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(r,n||[],a(t).constructor):r.apply(t,n))}function A(t){var r,n,e,o,a,i,s,c,G,S,F,H,q=t[3]("tag_title",{tag:t[0]})+"",A=t[3]("tag_all_posts")+"";return r=new k({props:{title:t[3]("tag_title",{tag:t[0]}),description:t[3]("tag_title",{tag:t[0]})+"."}}),i=new x({props:{posts:t[1]}}),{c:function(){u(r.$$.fragment),n=f(),e=p("h1"),o=l(q),a=f(),u(i.$$.fragment),s=f(),c=p("p"),G=p("a"),S=l(A),this.h()},l:function(t){g(r.$$.fragment,t),n=h(t),e=v(t,"H1",{});var u=y(e);o=m(u,q),u.forEach(b),a=h(t),g(i.$$.fragment,t),s=h(t),c=v(t,"P",{});var f=y(c);G=v(f,"A",{rel:!0,href:!0});var p=y(G);S=m(p,A),p.forEach(b),f.forEach(b),this.h()},h:function(){$(G,"rel","prefetch"),$(G,"href",F=t[2]+"/blog")},m:function(t,u){d(r,t,u),_(t,n,u),_(t,e,u),j(e,o),_(t,a,u),d(i,t,u),_(t,s,u),_(t,c,u),j(c,G),j(G,S),H=!0},p:function(t,n){var e=w(n,1)[0],a={};9&e&&(a.title=t[3]("tag_title",{tag:t[0]})),9&e&&(a.description=t[3]("tag_title",{tag:t[0]})+"."),r.$set(a),(!H||9&e)&&q!==(q=t[3]("tag_title",{tag:t[0]})+"")&&O(o,q);var s={};2&e&&(s.posts=t[1]),i.$set(s),(!H||8&e)&&A!==(A=t[3]("tag_all_posts")+"")&&O(S,A),(!H||4&e&&F!==(F=t[2]+"/blog"))&&$(G,"href",F)},i:function(t){H||(P(r.$$.fragment,t),P(i.$$.fragment,t),H=!0)},o:function(t){T(r.$$.fragment,t),T(i.$$.fragment,t),H=!1},d:function(t){E(r,t),t&&b(n),t&&b(e),t&&b(a),E(i,t),t&&b(s),t&&b(c)}}}function B(t){return L.apply(this,arguments)}function L(){return(L=t(F().m((function t(r){var n,e,o;return F().w((function(t){for(;;)switch(t.n){case 0:return n=r.params,r.query,t.n=1,this.fetch("".concat(n.lang,"/blog/tag/").concat(n.tag,".json"));case 1:return e=t.v,t.n=2,e.json();case 2:if(o=t.v,200!==e.status){t.n=3;break}return t.a(2,{tag:o.tag,posts:o.posts});case 3:this.error(e.status,o.message);case 4:return t.a(2)}}),t,this)})))).apply(this,arguments)}function R(t,r,n){var e,o,a,i=r.tag,s=r.posts,c=G();return S(t,c,(function(t){return n(5,e=t)})),t.$set=function(t){"tag"in t&&n(0,i=t.tag),"posts"in t&&n(1,s=t.posts)},t.$$.update=function(){var r;32&t.$$.dirty&&n(2,(o=(r=e).lang,a=r.t,r),o,(n(3,a),n(5,e)))},[i,s,o,a,c]}var z=function(t){function a(t){var r;return o(this,a),r=q(this,a),s(r,t,R,A,c,{tag:0,posts:1}),r}return r(a,e),n(a)}();export default z;export{B as preload};
@@ -0,0 +1 @@
+import{x as n,_ as t,a as o,S as c,b as r,c as u,d as a,i as s,s as e,P as i,w as f,R as l,y as p,z as d}from"./client.6bd18ee1.js";function v(n,t,o){return t=u(t),a(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,o||[],u(n).constructor):t.apply(n,o))}function $(n){var t,o=n[1].default,c=i(o,n,n[0],null);return{c:function(){c&&c.c()},l:function(n){c&&c.l(n)},m:function(n,o){c&&c.m(n,o),t=!0},p:function(n,t){var r=f(t,1)[0];c&&c.p&&1&r&&l(c,o,n,n[0],r,null,null)},i:function(n){t||(p(c,n),t=!0)},o:function(n){d(c,n),t=!1},d:function(n){c&&c.d(n)}}}function m(t){var o=t.params;n.includes(o.lang)||this.error(404,"Not found")}function h(n,t,o){var c=t.$$slots,r=void 0===c?{}:c,u=t.$$scope;return n.$set=function(n){"$$scope"in n&&o(0,u=n.$$scope)},[u,r]}var y=function(n){function u(n){var t;return r(this,u),t=v(this,u),s(t,n,h,$,e,{}),t}return t(u,c),o(u)}();export default y;export{m as preload};
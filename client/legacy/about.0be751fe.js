@@ -0,0 +1 @@
+import{_ as n,a as t,S as a,b as o,c as r,d as c,i as e,s,F as u,p as f,r as i,v as l,o as p,y as m,z as $,A as v}from"./client.6bd18ee1.js";import{M as d}from"./Moved.c294f3ee.js";function g(n,t,a){return t=r(t),c(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,a||[],r(n).constructor):t.apply(n,a))}function h(n){var t,a;return t=new d({props:{path:u+"/about"}}),{c:function(){f(t.$$.fragment)},l:function(n){i(t.$$.fragment,n)},m:function(n,o){l(t,n,o),a=!0},p:p,i:function(n){a||(m(t.$$.fragment,n),a=!0)},o:function(n){$(t.$$.fragment,n),a=!1},d:function(n){v(t,n)}}}var y=function(r){function c(n){var t;return o(this,c),t=g(this,c),e(t,n,null,h,s,{}),t}return n(c,a),t(c)}();export default y;
@@ -0,0 +1 @@
+import{_ as t,a,S as n,b as o,c as r,d as s,i as e,s as u,p as i,q as c,e as f,f as p,r as d,u as l,g as $,h as b,j as v,k as m,v as h,m as _,n as g,w as y,Q as j,y as H,z as w,A as B,L as E,K as R}from"./client.6bd18ee1.js";import{H as k}from"./Head.1651de73.js";function q(t,a,n){return a=r(a),s(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(a,n||[],r(t).constructor):a.apply(t,n))}function x(t){var a,n,o,r,s,e,u,E,R=t[0]("about_heading")+"",q=t[0]("about_body")+"";return a=new k({props:{title:t[0]("about_title"),description:t[0]("about_description")}}),{c:function(){i(a.$$.fragment),n=c(),o=f("h1"),r=p(R),s=c(),e=f("p"),u=p(q)},l:function(t){d(a.$$.fragment,t),n=l(t),o=$(t,"H1",{});var i=b(o);r=v(i,R),i.forEach(m),s=l(t),e=$(t,"P",{});var c=b(e);u=v(c,q),c.forEach(m)},m:function(t,i){h(a,t,i),_(t,n,i),_(t,o,i),g(o,r),_(t,s,i),_(t,e,i),g(e,u),E=!0},p:function(t,n){var o=y(n,1)[0],s={};1&o&&(s.title=t[0]("about_title")),1&o&&(s.description=t[0]("about_description")),a.$set(s),(!E||1&o)&&R!==(R=t[0]("about_heading")+"")&&j(r,R),(!E||1&o)&&q!==(q=t[0]("about_body")+"")&&j(u,q)},i:function(t){E||(H(a.$$.fragment,t),E=!0)},o:function(t){w(a.$$.fragment,t),E=!1},d:function(t){B(a,t),t&&m(n),t&&m(o),t&&m(s),t&&m(e)}}}function z(t,a,n){var o,r,s=E();return R(t,s,(function(t){return n(2,o=t)})),t.$$.update=function(){var a;4&t.$$.dirty&&n(0,(r=(a=o).t,a),r)},[r,s]}var A=function(r){function s(t){var a;return o(this,s),a=q(this,s),e(a,t,z,x,u,{}),a}return t(s,n),a(s)}();export default A;
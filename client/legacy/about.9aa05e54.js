@@ -1 +0,0 @@
-import{_ as t,a as e,b as n,d as r,i as a,s,e as o,S as c,l as u,f as i,t as f,q as h,k as l,o as p,g as v,p as d,r as m,j as b,u as y,n as R}from"./client.d6ba734e.js";function g(t){var r=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var a,s=e(t);if(r){var o=e(this).constructor;a=Reflect.construct(s,arguments,o)}else a=s.apply(this,arguments);return n(this,a)}}function T(t){var e,n,r,a,s,o;return{c:function(){e=u(),n=i("h1"),r=f("About this site"),a=u(),s=i("p"),o=f("This is the 'about' page. There's not much here."),this.h()},l:function(t){h('[data-svelte="svelte-1ine71f"]',document.head).forEach(l),e=p(t),n=v(t,"H1",{});var c=d(n);r=m(c,"About this site"),c.forEach(l),a=p(t),s=v(t,"P",{});var u=d(s);o=m(u,"This is the 'about' page. There's not much here."),u.forEach(l),this.h()},h:function(){document.title="About"},m:function(t,c){b(t,e,c),b(t,n,c),y(n,r),b(t,a,c),b(t,s,c),y(s,o)},p:R,i:R,o:R,d:function(t){t&&l(e),t&&l(n),t&&l(a),t&&l(s)}}}var A=function(e){t(u,c);var n=g(u);function u(t){var e;return r(this,u),e=n.call(this),a(o(e),t,null,T,s,{}),e}return u}();export default A;
@@ -0,0 +1 @@
+function t(n){return(t="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(n)}function n(t,n){(null==n||n>t.length)&&(n=t.length);for(var e=0,r=new Array(n);e<n;e++)r[e]=t[e];return r}function e(t,e){if(t){if("string"==typeof t)return n(t,e);var r=Object.prototype.toString.call(t).slice(8,-1);return"Object"===r&&t.constructor&&(r=t.constructor.name),"Map"===r||"Set"===r?Array.from(t):"Arguments"===r||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r)?n(t,e):void 0}}function r(t,n){return function(t){if(Array.isArray(t))return t}(t)||function(t,n){if("undefined"!=typeof Symbol&&Symbol.iterator in Object(t)){var e=[],r=!0,o=!1,a=void 0;try{for(var i,u=t[Symbol.iterator]();!(r=(i=u.next()).done)&&(e.push(i.value),!n||e.length!==n);r=!0);}catch(t){o=!0,a=t}finally{try{r||null==u.return||u.return()}finally{if(o)throw a}}return e}}(t,n)||e(t,n)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function o(t,n,e,r,o,a,i){try{var u=t[a](i),s=u.value}catch(t){return void e(t)}u.done?n(s):Promise.resolve(s).then(r,o)}function a(t){return function(){var n=this,e=arguments;return new Promise((function(r,a){var i=t.apply(n,e);function u(t){o(i,r,a,u,s,"next",t)}function s(t){o(i,r,a,u,s,"throw",t)}u(void 0)}))}}function i(t){return(i=Object.setPrototypeOf?Object.getPrototypeOf:function(t){return t.__proto__||Object.getPrototypeOf(t)})(t)}function u(n,e){return!e||"object"!==t(e)&&"function"!=typeof e?function(t){if(void 0===t)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return t}(n):e}function s(t,n){return(s=Object.setPrototypeOf||function(t,n){return t.__proto__=n,t})(t,n)}function c(t,n){if("function"!=typeof n&&null!==n)throw new TypeError("Super expression must either be null or a function");t.prototype=Object.create(n&&n.prototype,{constructor:{value:t,writable:!0,configurable:!0}}),n&&s(t,n)}function l(t){return function(t){if(Array.isArray(t))return n(t)}(t)||function(t){if("undefined"!=typeof Symbol&&Symbol.iterator in Object(t))return Array.from(t)}(t)||e(t)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function f(t,n){if(!(t instanceof n))throw new TypeError("Cannot call a class as a function")}function p(t,n){for(var e=0;e<n.length;e++){var r=n[e];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(t,r.key,r)}}function h(t,n,e){return n&&p(t.prototype,n),e&&p(t,e),t}function d(){}function g(t,n){for(var e in n)t[e]=n[e];return t}function v(t){return t()}function m(){return Object.create(null)}function _(t){t.forEach(v)}function b(t){return"function"==typeof t}function y(n,e){return n!=n?e==e:n!==e||n&&"object"===t(n)||"function"==typeof n}function $(t){if(null==t)return d;for(var n=arguments.length,e=new Array(n>1?n-1:0),r=1;r<n;r++)e[r-1]=arguments[r];var o=t.subscribe.apply(t,e);return o.unsubscribe?function(){return o.unsubscribe()}:o}function S(t,n,e){t.$$.on_destroy.push($(n,e))}function E(t,n,e,r){if(t){var o=w(t,n,e,r);return t[0](o)}}function w(t,n,e,r){return t[1]&&r?g(e.ctx.slice(),t[1](r(n))):e.ctx}function P(n,e,r,o,a,i,u){var s=function(n,e,r,o){if(n[2]&&o){var a=n[2](o(r));if(void 0===e.dirty)return a;if("object"===t(a)){for(var i=[],u=Math.max(e.dirty.length,a.length),s=0;s<u;s+=1)i[s]=e.dirty[s]|a[s];return i}return e.dirty|a}return e.dirty}(e,o,a,i);if(s){var c=w(e,r,o,u);n.p(c,s)}}function x(t,n){t.appendChild(n)}function j(t,n,e){t.insertBefore(n,e||null)}function A(t){t.parentNode.removeChild(t)}function k(t,n){for(var e=0;e<t.length;e+=1)t[e]&&t[e].d(n)}function R(t){return document.createElement(t)}function L(t){return document.createTextNode(t)}function O(){return L(" ")}function C(){return L("")}function N(t,n,e,r){return t.addEventListener(n,e,r),function(){return t.removeEventListener(n,e,r)}}function T(t){return function(n){return n.preventDefault(),t.call(this,n)}}function I(t){return function(n){n.target===this&&t.call(this,n)}}function B(t,n,e){null==e?t.removeAttribute(n):t.getAttribute(n)!==e&&t.setAttribute(n,e)}function D(t){return Array.from(t.childNodes)}function H(t,n,e,r){for(var o=0;o<t.length;o+=1){var a=t[o];if(a.nodeName===n){for(var i=0,u=[];i<a.attributes.length;){var s=a.attributes[i++];e[s.name]||u.push(s.name)}for(var c=0;c<u.length;c++)a.removeAttribute(u[c]);return t.splice(o,1)[0]}}return r?function(t){return document.createElementNS("http://www.w3.org/2000/svg",t)}(n):R(n)}function U(t,n){for(var e=0;e<t.length;e+=1){var r=t[e];if(3===r.nodeType)return r.data=""+n,t.splice(e,1)[0]}return L(n)}function q(t){return U(t," ")}function F(t,n){n=""+n,t.data!==n&&(t.data=n)}function G(t,n){t.value=null==n?"":n}function M(t,n,e,r){t.style.setProperty(n,e,r?"important":"")}function W(t){var n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.body;return Array.from(n.querySelectorAll(t))}var z,V=function(){return h((function t(){var n=arguments.length>0&&void 0!==arguments[0]?arguments[0]:null;f(this,t),this.a=n,this.e=this.n=null}),[{key:"m",value:function(t,n){var e=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;this.e||(this.e=R(n.nodeName),this.t=n,this.h(t)),this.i(e)}},{key:"h",value:function(t){this.e.innerHTML=t,this.n=Array.from(this.e.childNodes)}},{key:"i",value:function(t){for(var n=0;n<this.n.length;n+=1)j(this.t,this.n[n],t)}},{key:"p",value:function(t){this.d(),this.h(t),this.i(this.a)}},{key:"d",value:function(){this.n.forEach(A)}}])}();function J(t){z=t}function K(){if(!z)throw new Error("Function called outside component initialization");return z}function Y(t){K().$$.on_mount.push(t)}function X(t){K().$$.on_destroy.push(t)}var Q=[],Z=[],tt=[],nt=[],et=Promise.resolve(),rt=!1;function ot(){rt||(rt=!0,et.then(ct))}function at(){return ot(),et}function it(t){tt.push(t)}var ut=!1,st=new Set;function ct(){if(!ut){ut=!0;do{for(var t=0;t<Q.length;t+=1){var n=Q[t];J(n),lt(n.$$)}for(Q.length=0;Z.length;)Z.pop()();for(var e=0;e<tt.length;e+=1){var r=tt[e];st.has(r)||(st.add(r),r())}tt.length=0}while(Q.length);for(;nt.length;)nt.pop()();rt=!1,ut=!1,st.clear()}}function lt(t){if(null!==t.fragment){t.update(),_(t.before_update);var n=t.dirty;t.dirty=[-1],t.fragment&&t.fragment.p(t.ctx,n),t.after_update.forEach(it)}}var ft,pt=new Set;function ht(){ft={r:0,c:[],p:ft}}function dt(){ft.r||_(ft.c),ft=ft.p}function gt(t,n){t&&t.i&&(pt.delete(t),t.i(n))}function vt(t,n,e,r){if(t&&t.o){if(pt.has(t))return;pt.add(t),ft.c.push((function(){pt.delete(t),r&&(e&&t.d(1),r())})),t.o(n)}}var mt="undefined"!=typeof window?window:"undefined"!=typeof globalThis?globalThis:global;function _t(t,n){for(var e={},r={},o={$$scope:1},a=t.length;a--;){var i=t[a],u=n[a];if(u){for(var s in i)s in u||(r[s]=1);for(var c in u)o[c]||(e[c]=u[c],o[c]=1);t[a]=u}else for(var l in i)o[l]=1}for(var f in r)f in e||(e[f]=void 0);return e}function bt(n){return"object"===t(n)&&null!==n?n:{}}function yt(t){t&&t.c()}function $t(t,n){t&&t.l(n)}function St(t,n,e){var r=t.$$,o=r.fragment,a=r.on_mount,i=r.on_destroy,u=r.after_update;o&&o.m(n,e),it((function(){var n=a.map(v).filter(b);i?i.push.apply(i,l(n)):_(n),t.$$.on_mount=[]})),u.forEach(it)}function Et(t,n){var e=t.$$;null!==e.fragment&&(_(e.on_destroy),e.fragment&&e.fragment.d(n),e.on_destroy=e.fragment=null,e.ctx=[])}function wt(t,n){-1===t.$$.dirty[0]&&(Q.push(t),ot(),t.$$.dirty.fill(0)),t.$$.dirty[n/31|0]|=1<<n%31}function Pt(t,n,e,r,o,a){var i=arguments.length>6&&void 0!==arguments[6]?arguments[6]:[-1],u=z;J(t);var s=n.props||{},c=t.$$={fragment:null,ctx:null,props:a,update:d,not_equal:o,bound:m(),on_mount:[],on_destroy:[],before_update:[],after_update:[],context:new Map(u?u.$$.context:[]),callbacks:m(),dirty:i},l=!1;if(c.ctx=e?e(t,s,(function(n,e){var r=!(arguments.length<=2)&&arguments.length-2?arguments.length<=2?void 0:arguments[2]:e;return c.ctx&&o(c.ctx[n],c.ctx[n]=r)&&(c.bound[n]&&c.bound[n](r),l&&wt(t,n)),e})):[],c.update(),l=!0,_(c.before_update),c.fragment=!!r&&r(c.ctx),n.target){if(n.hydrate){var f=D(n.target);c.fragment&&c.fragment.l(f),f.forEach(A)}else c.fragment&&c.fragment.c();n.intro&&gt(t.$$.fragment),St(t,n.target,n.anchor),ct()}J(u)}var xt=function(){return h((function t(){f(this,t)}),[{key:"$destroy",value:function(){Et(this,1),this.$destroy=d}},{key:"$on",value:function(t,n){var e=this.$$.callbacks[t]||(this.$$.callbacks[t]=[]);return e.push(n),function(){var t=e.indexOf(n);-1!==t&&e.splice(t,1)}}},{key:"$set",value:function(){}}])}(),jt=[];function At(t){var n,e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:d,r=[];function o(e){if(y(t,e)&&(t=e,n)){for(var o=!jt.length,a=0;a<r.length;a+=1){var i=r[a];i[1](),jt.push(i,t)}if(o){for(var u=0;u<jt.length;u+=2)jt[u][0](jt[u+1]);jt.length=0}}}function a(n){o(n(t))}function i(a){var i=arguments.length>1&&void 0!==arguments[1]?arguments[1]:d,u=[a,i];return r.push(u),1===r.length&&(n=e(o)||d),a(t),function(){var t=r.indexOf(u);-1!==t&&r.splice(t,1),0===r.length&&(n(),n=null)}}return{set:o,update:a,subscribe:i}}function kt(t,n,e){var r=!Array.isArray(t),o=r?[t]:t,a=n.length<2;return function(t,n){return{subscribe:At(t,n).subscribe}}(e,(function(t){var e=!1,i=[],u=0,s=d,c=function(){if(!u){s();var e=n(r?i[0]:i,t);a?t(e):s=b(e)?e:d}},l=o.map((function(t,n){return $(t,(function(t){i[n]=t,u&=~(1<<n),e&&c()}),(function(){u|=1<<n}))}));return e=!0,c(),function(){_(l),s()}}))}var Rt={},Lt=function(){return{}},Ot=["en","pt"],Ct="en";function Nt(t){var n=t.split("/")[1];return Ot.includes(n)?n:"en"}var Tt={en:{language_name:"English",language_en:"English",language_pt:"Portuguese",date_locale:"en",og_locale:"en_US",site_description:"Work and writing by Luciano Feijão.",nav_home:"home",nav_about:"about",nav_work:"work",nav_blog:"blog",nav_language:"Language",search_placeholder:"search",home_heading:"Great success!",home_caption:"Have fun with Sapper!",home_hint:"Try editing this file (src/routes/[lang]/index.svelte) to test live reloading.",about_title:"About",about_description:"About this site.",about_heading:"About this site",about_body:"This is the 'about' page. There's not much here.",blog_title:"Blog",blog_description:"Recent posts.",blog_heading:"Recent posts",blog_search:"Search",post_updated:"updated",post_reading_time:"{minutes} min read",post_untranslated:"This post has not been translated yet, so it is shown in {language}.",post_contents:"Contents",post_anchor:"Link to this section",post_navigation:"More posts",post_previous:"Previous",post_next:"Next",tag_title:"Posts tagged #{tag}",tag_all_posts:"All posts",work_title:"Work",work_description:"Selected projects.",work_year:"Year",work_role:"Role",gallery_open:"View full size",lightbox_label:"Image viewer",lightbox_close:"Close",lightbox_previous:"Previous image",lightbox_next:"Next image",lightbox_position:"{index} of {count}",search_title:"Search",search_description:"Search posts and work.",search_label:"Search posts and work",search_result:"{count} result",search_results:"{count} results",search_type_blog:"blog",search_type_work:"work",moved_title:"This page has moved",moved_to:"It now lives at",update_available:"An update is available.",update_reload:"Reload"},pt:{language_name:"Português",language_en:"inglês",language_pt:"português",date_locale:"pt-BR",og_locale:"pt_BR",site_description:"Trabalhos e textos de Luciano Feijão.",nav_home:"início",nav_about:"sobre",nav_work:"trabalhos",nav_blog:"blog",nav_language:"Idioma",search_placeholder:"buscar",home_heading:"Grande sucesso!",home_caption:"Divirta-se com o Sapper!",home_hint:"Experimente editar este arquivo (src/routes/[lang]/index.svelte) para testar o recarregamento ao vivo.",about_title:"Sobre",about_description:"Sobre este site.",about_heading:"Sobre este site",about_body:'Esta é a página "sobre". Não há muito por aqui.',blog_title:"Blog",blog_description:"Posts recentes.",blog_heading:"Posts recentes",blog_search:"Buscar",post_updated:"atualizado em",post_reading_time:"{minutes} min de leitura",post_untranslated:"Este post ainda não foi traduzido, por isso aparece em {language}.",post_contents:"Conteúdo",post_anchor:"Link para esta seção",post_navigation:"Mais posts",post_previous:"Anterior",post_next:"Próximo",tag_title:"Posts com a tag #{tag}",tag_all_posts:"Todos os posts",work_title:"Trabalhos",work_description:"Projetos selecionados.",work_year:"Ano",work_role:"Função",gallery_open:"Ver em tamanho real",lightbox_label:"Visualizador de imagens",lightbox_close:"Fechar",lightbox_previous:"Imagem anterior",lightbox_next:"Próxima imagem",lightbox_position:"{index} de {count}",search_title:"Buscar",search_description:"Busque nos posts e trabalhos.",search_label:"Buscar nos posts e trabalhos",search_result:"{count} resultado",search_results:"{count} resultados",search_type_blog:"blog",search_type_work:"trabalho",moved_title:"Esta página mudou de endereço",moved_to:"Agora ela fica em",update_available:"Há uma atualização disponível.",update_reload:"Recarregar"}};function It(t,n){var e=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},r=Tt[t]||Tt.en,o=n in r?r[n]:Tt.en[n];if(void 0===o)throw new Error("Missing message '".concat(n,"'"));return o.replace(/\{(\w+)\}/g,(function(t,n){return n in e?e[n]:t}))}function Bt(t,n){var e=t.split("/");return Ot.includes(e[1])&&e.splice(1,1),"/".concat(n).concat(e.join("/")).replace(/\/$/,"")}function Dt(){return kt(le().page,(function(t){var n=Nt(t.path);return{lang:n,t:function(t,e){return It(n,t,e)}}}))}function Ht(t,n,e){return n=i(n),u(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],i(t).constructor):n.apply(t,e))}function Ut(t,n,e){var r=t.slice();return r[11]=n[e],r}function qt(t){var n,e,r,o,a,i,u,s=t[11].lang+"";return{c:function(){n=R("li"),e=R("a"),r=L(s),this.h()},l:function(t){var o=D(n=H(t,"LI",{class:!0})),a=D(e=H(o,"A",{href:!0,hreflang:!0,lang:!0,"aria-label":!0,class:!0}));r=U(a,s),a.forEach(A),o.forEach(A),this.h()},h:function(){B(e,"href",o=t[11].href),B(e,"hreflang",a=t[11].lang),B(e,"lang",i=t[11].lang),B(e,"aria-label",u=It(t[11].lang,"nav_language")+": "+It(t[11].lang,"language_name")),B(e,"class","svelte-1mbidoc"),B(n,"class","language svelte-1mbidoc")},m:function(t,o){j(t,n,o),x(n,e),x(e,r)},p:function(t,n){16&n&&s!==(s=t[11].lang+"")&&F(r,s),16&n&&o!==(o=t[11].href)&&B(e,"href",o),16&n&&a!==(a=t[11].lang)&&B(e,"hreflang",a),16&n&&i!==(i=t[11].lang)&&B(e,"lang",i),16&n&&u!==(u=It(t[11].lang,"nav_language")+": "+It(t[11].lang,"language_name"))&&B(e,"aria-label",u)},d:function(t){t&&A(n)}}}function Ft(t){for(var n,e,o,a,i,u,s,c,l,f,p,h,g,v,m,b,y,$,S,E,w,P,C,I,M,W,z,V,J,K,Y,X,Q,Z,tt=t[3]("nav_home")+"",nt=t[3]("nav_about")+"",et=t[3]("nav_work")+"",rt=t[3]("nav_blog")+"",ot=t[4],at=[],it=0;it<ot.length;it+=1)at[it]=qt(Ut(t,ot,it));return{c:function(){n=R("nav"),e=R("ul"),o=R("li"),a=R("a"),i=L(tt),s=O(),c=R("li"),l=R("a"),f=L(nt),g=O(),v=R("li"),m=R("a"),b=L(et),S=O(),E=R("li"),w=R("a"),P=L(rt),M=O();for(var t=0;t<at.length;t+=1)at[t].c();W=O(),z=R("li"),V=R("form"),J=R("input"),this.h()},l:function(t){var r=D(n=H(t,"NAV",{class:!0})),u=D(e=H(r,"UL",{class:!0})),p=D(o=H(u,"LI",{class:!0})),h=D(a=H(p,"A",{"aria-current":!0,href:!0,class:!0}));i=U(h,tt),h.forEach(A),p.forEach(A),s=q(u);var d=D(c=H(u,"LI",{class:!0})),_=D(l=H(d,"A",{"aria-current":!0,href:!0,class:!0}));f=U(_,nt),_.forEach(A),d.forEach(A),g=q(u);var y=D(v=H(u,"LI",{class:!0})),$=D(m=H(y,"A",{rel:!0,"aria-current":!0,href:!0,class:!0}));b=U($,et),$.forEach(A),y.forEach(A),S=q(u);var x=D(E=H(u,"LI",{class:!0})),j=D(w=H(x,"A",{rel:!0,"aria-current":!0,href:!0,class:!0}));P=U(j,rt),j.forEach(A),x.forEach(A),M=q(u);for(var k=0;k<at.length;k+=1)at[k].l(u);W=q(u);var R=D(z=H(u,"LI",{class:!0})),L=D(V=H(R,"FORM",{action:!0,role:!0}));J=H(L,"INPUT",{type:!0,name:!0,"aria-label":!0,placeholder:!0,class:!0}),L.forEach(A),R.forEach(A),u.forEach(A),r.forEach(A),this.h()},h:function(){B(a,"aria-current",u=void 0===t[0]?"page":void 0),B(a,"href",t[2]),B(a,"class","svelte-1mbidoc"),B(o,"class","svelte-1mbidoc"),B(l,"aria-current",p="about"===t[0]?"page":void 0),B(l,"href",h=t[2]+"/about"),B(l,"class","svelte-1mbidoc"),B(c,"class","svelte-1mbidoc"),B(m,"rel","prefetch"),B(m,"aria-current",y="work"===t[0]?"page":void 0),B(m,"href",$=t[2]+"/work"),B(m,"class","svelte-1mbidoc"),B(v,"class","svelte-1mbidoc"),B(w,"rel","prefetch"),B(w,"aria-current",C="blog"===t[0]?"page":void 0),B(w,"href",I=t[2]+"/blog"),B(w,"class","svelte-1mbidoc"),B(E,"class","svelte-1mbidoc"),B(J,"type","search"),B(J,"name","q"),B(J,"aria-label",K=t[3]("search_title")),B(J,"placeholder",Y=t[3]("search_placeholder")),B(J,"class","svelte-1mbidoc"),B(V,"action",X=t[2]+"/search"),B(V,"role","search"),B(z,"class","search svelte-1mbidoc"),B(e,"class","svelte-1mbidoc"),B(n,"class","svelte-1mbidoc")},m:function(r,u){j(r,n,u),x(n,e),x(e,o),x(o,a),x(a,i),x(e,s),x(e,c),x(c,l),x(l,f),x(e,g),x(e,v),x(v,m),x(m,b),x(e,S),x(e,E),x(E,w),x(w,P),x(e,M);for(var p=0;p<at.length;p+=1)at[p].m(e,null);x(e,W),x(e,z),x(z,V),x(V,J),G(J,t[1]),Q||(Z=[N(J,"input",t[8]),N(V,"submit",T(t[7]))],Q=!0)},p:function(t,n){var o=r(n,1)[0];if(8&o&&tt!==(tt=t[3]("nav_home")+"")&&F(i,tt),1&o&&u!==(u=void 0===t[0]?"page":void 0)&&B(a,"aria-current",u),4&o&&B(a,"href",t[2]),8&o&&nt!==(nt=t[3]("nav_about")+"")&&F(f,nt),1&o&&p!==(p="about"===t[0]?"page":void 0)&&B(l,"aria-current",p),4&o&&h!==(h=t[2]+"/about")&&B(l,"href",h),8&o&&et!==(et=t[3]("nav_work")+"")&&F(b,et),1&o&&y!==(y="work"===t[0]?"page":void 0)&&B(m,"aria-current",y),4&o&&$!==($=t[2]+"/work")&&B(m,"href",$),8&o&&rt!==(rt=t[3]("nav_blog")+"")&&F(P,rt),1&o&&C!==(C="blog"===t[0]?"page":void 0)&&B(w,"aria-current",C),4&o&&I!==(I=t[2]+"/blog")&&B(w,"href",I),16&o){var s;for(ot=t[4],s=0;s<ot.length;s+=1){var c=Ut(t,ot,s);at[s]?at[s].p(c,o):(at[s]=qt(c),at[s].c(),at[s].m(e,W))}for(;s<at.length;s+=1)at[s].d(1);at.length=ot.length}8&o&&K!==(K=t[3]("search_title"))&&B(J,"aria-label",K),8&o&&Y!==(Y=t[3]("search_placeholder"))&&B(J,"placeholder",Y),2&o&&G(J,t[1]),4&o&&X!==(X=t[2]+"/search")&&B(V,"action",X)},i:d,o:d,d:function(t){t&&A(n),k(at,t),Q=!1,_(Z)}}}function Gt(t,n,e){var r,o,a=n.segment,i=le().page;S(t,i,(function(t){return e(10,o=t)}));var u=Dt();S(t,u,(function(t){return e(9,r=t)}));var s,c,l,f="";return t.$set=function(t){"segment"in t&&e(0,a=t.segment)},t.$$.update=function(){var n;512&t.$$.dirty&&e(2,(s=(n=r).lang,c=n.t,n),s,(e(3,c),e(9,r)));1028&t.$$.dirty&&e(4,l=Ot.filter((function(t){return t!==s})).map((function(t){return{lang:t,href:Bt(o.path,t).slice(1)}})))},[a,f,s,c,l,i,u,function(){xn("".concat(s,"/search?q=").concat(encodeURIComponent(f))),e(1,f="")},function(){f=this.value,e(1,f)}]}var Mt=function(t){function n(t){var e;return f(this,n),Pt(e=Ht(this,n),t,Gt,Ft,y,{segment:0}),e}return c(n,xt),h(n)}();function Wt(t,n,e){return n=i(n),u(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],i(t).constructor):n.apply(t,e))}function zt(t){var n,e,r,o,a,i,u,s=t[1].t("update_available")+"",c=t[1].t("update_reload")+"";return{c:function(){n=R("div"),e=L(s),r=O(),o=R("button"),a=L(c),this.h()},l:function(t){var i=D(n=H(t,"DIV",{role:!0,class:!0}));e=U(i,s),r=q(i);var u=D(o=H(i,"BUTTON",{class:!0}));a=U(u,c),u.forEach(A),i.forEach(A),this.h()},h:function(){B(o,"class","svelte-ydmezx"),B(n,"role","status"),B(n,"class","svelte-ydmezx")},m:function(s,c){j(s,n,c),x(n,e),x(n,r),x(n,o),x(o,a),i||(u=N(o,"click",t[3]),i=!0)},p:function(t,n){2&n&&s!==(s=t[1].t("update_available")+"")&&F(e,s),2&n&&c!==(c=t[1].t("update_reload")+"")&&F(a,c)},d:function(t){t&&A(n),i=!1,u()}}}function Vt(t){var n,e=t[0]&&zt(t);return{c:function(){e&&e.c(),n=C()},l:function(t){e&&e.l(t),n=C()},m:function(t,r){e&&e.m(t,r),j(t,n,r)},p:function(t,o){var a=r(o,1)[0];t[0]?e?e.p(t,a):((e=zt(t)).c(),e.m(n.parentNode,n)):e&&(e.d(1),e=null)},i:d,o:d,d:function(t){e&&e.d(t),t&&A(n)}}}function Jt(t,n,e){var r,o=Dt();S(t,o,(function(t){return e(1,r=t)}));var a=null;return Y((function(){if("serviceWorker"in navigator){var t=!1;navigator.serviceWorker.addEventListener("controllerchange",(function(){t||(t=!0,location.reload())})),navigator.serviceWorker.getRegistration().then((function(t){if(t){var n=function(t){t.addEventListener("statechange",(function(){"installed"===t.state&&navigator.serviceWorker.controller&&e(0,a=t)}))};t.waiting&&navigator.serviceWorker.controller&&e(0,a=t.waiting),t.installing&&n(t.installing),t.addEventListener("updatefound",(function(){return n(t.installing)}))}}))}})),[a,r,o,function(){a.postMessage({type:"SKIP_WAITING"})}]}var Kt=function(t){function n(t){var e;return f(this,n),Pt(e=Wt(this,n),t,Jt,Vt,y,{}),e}return c(n,xt),h(n)}(),Yt="".concat("https://lucianofeijao.github.io","/"),Xt="Luciano Feijão";function Qt(t){return new URL(t,Yt).href}function Zt(t){return Qt(t&&!t.endsWith("/")?"".concat(t,"/"):t)}function tn(t,n,e){return n=i(n),u(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],i(t).constructor):n.apply(t,e))}var nn=mt.document;function en(t){var n,e,o,a,i,u,s,c,l,f,p,h,d,g,v,m,_,b,y,$,S,w,k;i=new Mt({props:{segment:t[0]}});var C=t[3].default,N=E(C,t,t[2],null);return w=new Kt({}),{c:function(){n=R("link"),e=R("link"),o=R("link"),a=O(),yt(i.$$.fragment),u=O(),s=R("main"),N&&N.c(),c=O(),l=R("footer"),f=R("a"),p=L("Atom"),h=L(" ·\n\t"),d=R("a"),g=L("RSS"),v=L(" ·\n\t"),m=R("a"),_=L("JSON Feed"),b=L(" ·\n\t"),y=R("a"),$=L("Sitemap"),S=O(),yt(w.$$.fragment),this.h()},l:function(t){var r=W('[data-svelte="svelte-57tx8y"]',nn.head);n=H(r,"LINK",{rel:!0,type:!0,title:!0,href:!0}),e=H(r,"LINK",{rel:!0,type:!0,title:!0,href:!0}),o=H(r,"LINK",{rel:!0,type:!0,title:!0,href:!0}),r.forEach(A),a=q(t),$t(i.$$.fragment,t),u=q(t);var E=D(s=H(t,"MAIN",{class:!0}));N&&N.l(E),E.forEach(A),c=q(t);var P=D(l=H(t,"FOOTER",{class:!0})),x=D(f=H(P,"A",{href:!0}));p=U(x,"Atom"),x.forEach(A),h=U(P," ·\n\t");var j=D(d=H(P,"A",{href:!0}));g=U(j,"RSS"),j.forEach(A),v=U(P," ·\n\t");var k=D(m=H(P,"A",{href:!0}));_=U(k,"JSON Feed"),k.forEach(A),b=U(P," ·\n\t");var R=D(y=H(P,"A",{href:!0}));$=U(R,"Sitemap"),R.forEach(A),P.forEach(A),S=q(t),$t(w.$$.fragment,t),this.h()},h:function(){B(n,"rel","alternate"),B(n,"type","application/atom+xml"),B(n,"title",Xt+" (Atom)"),B(n,"href","feed.xml"),B(e,"rel","alternate"),B(e,"type","application/rss+xml"),B(e,"title",Xt+" (RSS)"),B(e,"href","rss.xml"),B(o,"rel","alternate"),B(o,"type","application/feed+json"),B(o,"title",Xt+" (JSON Feed)"),B(o,"href","feed.json"),B(s,"class","svelte-tamcv5"),B(f,"href","feed.xml"),B(d,"href","rss.xml"),B(m,"href","feed.json"),B(y,"href","sitemap.xml"),B(l,"class","svelte-tamcv5")},m:function(t,r){x(nn.head,n),x(nn.head,e),x(nn.head,o),j(t,a,r),St(i,t,r),j(t,u,r),j(t,s,r),N&&N.m(s,null),j(t,c,r),j(t,l,r),x(l,f),x(f,p),x(l,h),x(l,d),x(d,g),x(l,v),x(l,m),x(m,_),x(l,b),x(l,y),x(y,$),j(t,S,r),St(w,t,r),k=!0},p:function(t,n){var e=r(n,1)[0],o={};1&e&&(o.segment=t[0]),i.$set(o),N&&N.p&&4&e&&P(N,C,t,t[2],e,null,null)},i:function(t){k||(gt(i.$$.fragment,t),gt(N,t),gt(w.$$.fragment,t),k=!0)},o:function(t){vt(i.$$.fragment,t),vt(N,t),vt(w.$$.fragment,t),k=!1},d:function(t){A(n),A(e),A(o),t&&A(a),Et(i,t),t&&A(u),t&&A(s),N&&N.d(t),t&&A(c),t&&A(l),t&&A(S),Et(w,t)}}}function rn(t,n,e){var r,o=le().page;S(t,o,(function(t){return e(5,r=t)}));var a,i,u,s=n.$$slots,c=void 0===s?{}:s,l=n.$$scope;return t.$set=function(t){"$$scope"in t&&e(2,l=t.$$scope)},t.$$.update=function(){32&t.$$.dirty&&e(4,a=Nt(r.path)),32&t.$$.dirty&&e(6,i=r.path.replace(/\/$/,"").split("/")),64&t.$$.dirty&&e(0,u=Ot.includes(i[1])?i[2]:null),16&t.$$.dirty&&"undefined"!=typeof document&&(document.documentElement.lang=a)},[u,o,l,c]}var on=function(t){function n(t){var e;return f(this,n),Pt(e=tn(this,n),t,rn,en,y,{}),e}return c(n,xt),h(n)}();function an(t,n,e){return n=i(n),u(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],i(t).constructor):n.apply(t,e))}function un(t){var n,e,r=t[1].stack+"";return{c:function(){n=R("pre"),e=L(r)},l:function(t){var o=D(n=H(t,"PRE",{}));e=U(o,r),o.forEach(A)},m:function(t,r){j(t,n,r),x(n,e)},p:function(t,n){2&n&&r!==(r=t[1].stack+"")&&F(e,r)},d:function(t){t&&A(n)}}}function sn(t){var n,e,o,a,i,u,s,c,l,f=t[1].message+"";document.title=n=t[0];var p=t[2]&&t[1].stack&&un(t);return{c:function(){e=O(),o=R("h1"),a=L(t[0]),i=O(),u=R("p"),s=L(f),c=O(),p&&p.c(),l=C(),this.h()},l:function(n){W('[data-svelte="svelte-1o9r2ue"]',document.head).forEach(A),e=q(n);var r=D(o=H(n,"H1",{class:!0}));a=U(r,t[0]),r.forEach(A),i=q(n);var h=D(u=H(n,"P",{class:!0}));s=U(h,f),h.forEach(A),c=q(n),p&&p.l(n),l=C(),this.h()},h:function(){B(o,"class","svelte-8od9u6"),B(u,"class","svelte-8od9u6")},m:function(t,n){j(t,e,n),j(t,o,n),x(o,a),j(t,i,n),j(t,u,n),x(u,s),j(t,c,n),p&&p.m(t,n),j(t,l,n)},p:function(t,e){var o=r(e,1)[0];1&o&&n!==(n=t[0])&&(document.title=n),1&o&&F(a,t[0]),2&o&&f!==(f=t[1].message+"")&&F(s,f),t[2]&&t[1].stack?p?p.p(t,o):((p=un(t)).c(),p.m(l.parentNode,l)):p&&(p.d(1),p=null)},i:d,o:d,d:function(t){t&&A(e),t&&A(o),t&&A(i),t&&A(u),t&&A(c),p&&p.d(t),t&&A(l)}}}function cn(t,n,e){var r=n.status,o=n.error;return t.$set=function(t){"status"in t&&e(0,r=t.status),"error"in t&&e(1,o=t.error)},[r,o,!1]}var ln=function(t){function n(t){var e;return f(this,n),Pt(e=an(this,n),t,cn,sn,y,{status:0,error:1}),e}return c(n,xt),h(n)}();function fn(t,n,e){return n=i(n),u(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],i(t).constructor):n.apply(t,e))}function pn(t){var n,e,r,o=[{segment:t[2][1]},t[4].props],a=t[4].component;function i(t){for(var n={$$slots:{default:[gn]},$$scope:{ctx:t}},e=0;e<o.length;e+=1)n=g(n,o[e]);return{props:n}}return a&&(n=new a(i(t))),{c:function(){n&&yt(n.$$.fragment),e=C()},l:function(t){n&&$t(n.$$.fragment,t),e=C()},m:function(t,o){n&&St(n,t,o),j(t,e,o),r=!0},p:function(t,r){var u=20&r?_t(o,[4&r&&{segment:t[2][1]},16&r&&bt(t[4].props)]):{};if(288&r&&(u.$$scope={dirty:r,ctx:t}),a!==(a=t[4].component)){if(n){ht();var s=n;vt(s.$$.fragment,1,0,(function(){Et(s,1)})),dt()}a?(yt((n=new a(i(t))).$$.fragment),gt(n.$$.fragment,1),St(n,e.parentNode,e)):n=null}else a&&n.$set(u)},i:function(t){r||(n&&gt(n.$$.fragment,t),r=!0)},o:function(t){n&&vt(n.$$.fragment,t),r=!1},d:function(t){t&&A(e),n&&Et(n,t)}}}function hn(t){var n,e;return n=new ln({props:{error:t[0],status:t[1]}}),{c:function(){yt(n.$$.fragment)},l:function(t){$t(n.$$.fragment,t)},m:function(t,r){St(n,t,r),e=!0},p:function(t,e){var r={};1&e&&(r.error=t[0]),2&e&&(r.status=t[1]),n.$set(r)},i:function(t){e||(gt(n.$$.fragment,t),e=!0)},o:function(t){vt(n.$$.fragment,t),e=!1},d:function(t){Et(n,t)}}}function dn(t){var n,e,r,o=[t[5].props],a=t[5].component;function i(t){for(var n={},e=0;e<o.length;e+=1)n=g(n,o[e]);return{props:n}}return a&&(n=new a(i())),{c:function(){n&&yt(n.$$.fragment),e=C()},l:function(t){n&&$t(n.$$.fragment,t),e=C()},m:function(t,o){n&&St(n,t,o),j(t,e,o),r=!0},p:function(t,r){var u=32&r?_t(o,[bt(t[5].props)]):{};if(a!==(a=t[5].component)){if(n){ht();var s=n;vt(s.$$.fragment,1,0,(function(){Et(s,1)})),dt()}a?(yt((n=new a(i())).$$.fragment),gt(n.$$.fragment,1),St(n,e.parentNode,e)):n=null}else a&&n.$set(u)},i:function(t){r||(n&&gt(n.$$.fragment,t),r=!0)},o:function(t){n&&vt(n.$$.fragment,t),r=!1},d:function(t){t&&A(e),n&&Et(n,t)}}}function gn(t){var n,e,r=t[5]&&dn(t);return{c:function(){r&&r.c(),n=C()},l:function(t){r&&r.l(t),n=C()},m:function(t,o){r&&r.m(t,o),j(t,n,o),e=!0},p:function(t,e){t[5]?r?(r.p(t,e),32&e&&gt(r,1)):((r=dn(t)).c(),gt(r,1),r.m(n.parentNode,n)):r&&(ht(),vt(r,1,1,(function(){r=null})),dt())},i:function(t){e||(gt(r),e=!0)},o:function(t){vt(r),e=!1},d:function(t){r&&r.d(t),t&&A(n)}}}function vn(t){var n,e,r,o,a=[hn,pn],i=[];function u(t,n){return t[0]?0:1}return n=u(t),e=i[n]=a[n](t),{c:function(){e.c(),r=C()},l:function(t){e.l(t),r=C()},m:function(t,e){i[n].m(t,e),j(t,r,e),o=!0},p:function(t,o){var s=n;(n=u(t))===s?i[n].p(t,o):(ht(),vt(i[s],1,1,(function(){i[s]=null})),dt(),(e=i[n])||(e=i[n]=a[n](t)).c(),gt(e,1),e.m(r.parentNode,r))},i:function(t){o||(gt(e),o=!0)},o:function(t){vt(e),o=!1},d:function(t){i[n].d(t),t&&A(r)}}}function mn(t){for(var n,e,o=[{segment:t[2][0]},t[3].props],a={$$slots:{default:[vn]},$$scope:{ctx:t}},i=0;i<o.length;i+=1)a=g(a,o[i]);return n=new on({props:a}),{c:function(){yt(n.$$.fragment)},l:function(t){$t(n.$$.fragment,t)},m:function(t,r){St(n,t,r),e=!0},p:function(t,e){var a=r(e,1)[0],i=12&a?_t(o,[4&a&&{segment:t[2][0]},8&a&&bt(t[3].props)]):{};311&a&&(i.$$scope={dirty:a,ctx:t}),n.$set(i)},i:function(t){e||(gt(n.$$.fragment,t),e=!0)},o:function(t){vt(n.$$.fragment,t),e=!1},d:function(t){Et(n,t)}}}function _n(t,n,e){var r,o,a,i=n.stores,u=n.error,s=n.status,c=n.segments,l=n.level0,f=n.level1,p=void 0===f?null:f,h=n.level2,d=void 0===h?null:h,g=n.notify;return r=g,K().$$.after_update.push(r),o=Rt,a=i,K().$$.context.set(o,a),t.$set=function(t){"stores"in t&&e(6,i=t.stores),"error"in t&&e(0,u=t.error),"status"in t&&e(1,s=t.status),"segments"in t&&e(2,c=t.segments),"level0"in t&&e(3,l=t.level0),"level1"in t&&e(4,p=t.level1),"level2"in t&&e(5,d=t.level2),"notify"in t&&e(7,g=t.notify)},[u,s,c,l,p,d,i,g]}var bn,yn=function(t){function n(t){var e;return f(this,n),Pt(e=fn(this,n),t,_n,mn,y,{stores:6,error:0,status:1,segments:2,level0:3,level1:4,level2:5,notify:7}),e}return c(n,xt),h(n)}(),$n=[/^\/sitemap\.xml$/,/^\/feed\.json$/,/^\/feed\.xml$/,/^\/rss\.xml$/,/^\/blog\.json$/,/^\/blog\/tag\/([^\/]+?)\.json$/,/^\/blog\/([^\/]+?)\.json$/,/^\/work\.json$/,/^\/work\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/search\.json$/,/^\/([^\/]+?)\/blog\.json$/,/^\/([^\/]+?)\/blog\/tag\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/blog\/([^\/]+?)\.json$/,/^\/([^\/]+?)\/work\.json$/,/^\/([^\/]+?)\/work\/([^\/]+?)\.json$/],Sn=[{js:function(){return import("./index.d7dad8e6.js")},css:[]},{js:function(){return import("./search.b34aad6f.js")},css:[]},{js:function(){return import("./about.0be751fe.js")},css:[]},{js:function(){return import("./index.cf55fa47.js")},css:[]},{js:function(){return import("./[tag].305afd57.js")},css:[]},{js:function(){return import("./[slug].04ae87a5.js")},css:[]},{js:function(){return import("./index.98935907.js")},css:[]},{js:function(){return import("./[slug].307ee27a.js")},css:[]},{js:function(){return import("./_layout.7c1bdb4e.js")},css:[]},{js:function(){return import("./index.92f21000.js")},css:[]},{js:function(){return import("./search.566767af.js")},css:[]},{js:function(){return import("./about.71855fc2.js")},css:[]},{js:function(){return import("./index.162714f5.js")},css:[]},{js:function(){return import("./[tag].706667c7.js")},css:[]},{js:function(){return import("./[slug].ecc4f03b.js")},css:[]},{js:function(){return import("./index.9a21d65a.js")},css:[]},{js:function(){return import("./[slug].9d794d6b.js")},css:[]}],En=(bn=decodeURIComponent,[{pattern:/^\/$/,parts:[{i:0}]},{pattern:/^\/search\/?$/,parts:[{i:1}]},{pattern:/^\/about\/?$/,parts:[{i:2}]},{pattern:/^\/blog\/?$/,parts:[{i:3}]},{pattern:/^\/blog\/tag\/([^\/]+?)\/?$/,parts:[null,null,{i:4,params:function(t){return{tag:bn(t[1])}}}]},{pattern:/^\/blog\/([^\/]+?)\/?$/,parts:[null,{i:5,params:function(t){return{slug:bn(t[1])}}}]},{pattern:/^\/work\/?$/,parts:[{i:6}]},{pattern:/^\/work\/([^\/]+?)\/?$/,parts:[null,{i:7,params:function(t){return{slug:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},{i:9,params:function(t){return{lang:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/search\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},{i:10,params:function(t){return{lang:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/about\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},{i:11,params:function(t){return{lang:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/blog\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},{i:12,params:function(t){return{lang:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/blog\/tag\/([^\/]+?)\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},null,null,{i:13,params:function(t){return{lang:bn(t[1]),tag:bn(t[2])}}}]},{pattern:/^\/([^\/]+?)\/blog\/([^\/]+?)\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},null,{i:14,params:function(t){return{lang:bn(t[1]),slug:bn(t[2])}}}]},{pattern:/^\/([^\/]+?)\/work\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},{i:15,params:function(t){return{lang:bn(t[1])}}}]},{pattern:/^\/([^\/]+?)\/work\/([^\/]+?)\/?$/,parts:[{i:8,params:function(t){return{lang:bn(t[1])}}},null,{i:16,params:function(t){return{lang:bn(t[1]),slug:bn(t[2])}}}]}]);function wn(){/*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */var t,n,e="function"==typeof Symbol?Symbol:{},r=e.iterator||"@@iterator",o=e.toStringTag||"@@toStringTag";function a(e,r,o,a){var s=r&&r.prototype instanceof u?r:u,c=Object.create(s.prototype);return Pn(c,"_invoke",function(e,r,o){var a,u,s,c=0,l=o||[],f=!1,p={p:0,n:0,v:t,a:h,f:h.bind(t,4),d:function(n,e){return a=n,u=0,s=t,p.n=e,i}};function h(e,r){for(u=e,s=r,n=0;!f&&c&&!o&&n<l.length;n++){var o,a=l[n],h=p.p,d=a[2];e>3?(o=d===r)&&(s=a[(u=a[4])?5:(u=3,3)],a[4]=a[5]=t):a[0]<=h&&((o=e<2&&h<a[1])?(u=0,p.v=r,p.n=a[1]):h<d&&(o=e<3||a[0]>r||r>d)&&(a[4]=e,a[5]=r,p.n=d,u=0))}if(o||e>1)return i;throw f=!0,r}return function(o,l,d){if(c>1)throw TypeError("Generator is already running");for(f&&1===l&&h(l,d),u=l,s=d;(n=u<2?t:s)||!f;){a||(u?u<3?(u>1&&(p.n=-1),h(u,s)):p.n=s:p.v=s);try{if(c=2,a){if(u||(o="next"),n=a[o]){if(!(n=n.call(a,s)))throw TypeError("iterator result is not an object");if(!n.done)return n;s=n.value,u<2&&(u=0)}else 1===u&&(n=a.return)&&n.call(a),u<2&&(s=TypeError("The iterator does not provide a '"+o+"' method"),u=1);a=t}else if((n=(f=p.n<0)?s:e.call(r,p))!==i)break}catch(n){a=t,u=1,s=n}finally{c=1}}return{value:n,done:f}}}(e,o,a),!0),c}var i={};function u(){}function s(){}function c(){}n=Object.getPrototypeOf;var l=[][r]?n(n([][r]())):(Pn(n={},r,(function(){return this})),n),f=c.prototype=u.prototype=Object.create(l);function p(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,c):(t.__proto__=c,Pn(t,o,"GeneratorFunction")),t.prototype=Object.create(f),t}return s.prototype=c,Pn(f,"constructor",c),Pn(c,"constructor",s),s.displayName="GeneratorFunction",Pn(c,o,"GeneratorFunction"),Pn(f),Pn(f,o,"Generator"),Pn(f,r,(function(){return this})),Pn(f,"toString",(function(){return"[object Generator]"})),(wn=function(){return{w:a,m:p}})()}function Pn(t,n,e,r){var o=Object.defineProperty;try{o({},"",{})}catch(t){o=0}(Pn=function(t,n,e,r){function a(n,e){Pn(t,n,(function(t){return this._invoke(n,e,t)}))}n?o?o(t,n,{value:e,enumerable:!r,configurable:!r,writable:!r}):t[n]=e:(a("next",0),a("throw",1),a("return",2))})(t,n,e,r)}function xn(t){var n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{replaceState:!1},e=Wn(new URL(t,document.baseURI));return e?(Fn[n.replaceState?"replaceState":"pushState"]({id:Hn},"",t),Vn(e,null).then((function(){}))):(location.href=t,new Promise((function(t){})))}var jn,An,kn,Rn,Ln,On="undefined"!=typeof __SAPPER__&&__SAPPER__,Cn=!1,Nn=[],Tn="{}",In={page:function(t){var n=At(t),e=!0;return{notify:function(){e=!0,n.update((function(t){return t}))},set:function(t){e=!1,n.set(t)},subscribe:function(t){var r;return n.subscribe((function(n){(void 0===r||e&&n!==r)&&t(r=n)}))}}}({}),preloading:At(null),session:At(On&&On.session)};In.session.subscribe(function(){var t=a(wn().m((function t(n){var e,r,o,a,i,u;return wn().w((function(t){for(;;)switch(t.n){case 0:if(Rn=n,Cn){t.n=1;break}return t.a(2);case 1:return Ln=!0,e=Wn(new URL(location.href)),r=An={},t.n=2,Qn(e);case 2:if(o=t.v,a=o.redirect,i=o.props,u=o.branch,r===An){t.n=3;break}return t.a(2);case 3:return t.n=4,Kn(a,u,i,e.page);case 4:return t.a(2)}}),t)})));return function(n){return t.apply(this,arguments)}}());var Bn,Dn=null;var Hn,Un=1;var qn,Fn="undefined"!=typeof history?history:{pushState:function(t,n,e){},replaceState:function(t,n,e){},scrollRestoration:""},Gn={};function Mn(n){var e=Object.create(null);return n.length>0&&n.slice(1).split("&").forEach((function(n){var o=r(/([^=]*)(?:=(.*))?/.exec(decodeURIComponent(n.replace(/\+/g," "))),3),a=o[1],i=o[2],u=void 0===i?"":i;"string"==typeof e[a]&&(e[a]=[e[a]]),"object"===t(e[a])?e[a].push(u):e[a]=u})),e}function Wn(t){if(t.origin!==location.origin)return null;if(!t.pathname.startsWith(On.baseUrl))return null;var n=t.pathname.slice(On.baseUrl.length);if(""===n&&(n="/"),!$n.some((function(t){return t.test(n)})))for(var e=0;e<En.length;e+=1){var r=En[e],o=r.pattern.exec(n);if(o){var a=Mn(t.search),i=r.parts[r.parts.length-1],u=i.params?i.params(o):{},s={host:location.host,path:n,query:a,params:u};return{href:t.href,route:r,match:o,page:s}}}}function zn(){return{x:pageXOffset,y:pageYOffset}}function Vn(t,n,e,r){return Jn.apply(this,arguments)}function Jn(){return(Jn=a(wn().m((function t(n,e,r,o){var a,i,u,s,c,l,f,p,h;return wn().w((function(t){for(;;)switch(t.n){case 0:return e?Hn=e:(a=zn(),Gn[Hn]=a,e=Hn=++Un,Gn[Hn]=r?a:{x:0,y:0}),Hn=e,jn&&In.preloading.set(!0),i=Dn&&Dn.href===n.href?Dn.promise:Qn(n),Dn=null,u=An={},t.n=1,i;case 1:if(s=t.v,c=s.redirect,l=s.props,f=s.branch,u===An){t.n=2;break}return t.a(2);case 2:return t.n=3,Kn(c,f,l,n.page);case 3:document.activeElement&&document.activeElement.blur(),r||(p=Gn[e],o&&(h=document.getElementById(o.slice(1)))&&(p={x:0,y:h.getBoundingClientRect().top+scrollY}),Gn[Hn]=p,p&&scrollTo(p.x,p.y));case 4:return t.a(2)}}),t)})))).apply(this,arguments)}function Kn(t,n,e,r){return Yn.apply(this,arguments)}function Yn(){return(Yn=a(wn().m((function t(n,e,r,o){var a,i,u;return wn().w((function(t){for(;;)switch(t.n){case 0:if(!n){t.n=1;break}return t.a(2,xn(n.location,{replaceState:!0}));case 1:if(In.page.set(o),In.preloading.set(!1),!jn){t.n=2;break}jn.$set(r),t.n=4;break;case 2:return r.stores={page:{subscribe:In.page.subscribe},preloading:{subscribe:In.preloading.subscribe},session:In.session},t.n=3,kn;case 3:if(u=t.v,r.level0={props:u},r.notify=In.page.notify,a=document.querySelector("#sapper-head-start"),i=document.querySelector("#sapper-head-end"),a&&i){for(;a.nextSibling!==i;)ee(a.nextSibling);ee(a),ee(i)}jn=new yn({target:Bn,props:r,hydrate:!0});case 4:Nn=e,Tn=JSON.stringify(o.query),Cn=!0,Ln=!1;case 5:return t.a(2)}}),t)})))).apply(this,arguments)}function Xn(t,n,e,r){if(r!==Tn)return!0;var o=Nn[t];return!!o&&(n!==o.segment||(!(!o.match||JSON.stringify(o.match.slice(1,t+2))===JSON.stringify(e.slice(1,t+2)))||void 0))}function Qn(t){return Zn.apply(this,arguments)}function Zn(){return(Zn=a(wn().m((function t(n){var e,r,o,i,u,s,c,l,f,p,h,d;return wn().w((function(t){for(;;)switch(t.p=t.n){case 0:return e=n.route,r=n.page,o=r.path.split("/").filter(Boolean),i=null,u={error:null,status:200,segments:[o[0]]},s={fetch:function(t){function n(n,e){return t.apply(this,arguments)}return n.toString=function(){return t.toString()},n}((function(t,n){return fetch(t,n)})),redirect:function(t,n){if(i&&(i.statusCode!==t||i.location!==n))throw new Error("Conflicting redirects");i={statusCode:t,location:n}},error:function(t,n){u.error="string"==typeof n?new Error(n):n,u.status=t}},kn||(kn=On.preloaded[0]||Lt.call(s,{host:r.host,path:r.path,query:r.query,params:{}},Rn)),l=1,t.p=1,f=JSON.stringify(r.query),p=e.pattern.exec(r.path),h=!1,t.n=2,Promise.all(e.parts.map(function(){var t=a(wn().m((function t(e,a){var i,c,d,g,v,m,_;return wn().w((function(t){for(;;)switch(t.n){case 0:if(i=o[a],Xn(a,i,p,f)&&(h=!0),u.segments[l]=o[a+1],e){t.n=1;break}return t.a(2,{segment:i});case 1:if(c=l++,Ln||h||!Nn[a]||Nn[a].part!==e.i){t.n=2;break}return t.a(2,Nn[a]);case 2:return h=!1,t.n=3,ne(Sn[e.i]);case 3:if(d=t.v,g=d.default,v=d.preload,!Cn&&On.preloaded[a+1]){t.n=7;break}if(!v){t.n=5;break}return t.n=4,v.call(s,{host:r.host,path:r.path,query:r.query,params:e.params?e.params(n.match):{}},Rn);case 4:_=t.v,t.n=6;break;case 5:_={};case 6:m=_,t.n=8;break;case 7:m=On.preloaded[a+1];case 8:return t.a(2,u["level".concat(c)]={component:g,props:m,segment:i,match:p,part:e.i})}}),t)})));return function(n,e){return t.apply(this,arguments)}}()));case 2:c=t.v,t.n=4;break;case 3:t.p=3,d=t.v,u.error=d,u.status=500,c=[];case 4:return t.a(2,{redirect:i,props:u,branch:c})}}),t,null,[[1,3]])})))).apply(this,arguments)}function te(t){var n="client/".concat(t);if(!document.querySelector('link[href="'.concat(n,'"]')))return new Promise((function(t,e){var r=document.createElement("link");r.rel="stylesheet",r.href=n,r.onload=function(){return t()},r.onerror=e,document.head.appendChild(r)}))}function ne(t){var n="string"==typeof t.css?[]:t.css.map(te);return n.unshift(t.js()),Promise.all(n).then((function(t){return t[0]}))}function ee(t){t.parentNode.removeChild(t)}function re(t){var n=Wn(new URL(t,document.baseURI));if(n)return Dn&&t===Dn.href||function(t,n){Dn={href:t,promise:n}}(t,Qn(n)),Dn.promise}function oe(t){clearTimeout(qn),qn=setTimeout((function(){ae(t)}),20)}function ae(t){var n=ue(t.target);n&&"prefetch"===n.rel&&re(n.href)}function ie(n){if(1===function(t){return null===t.which?t.button:t.which}(n)&&!(n.metaKey||n.ctrlKey||n.shiftKey||n.defaultPrevented)){var e=ue(n.target);if(e&&e.href){var r="object"===t(e.href)&&"SVGAnimatedString"===e.href.constructor.name,o=String(r?e.href.baseVal:e.href);if(o!==location.href){if(!e.hasAttribute("download")&&"external"!==e.getAttribute("rel")&&!(r?e.target.baseVal:e.target)){var a=new URL(o);if(a.pathname!==location.pathname||a.search!==location.search){var i=Wn(a);if(i)Vn(i,null,e.hasAttribute("sapper-noscroll"),a.hash),n.preventDefault(),Fn.pushState({id:Hn},"",a.href)}}}else location.hash||n.preventDefault()}}}function ue(t){for(;t&&"A"!==t.nodeName.toUpperCase();)t=t.parentNode;return t}function se(t){if(Gn[Hn]=zn(),t.state){var n=Wn(new URL(location.href));n?Vn(n,t.state.id):location.href=location.href}else(function(t){Hn=t})(Un=Un+1),Fn.replaceState({id:Hn},"",location.href)}var ce,le=function(){return t=Rt,K().$$.context.get(t);var t};ce={target:document.querySelector("#sapper")},"scrollRestoration"in Fn&&(Fn.scrollRestoration="manual"),addEventListener("beforeunload",(function(){Fn.scrollRestoration="auto"})),addEventListener("load",(function(){Fn.scrollRestoration="manual"})),function(t){Bn=t}(ce.target),addEventListener("click",ie),addEventListener("popstate",se),addEventListener("touchstart",ae),addEventListener("mousemove",oe),Promise.resolve().then((function(){var t=location,n=t.hash,e=t.href;Fn.replaceState({id:Un},"",e);var r,o,a,i,u,s,c,l,f=new URL(location.href);if(On.error)return r=location,o=r.host,a=r.pathname,i=r.search,u=On.session,s=On.preloaded,c=On.status,l=On.error,kn||(kn=s&&s[0]),void Kn(null,[],{error:l,status:c,session:u,level0:{props:kn},level1:{props:{status:c,error:l},component:ln},segments:s},{host:o,path:a,query:Mn(i),params:{}});var p=Wn(f);return p?Vn(p,Un,!0,n):void 0}));export{dt as $,Et as A,k as B,Y as C,It as D,xn as E,Ct as F,C as G,V as H,W as I,le as J,S as K,Dt as L,Zt as M,Bt as N,Qt as O,E as P,F as Q,P as R,xt as S,a as T,it as U,M as V,N as W,I as X,_ as Y,ht as Z,c as _,h as a,X as a0,Z as a1,at as a2,G as a3,T as a4,f as b,i as c,u as d,R as e,L as f,H as g,D as h,Pt as i,U as j,A as k,B as l,j as m,x as n,d as o,yt as p,O as q,$t as r,y as s,Xt as t,q as u,St as v,r as w,Ot as x,gt as y,vt as z};
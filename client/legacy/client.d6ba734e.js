@@ -1 +0,0 @@
-function t(e){return(t="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(e)}function e(t,e){(null==e||e>t.length)&&(e=t.length);for(var r=0,n=new Array(e);r<e;r++)n[r]=t[r];return n}function r(t,r){if(t){if("string"==typeof t)return e(t,r);var n=Object.prototype.toString.call(t).slice(8,-1);return"Object"===n&&t.constructor&&(n=t.constructor.name),"Map"===n||"Set"===n?Array.from(t):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?e(t,r):void 0}}function n(t,e){return function(t){if(Array.isArray(t))return t}(t)||function(t,e){if("undefined"!=typeof Symbol&&Symbol.iterator in Object(t)){var r=[],n=!0,o=!1,a=void 0;try{for(var i,u=t[Symbol.iterator]();!(n=(i=u.next()).done)&&(r.push(i.value),!e||r.length!==e);n=!0);}catch(t){o=!0,a=t}finally{try{n||null==u.return||u.return()}finally{if(o)throw a}}return r}}(t,e)||r(t,e)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function o(t,e,r){return t(r={path:e,exports:{},require:function(t,e){return function(){throw new Error("Dynamic requires are not currently supported by @rollup/plugin-commonjs")}(null==e&&r.path)}},r.exports),r.exports}var a,i=o((function(e){var r=function(e){var r=Object.prototype,n=r.hasOwnProperty,o="function"==typeof Symbol?Symbol:{},a=o.iterator||"@@iterator",i=o.asyncIterator||"@@asyncIterator",u=o.toStringTag||"@@toStringTag";function c(t,e,r,n){var o=e&&e.prototype instanceof l?e:l,a=Object.create(o.prototype),i=new E(n||[]);return a._invoke=function(t,e,r){var n="suspendedStart";return function(o,a){if("executing"===n)throw new Error("Generator is already running");if("completed"===n){if("throw"===o)throw a;return S()}for(r.method=o,r.arg=a;;){var i=r.delegate;if(i){var u=w(i,r);if(u){if(u===f)continue;return u}}if("next"===r.method)r.sent=r._sent=r.arg;else if("throw"===r.method){if("suspendedStart"===n)throw n="completed",r.arg;r.dispatchException(r.arg)}else"return"===r.method&&r.abrupt("return",r.arg);n="executing";var c=s(t,e,r);if("normal"===c.type){if(n=r.done?"completed":"suspendedYield",c.arg===f)continue;return{value:c.arg,done:r.done}}"throw"===c.type&&(n="completed",r.method="throw",r.arg=c.arg)}}}(t,r,i),a}function s(t,e,r){try{return{type:"normal",arg:t.call(e,r)}}catch(t){return{type:"throw",arg:t}}}e.wrap=c;var f={};function l(){}function p(){}function h(){}var d={};d[a]=function(){return this};var v=Object.getPrototypeOf,m=v&&v(v(_([])));m&&m!==r&&n.call(m,a)&&(d=m);var y=h.prototype=l.prototype=Object.create(d);function g(t){["next","throw","return"].forEach((function(e){t[e]=function(t){return this._invoke(e,t)}}))}function b(e,r){var o;this._invoke=function(a,i){function u(){return new r((function(o,u){!function o(a,i,u,c){var f=s(e[a],e,i);if("throw"!==f.type){var l=f.arg,p=l.value;return p&&"object"===t(p)&&n.call(p,"__await")?r.resolve(p.__await).then((function(t){o("next",t,u,c)}),(function(t){o("throw",t,u,c)})):r.resolve(p).then((function(t){l.value=t,u(l)}),(function(t){return o("throw",t,u,c)}))}c(f.arg)}(a,i,o,u)}))}return o=o?o.then(u,u):u()}}function w(t,e){var r=t.iterator[e.method];if(void 0===r){if(e.delegate=null,"throw"===e.method){if(t.iterator.return&&(e.method="return",e.arg=void 0,w(t,e),"throw"===e.method))return f;e.method="throw",e.arg=new TypeError("The iterator does not provide a 'throw' method")}return f}var n=s(r,t.iterator,e.arg);if("throw"===n.type)return e.method="throw",e.arg=n.arg,e.delegate=null,f;var o=n.arg;return o?o.done?(e[t.resultName]=o.value,e.next=t.nextLoc,"return"!==e.method&&(e.method="next",e.arg=void 0),e.delegate=null,f):o:(e.method="throw",e.arg=new TypeError("iterator result is not an object"),e.delegate=null,f)}function $(t){var e={tryLoc:t[0]};1 in t&&(e.catchLoc=t[1]),2 in t&&(e.finallyLoc=t[2],e.afterLoc=t[3]),this.tryEntries.push(e)}function x(t){var e=t.completion||{};e.type="normal",delete e.arg,t.completion=e}function E(t){this.tryEntries=[{tryLoc:"root"}],t.forEach($,this),this.reset(!0)}function _(t){if(t){var e=t[a];if(e)return e.call(t);if("function"==typeof t.next)return t;if(!isNaN(t.length)){var r=-1,o=function e(){for(;++r<t.length;)if(n.call(t,r))return e.value=t[r],e.done=!1,e;return e.value=void 0,e.done=!0,e};return o.next=o}}return{next:S}}function S(){return{value:void 0,done:!0}}return p.prototype=y.constructor=h,h.constructor=p,h[u]=p.displayName="GeneratorFunction",e.isGeneratorFunction=function(t){var e="function"==typeof t&&t.constructor;return!!e&&(e===p||"GeneratorFunction"===(e.displayName||e.name))},e.mark=function(t){return Object.setPrototypeOf?Object.setPrototypeOf(t,h):(t.__proto__=h,u in t||(t[u]="GeneratorFunction")),t.prototype=Object.create(y),t},e.awrap=function(t){return{__await:t}},g(b.prototype),b.prototype[i]=function(){return this},e.AsyncIterator=b,e.async=function(t,r,n,o,a){void 0===a&&(a=Promise);var i=new b(c(t,r,n,o),a);return e.isGeneratorFunction(r)?i:i.next().then((function(t){return t.done?t.value:i.next()}))},g(y),y[u]="Generator",y[a]=function(){return this},y.toString=function(){return"[object Generator]"},e.keys=function(t){var e=[];for(var r in t)e.push(r);return e.reverse(),function r(){for(;e.length;){var n=e.pop();if(n in t)return r.value=n,r.done=!1,r}return r.done=!0,r}},e.values=_,E.prototype={constructor:E,reset:function(t){if(this.prev=0,this.next=0,this.sent=this._sent=void 0,this.done=!1,this.delegate=null,this.method="next",this.arg=void 0,this.tryEntries.forEach(x),!t)for(var e in this)"t"===e.charAt(0)&&n.call(this,e)&&!isNaN(+e.slice(1))&&(this[e]=void 0)},stop:function(){this.done=!0;var t=this.tryEntries[0].completion;if("throw"===t.type)throw t.arg;return this.rval},dispatchException:function(t){if(this.done)throw t;var e=this;function r(r,n){return i.type="throw",i.arg=t,e.next=r,n&&(e.method="next",e.arg=void 0),!!n}for(var o=this.tryEntries.length-1;o>=0;--o){var a=this.tryEntries[o],i=a.completion;if("root"===a.tryLoc)return r("end");if(a.tryLoc<=this.prev){var u=n.call(a,"catchLoc"),c=n.call(a,"finallyLoc");if(u&&c){if(this.prev<a.catchLoc)return r(a.catchLoc,!0);if(this.prev<a.finallyLoc)return r(a.finallyLoc)}else if(u){if(this.prev<a.catchLoc)return r(a.catchLoc,!0)}else{if(!c)throw new Error("try statement without catch or finally");if(this.prev<a.finallyLoc)return r(a.finallyLoc)}}}},abrupt:function(t,e){for(var r=this.tryEntries.length-1;r>=0;--r){var o=this.tryEntries[r];if(o.tryLoc<=this.prev&&n.call(o,"finallyLoc")&&this.prev<o.finallyLoc){var a=o;break}}a&&("break"===t||"continue"===t)&&a.tryLoc<=e&&e<=a.finallyLoc&&(a=null);var i=a?a.completion:{};return i.type=t,i.arg=e,a?(this.method="next",this.next=a.finallyLoc,f):this.complete(i)},complete:function(t,e){if("throw"===t.type)throw t.arg;return"break"===t.type||"continue"===t.type?this.next=t.arg:"return"===t.type?(this.rval=this.arg=t.arg,this.method="return",this.next="end"):"normal"===t.type&&e&&(this.next=e),f},finish:function(t){for(var e=this.tryEntries.length-1;e>=0;--e){var r=this.tryEntries[e];if(r.finallyLoc===t)return this.complete(r.completion,r.afterLoc),x(r),f}},catch:function(t){for(var e=this.tryEntries.length-1;e>=0;--e){var r=this.tryEntries[e];if(r.tryLoc===t){var n=r.completion;if("throw"===n.type){var o=n.arg;x(r)}return o}}throw new Error("illegal catch attempt")},delegateYield:function(t,e,r){return this.delegate={iterator:_(t),resultName:e,nextLoc:r},"next"===this.method&&(this.arg=void 0),f}},e}(e.exports);try{regeneratorRuntime=r}catch(t){Function("r","regeneratorRuntime = r")(r)}}));function u(t,e,r,n,o,a,i){try{var u=t[a](i),c=u.value}catch(t){return void r(t)}u.done?e(c):Promise.resolve(c).then(n,o)}function c(t){return function(){var e=this,r=arguments;return new Promise((function(n,o){var a=t.apply(e,r);function i(t){u(a,n,o,i,c,"next",t)}function c(t){u(a,n,o,i,c,"throw",t)}i(void 0)}))}}function s(t){return(s=Object.setPrototypeOf?Object.getPrototypeOf:function(t){return t.__proto__||Object.getPrototypeOf(t)})(t)}function f(t,e){return(f=Object.setPrototypeOf||function(t,e){return t.__proto__=e,t})(t,e)}function l(t,e){if("function"!=typeof e&&null!==e)throw new TypeError("Super expression must either be null or a function");t.prototype=Object.create(e&&e.prototype,{constructor:{value:t,writable:!0,configurable:!0}}),e&&f(t,e)}function p(t){if(void 0===t)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return t}function h(e,r){return!r||"object"!==t(r)&&"function"!=typeof r?p(e):r}function d(t){return function(t){if(Array.isArray(t))return e(t)}(t)||function(t){if("undefined"!=typeof Symbol&&Symbol.iterator in Object(t))return Array.from(t)}(t)||r(t)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function v(t,e){if(!(t instanceof e))throw new TypeError("Cannot call a class as a function")}function m(t,e){for(var r=0;r<e.length;r++){var n=e[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(t,n.key,n)}}function y(){}function g(t,e){for(var r in e)t[r]=e[r];return t}function b(t){return t()}function w(){return Object.create(null)}function $(t){t.forEach(b)}function x(t){return"function"==typeof t}function E(e,r){return e!=e?r==r:e!==r||e&&"object"===t(e)||"function"==typeof e}function _(t,e,r,n){return t[1]&&n?g(r.ctx.slice(),t[1](n(e))):r.ctx}function S(e,r,n,o,a,i,u){var c=function(e,r,n,o){if(e[2]&&o){var a=e[2](o(n));if(void 0===r.dirty)return a;if("object"===t(a)){for(var i=[],u=Math.max(r.dirty.length,a.length),c=0;c<u;c+=1)i[c]=r.dirty[c]|a[c];return i}return r.dirty|a}return r.dirty}(r,o,a,i);if(c){var s=_(r,n,o,u);e.p(s,c)}}function L(t,e){t.appendChild(e)}function R(t,e,r){t.insertBefore(e,r||null)}function j(t){t.parentNode.removeChild(t)}function k(t,e){for(var r=0;r<t.length;r+=1)t[r]&&t[r].d(e)}function P(t){return document.createElement(t)}function A(t){return document.createTextNode(t)}function O(){return A(" ")}function N(){return A("")}function C(t,e,r){null==r?t.removeAttribute(e):t.getAttribute(e)!==r&&t.setAttribute(e,r)}function q(t){return Array.from(t.childNodes)}function I(t,e,r,n){for(var o=0;o<t.length;o+=1){var a=t[o];if(a.nodeName===e){for(var i=0,u=[];i<a.attributes.length;){var c=a.attributes[i++];r[c.name]||u.push(c.name)}for(var s=0;s<u.length;s++)a.removeAttribute(u[s]);return t.splice(o,1)[0]}}return n?function(t){return document.createElementNS("http://www.w3.org/2000/svg",t)}(e):P(e)}function D(t,e){for(var r=0;r<t.length;r+=1){var n=t[r];if(3===n.nodeType)return n.data=""+e,t.splice(r,1)[0]}return A(e)}function U(t){return D(t," ")}function T(t,e){e=""+e,t.data!==e&&(t.data=e)}function G(t){var e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.body;return Array.from(e.querySelectorAll(t))}function F(t){a=t}function H(){if(!a)throw new Error("Function called outside component initialization");return a}var z=[],B=[],J=[],M=[],V=Promise.resolve(),Y=!1;function K(t){J.push(t)}var W=!1,X=new Set;function Q(){if(!W){W=!0;do{for(var t=0;t<z.length;t+=1){var e=z[t];F(e),Z(e.$$)}for(z.length=0;B.length;)B.pop()();for(var r=0;r<J.length;r+=1){var n=J[r];X.has(n)||(X.add(n),n())}J.length=0}while(z.length);for(;M.length;)M.pop()();Y=!1,W=!1,X.clear()}}function Z(t){if(null!==t.fragment){t.update(),$(t.before_update);var e=t.dirty;t.dirty=[-1],t.fragment&&t.fragment.p(t.ctx,e),t.after_update.forEach(K)}}var tt,et=new Set;function rt(){tt={r:0,c:[],p:tt}}function nt(){tt.r||$(tt.c),tt=tt.p}function ot(t,e){t&&t.i&&(et.delete(t),t.i(e))}function at(t,e,r,n){if(t&&t.o){if(et.has(t))return;et.add(t),tt.c.push((function(){et.delete(t),n&&(r&&t.d(1),n())})),t.o(e)}}function it(t,e){for(var r={},n={},o={$$scope:1},a=t.length;a--;){var i=t[a],u=e[a];if(u){for(var c in i)c in u||(n[c]=1);for(var s in u)o[s]||(r[s]=u[s],o[s]=1);t[a]=u}else for(var f in i)o[f]=1}for(var l in n)l in r||(r[l]=void 0);return r}function ut(e){return"object"===t(e)&&null!==e?e:{}}function ct(t){t&&t.c()}function st(t,e){t&&t.l(e)}function ft(t,e,r){var n=t.$$,o=n.fragment,a=n.on_mount,i=n.on_destroy,u=n.after_update;o&&o.m(e,r),K((function(){var e=a.map(b).filter(x);i?i.push.apply(i,d(e)):$(e),t.$$.on_mount=[]})),u.forEach(K)}function lt(t,e){var r=t.$$;null!==r.fragment&&($(r.on_destroy),r.fragment&&r.fragment.d(e),r.on_destroy=r.fragment=null,r.ctx=[])}function pt(t,e){-1===t.$$.dirty[0]&&(z.push(t),Y||(Y=!0,V.then(Q)),t.$$.dirty.fill(0)),t.$$.dirty[e/31|0]|=1<<e%31}function ht(t,e,r,n,o,i){var u=arguments.length>6&&void 0!==arguments[6]?arguments[6]:[-1],c=a;F(t);var s=e.props||{},f=t.$$={fragment:null,ctx:null,props:i,update:y,not_equal:o,bound:w(),on_mount:[],on_destroy:[],before_update:[],after_update:[],context:new Map(c?c.$$.context:[]),callbacks:w(),dirty:u},l=!1;if(f.ctx=r?r(t,s,(function(e,r){var n=!(arguments.length<=2)&&arguments.length-2?arguments.length<=2?void 0:arguments[2]:r;return f.ctx&&o(f.ctx[e],f.ctx[e]=n)&&(f.bound[e]&&f.bound[e](n),l&&pt(t,e)),r})):[],f.update(),l=!0,$(f.before_update),f.fragment=!!n&&n(f.ctx),e.target){if(e.hydrate){var p=q(e.target);f.fragment&&f.fragment.l(p),p.forEach(j)}else f.fragment&&f.fragment.c();e.intro&&ot(t.$$.fragment),ft(t,e.target,e.anchor),Q()}F(c)}var dt=function(){function t(){v(this,t)}var e,r,n;return e=t,(r=[{key:"$destroy",value:function(){lt(this,1),this.$destroy=y}},{key:"$on",value:function(t,e){var r=this.$$.callbacks[t]||(this.$$.callbacks[t]=[]);return r.push(e),function(){var t=r.indexOf(e);-1!==t&&r.splice(t,1)}}},{key:"$set",value:function(){}}])&&m(e.prototype,r),n&&m(e,n),t}(),vt=[];function mt(t){var e,r=arguments.length>1&&void 0!==arguments[1]?arguments[1]:y,n=[];function o(r){if(E(t,r)&&(t=r,e)){for(var o=!vt.length,a=0;a<n.length;a+=1){var i=n[a];i[1](),vt.push(i,t)}if(o){for(var u=0;u<vt.length;u+=2)vt[u][0](vt[u+1]);vt.length=0}}}function a(e){o(e(t))}function i(a){var i=arguments.length>1&&void 0!==arguments[1]?arguments[1]:y,u=[a,i];return n.push(u),1===n.length&&(e=r(o)||y),a(t),function(){var t=n.indexOf(u);-1!==t&&n.splice(t,1),0===n.length&&(e(),e=null)}}return{set:o,update:a,subscribe:i}}var yt={},gt=function(){return{}};function bt(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var r,n=s(t);if(e){var o=s(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return h(this,r)}}function wt(t){var e,r,o,a,i,u,c,s,f,l,p,h,d,v,m,g;return{c:function(){e=P("nav"),r=P("ul"),o=P("li"),a=P("a"),i=A("home"),c=O(),s=P("li"),f=P("a"),l=A("about"),h=O(),d=P("li"),v=P("a"),m=A("blog"),this.h()},l:function(t){var n=q(e=I(t,"NAV",{class:!0})),u=q(r=I(n,"UL",{class:!0})),p=q(o=I(u,"LI",{class:!0})),y=q(a=I(p,"A",{"aria-current":!0,href:!0,class:!0}));i=D(y,"home"),y.forEach(j),p.forEach(j),c=U(u);var g=q(s=I(u,"LI",{class:!0})),b=q(f=I(g,"A",{"aria-current":!0,href:!0,class:!0}));l=D(b,"about"),b.forEach(j),g.forEach(j),h=U(u);var w=q(d=I(u,"LI",{class:!0})),$=q(v=I(w,"A",{rel:!0,"aria-current":!0,href:!0,class:!0}));m=D($,"blog"),$.forEach(j),w.forEach(j),u.forEach(j),n.forEach(j),this.h()},h:function(){C(a,"aria-current",u=void 0===t[0]?"page":void 0),C(a,"href","."),C(a,"class","svelte-1dbd5up"),C(o,"class","svelte-1dbd5up"),C(f,"aria-current",p="about"===t[0]?"page":void 0),C(f,"href","about"),C(f,"class","svelte-1dbd5up"),C(s,"class","svelte-1dbd5up"),C(v,"rel","prefetch"),C(v,"aria-current",g="blog"===t[0]?"page":void 0),C(v,"href","blog"),C(v,"class","svelte-1dbd5up"),C(d,"class","svelte-1dbd5up"),C(r,"class","svelte-1dbd5up"),C(e,"class","svelte-1dbd5up")},m:function(t,n){R(t,e,n),L(e,r),L(r,o),L(o,a),L(a,i),L(r,c),L(r,s),L(s,f),L(f,l),L(r,h),L(r,d),L(d,v),L(v,m)},p:function(t,e){var r=n(e,1)[0];1&r&&u!==(u=void 0===t[0]?"page":void 0)&&C(a,"aria-current",u),1&r&&p!==(p="about"===t[0]?"page":void 0)&&C(f,"aria-current",p),1&r&&g!==(g="blog"===t[0]?"page":void 0)&&C(v,"aria-current",g)},i:y,o:y,d:function(t){t&&j(e)}}}function $t(t,e,r){var n=e.segment;return t.$set=function(t){"segment"in t&&r(0,n=t.segment)},[n]}var xt=function(t){l(r,dt);var e=bt(r);function r(t){var n;return v(this,r),ht(p(n=e.call(this)),t,$t,wt,E,{segment:0}),n}return r}();function Et(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var r,n=s(t);if(e){var o=s(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return h(this,r)}}function _t(t){var e,r,o,a;e=new xt({props:{segment:t[0]}});var i=t[2].default,u=function(t,e,r,n){if(t){var o=_(t,e,r,n);return t[0](o)}}(i,t,t[1],null);return{c:function(){ct(e.$$.fragment),r=O(),o=P("main"),u&&u.c(),this.h()},l:function(t){st(e.$$.fragment,t),r=U(t);var n=q(o=I(t,"MAIN",{class:!0}));u&&u.l(n),n.forEach(j),this.h()},h:function(){C(o,"class","svelte-hfzzfw")},m:function(t,n){ft(e,t,n),R(t,r,n),R(t,o,n),u&&u.m(o,null),a=!0},p:function(t,r){var o=n(r,1)[0],a={};1&o&&(a.segment=t[0]),e.$set(a),u&&u.p&&2&o&&S(u,i,t,t[1],o,null,null)},i:function(t){a||(ot(e.$$.fragment,t),ot(u,t),a=!0)},o:function(t){at(e.$$.fragment,t),at(u,t),a=!1},d:function(t){lt(e,t),t&&j(r),t&&j(o),u&&u.d(t)}}}function St(t,e,r){var n=e.segment,o=e.$$slots,a=void 0===o?{}:o,i=e.$$scope;return t.$set=function(t){"segment"in t&&r(0,n=t.segment),"$$scope"in t&&r(1,i=t.$$scope)},[n,i,a]}var Lt=function(t){l(r,dt);var e=Et(r);function r(t){var n;return v(this,r),ht(p(n=e.call(this)),t,St,_t,E,{segment:0}),n}return r}();function Rt(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var r,n=s(t);if(e){var o=s(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return h(this,r)}}function jt(t){var e,r,n=t[1].stack+"";return{c:function(){e=P("pre"),r=A(n)},l:function(t){var o=q(e=I(t,"PRE",{}));r=D(o,n),o.forEach(j)},m:function(t,n){R(t,e,n),L(e,r)},p:function(t,e){2&e&&n!==(n=t[1].stack+"")&&T(r,n)},d:function(t){t&&j(e)}}}function kt(t){var e,r,o,a,i,u,c,s,f,l=t[1].message+"";document.title=e=t[0];var p=t[2]&&t[1].stack&&jt(t);return{c:function(){r=O(),o=P("h1"),a=A(t[0]),i=O(),u=P("p"),c=A(l),s=O(),p&&p.c(),f=N(),this.h()},l:function(e){G('[data-svelte="svelte-1o9r2ue"]',document.head).forEach(j),r=U(e);var n=q(o=I(e,"H1",{class:!0}));a=D(n,t[0]),n.forEach(j),i=U(e);var h=q(u=I(e,"P",{class:!0}));c=D(h,l),h.forEach(j),s=U(e),p&&p.l(e),f=N(),this.h()},h:function(){C(o,"class","svelte-8od9u6"),C(u,"class","svelte-8od9u6")},m:function(t,e){R(t,r,e),R(t,o,e),L(o,a),R(t,i,e),R(t,u,e),L(u,c),R(t,s,e),p&&p.m(t,e),R(t,f,e)},p:function(t,r){var o=n(r,1)[0];1&o&&e!==(e=t[0])&&(document.title=e),1&o&&T(a,t[0]),2&o&&l!==(l=t[1].message+"")&&T(c,l),t[2]&&t[1].stack?p?p.p(t,o):((p=jt(t)).c(),p.m(f.parentNode,f)):p&&(p.d(1),p=null)},i:y,o:y,d:function(t){t&&j(r),t&&j(o),t&&j(i),t&&j(u),t&&j(s),p&&p.d(t),t&&j(f)}}}function Pt(t,e,r){var n=e.status,o=e.error;return t.$set=function(t){"status"in t&&r(0,n=t.status),"error"in t&&r(1,o=t.error)},[n,o,!1]}var At=function(t){l(r,dt);var e=Rt(r);function r(t){var n;return v(this,r),ht(p(n=e.call(this)),t,Pt,kt,E,{status:0,error:1}),n}return r}();function Ot(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var r,n=s(t);if(e){var o=s(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return h(this,r)}}function Nt(t){var e,r,n,o=[t[4].props],a=t[4].component;function i(t){for(var e={},r=0;r<o.length;r+=1)e=g(e,o[r]);return{props:e}}return a&&(e=new a(i())),{c:function(){e&&ct(e.$$.fragment),r=N()},l:function(t){e&&st(e.$$.fragment,t),r=N()},m:function(t,o){e&&ft(e,t,o),R(t,r,o),n=!0},p:function(t,n){var u=16&n?it(o,[ut(t[4].props)]):{};if(a!==(a=t[4].component)){if(e){rt();var c=e;at(c.$$.fragment,1,0,(function(){lt(c,1)})),nt()}a?(ct((e=new a(i())).$$.fragment),ot(e.$$.fragment,1),ft(e,r.parentNode,r)):e=null}else a&&e.$set(u)},i:function(t){n||(e&&ot(e.$$.fragment,t),n=!0)},o:function(t){e&&at(e.$$.fragment,t),n=!1},d:function(t){t&&j(r),e&&lt(e,t)}}}function Ct(t){var e,r;return e=new At({props:{error:t[0],status:t[1]}}),{c:function(){ct(e.$$.fragment)},l:function(t){st(e.$$.fragment,t)},m:function(t,n){ft(e,t,n),r=!0},p:function(t,r){var n={};1&r&&(n.error=t[0]),2&r&&(n.status=t[1]),e.$set(n)},i:function(t){r||(ot(e.$$.fragment,t),r=!0)},o:function(t){at(e.$$.fragment,t),r=!1},d:function(t){lt(e,t)}}}function qt(t){var e,r,n,o,a=[Ct,Nt],i=[];function u(t,e){return t[0]?0:1}return e=u(t),r=i[e]=a[e](t),{c:function(){r.c(),n=N()},l:function(t){r.l(t),n=N()},m:function(t,r){i[e].m(t,r),R(t,n,r),o=!0},p:function(t,o){var c=e;(e=u(t))===c?i[e].p(t,o):(rt(),at(i[c],1,1,(function(){i[c]=null})),nt(),(r=i[e])||(r=i[e]=a[e](t)).c(),ot(r,1),r.m(n.parentNode,n))},i:function(t){o||(ot(r),o=!0)},o:function(t){at(r),o=!1},d:function(t){i[e].d(t),t&&j(n)}}}function It(t){for(var e,r,o=[{segment:t[2][0]},t[3].props],a={$$slots:{default:[qt]},$$scope:{ctx:t}},i=0;i<o.length;i+=1)a=g(a,o[i]);return e=new Lt({props:a}),{c:function(){ct(e.$$.fragment)},l:function(t){st(e.$$.fragment,t)},m:function(t,n){ft(e,t,n),r=!0},p:function(t,r){var a=n(r,1)[0],i=12&a?it(o,[4&a&&{segment:t[2][0]},8&a&&ut(t[3].props)]):{};147&a&&(i.$$scope={dirty:a,ctx:t}),e.$set(i)},i:function(t){r||(ot(e.$$.fragment,t),r=!0)},o:function(t){at(e.$$.fragment,t),r=!1},d:function(t){lt(e,t)}}}function Dt(t,e,r){var n,o,a,i=e.stores,u=e.error,c=e.status,s=e.segments,f=e.level0,l=e.level1,p=void 0===l?null:l,h=e.notify;return n=h,H().$$.after_update.push(n),o=yt,a=i,H().$$.context.set(o,a),t.$set=function(t){"stores"in t&&r(5,i=t.stores),"error"in t&&r(0,u=t.error),"status"in t&&r(1,c=t.status),"segments"in t&&r(2,s=t.segments),"level0"in t&&r(3,f=t.level0),"level1"in t&&r(4,p=t.level1),"notify"in t&&r(6,h=t.notify)},[u,c,s,f,p,i,h]}var Ut,Tt=function(t){l(r,dt);var e=Ot(r);function r(t){var n;return v(this,r),ht(p(n=e.call(this)),t,Dt,It,E,{stores:5,error:0,status:1,segments:2,level0:3,level1:4,notify:6}),n}return r}(),Gt=[/^\/blog\.json$/,/^\/blog\/([^\/]+?)\.json$/],Ft=[{js:function(){return import("./index.10e1a0ed.js")},css:[]},{js:function(){return import("./about.9aa05e54.js")},css:[]},{js:function(){return import("./index.b1214b45.js")},css:[]},{js:function(){return import("./[slug].7a0da93b.js")},css:[]},{js:function(){return import("./work.d8348cee.js")},css:[]}],Ht=(Ut=decodeURIComponent,[{pattern:/^\/$/,parts:[{i:0}]},{pattern:/^\/about\/?$/,parts:[{i:1}]},{pattern:/^\/blog\/?$/,parts:[{i:2}]},{pattern:/^\/blog\/([^\/]+?)\/?$/,parts:[null,{i:3,params:function(t){return{slug:Ut(t[1])}}}]},{pattern:/^\/work\/?$/,parts:[{i:4}]}]);function zt(t){var e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{replaceState:!1},r=se(new URL(t,document.baseURI));return r?(ie[e.replaceState?"replaceState":"pushState"]({id:re},"",t),le(r,null).then((function(){}))):(location.href=t,new Promise((function(t){})))}var Bt,Jt,Mt,Vt,Yt,Kt="undefined"!=typeof __SAPPER__&&__SAPPER__,Wt=!1,Xt=[],Qt="{}",Zt={page:function(t){var e=mt(t),r=!0;return{notify:function(){r=!0,e.update((function(t){return t}))},set:function(t){r=!1,e.set(t)},subscribe:function(t){var n;return e.subscribe((function(e){(void 0===n||r&&e!==n)&&t(n=e)}))}}}({}),preloading:mt(null),session:mt(Kt&&Kt.session)};Zt.session.subscribe(function(){var t=c(i.mark((function t(e){var r,n,o,a,u,c;return i.wrap((function(t){for(;;)switch(t.prev=t.next){case 0:if(Vt=e,Wt){t.next=3;break}return t.abrupt("return");case 3:return Yt=!0,r=se(new URL(location.href)),n=Jt={},t.next=8,me(r);case 8:if(o=t.sent,a=o.redirect,u=o.props,c=o.branch,n===Jt){t.next=14;break}return t.abrupt("return");case 14:return t.next=16,he(a,c,u,r.page);case 16:case"end":return t.stop()}}),t)})));return function(e){return t.apply(this,arguments)}}());var te,ee=null;var re,ne=1;var oe,ae,ie="undefined"!=typeof history?history:{pushState:function(t,e,r){},replaceState:function(t,e,r){},scrollRestoration:""},ue={};function ce(e){var r=Object.create(null);return e.length>0&&e.slice(1).split("&").forEach((function(e){var o=n(/([^=]*)(?:=(.*))?/.exec(decodeURIComponent(e.replace(/\+/g," "))),3),a=o[1],i=o[2],u=void 0===i?"":i;"string"==typeof r[a]&&(r[a]=[r[a]]),"object"===t(r[a])?r[a].push(u):r[a]=u})),r}function se(t){if(t.origin!==location.origin)return null;if(!t.pathname.startsWith(Kt.baseUrl))return null;var e=t.pathname.slice(Kt.baseUrl.length);if(""===e&&(e="/"),!Gt.some((function(t){return t.test(e)})))for(var r=0;r<Ht.length;r+=1){var n=Ht[r],o=n.pattern.exec(e);if(o){var a=ce(t.search),i=n.parts[n.parts.length-1],u=i.params?i.params(o):{},c={host:location.host,path:e,query:a,params:u};return{href:t.href,route:n,match:o,page:c}}}}function fe(){return{x:pageXOffset,y:pageYOffset}}function le(t,e,r,n){return pe.apply(this,arguments)}function pe(){return(pe=c(i.mark((function t(e,r,n,o){var a,u,c,s,f,l,p,h,d;return i.wrap((function(t){for(;;)switch(t.prev=t.next){case 0:return r?re=r:(a=fe(),ue[re]=a,r=re=++ne,ue[re]=n?a:{x:0,y:0}),re=r,Bt&&Zt.preloading.set(!0),u=ee&&ee.href===e.href?ee.promise:me(e),ee=null,c=Jt={},t.next=8,u;case 8:if(s=t.sent,f=s.redirect,l=s.props,p=s.branch,c===Jt){t.next=14;break}return t.abrupt("return");case 14:return t.next=16,he(f,p,l,e.page);case 16:document.activeElement&&document.activeElement.blur(),n||(h=ue[r],o&&(d=document.getElementById(o.slice(1)))&&(h={x:0,y:d.getBoundingClientRect().top+scrollY}),ue[re]=h,h&&scrollTo(h.x,h.y));case 18:case"end":return t.stop()}}),t)})))).apply(this,arguments)}function he(t,e,r,n){return de.apply(this,arguments)}function de(){return(de=c(i.mark((function t(e,r,n,o){var a,u;return i.wrap((function(t){for(;;)switch(t.prev=t.next){case 0:if(!e){t.next=2;break}return t.abrupt("return",zt(e.location,{replaceState:!0}));case 2:if(Zt.page.set(o),Zt.preloading.set(!1),!Bt){t.next=8;break}Bt.$set(n),t.next=18;break;case 8:return n.stores={page:{subscribe:Zt.page.subscribe},preloading:{subscribe:Zt.preloading.subscribe},session:Zt.session},t.next=11,Mt;case 11:if(t.t0=t.sent,n.level0={props:t.t0},n.notify=Zt.page.notify,a=document.querySelector("#sapper-head-start"),u=document.querySelector("#sapper-head-end"),a&&u){for(;a.nextSibling!==u;)we(a.nextSibling);we(a),we(u)}Bt=new Tt({target:te,props:n,hydrate:!0});case 18:Xt=r,Qt=JSON.stringify(o.query),Wt=!0,Yt=!1;case 22:case"end":return t.stop()}}),t)})))).apply(this,arguments)}function ve(t,e,r,n){if(n!==Qt)return!0;var o=Xt[t];return!!o&&(e!==o.segment||(!(!o.match||JSON.stringify(o.match.slice(1,t+2))===JSON.stringify(r.slice(1,t+2)))||void 0))}function me(t){return ye.apply(this,arguments)}function ye(){return(ye=c(i.mark((function t(e){var r,n,o,a,u,s,f,l,p,h,d;return i.wrap((function(t){for(;;)switch(t.prev=t.next){case 0:return r=e.route,n=e.page,o=n.path.split("/").filter(Boolean),a=null,u={error:null,status:200,segments:[o[0]]},s={fetch:function(t){function e(e,r){return t.apply(this,arguments)}return e.toString=function(){return t.toString()},e}((function(t,e){return fetch(t,e)})),redirect:function(t,e){if(a&&(a.statusCode!==t||a.location!==e))throw new Error("Conflicting redirects");a={statusCode:t,location:e}},error:function(t,e){u.error="string"==typeof e?new Error(e):e,u.status=t}},Mt||(Mt=Kt.preloaded[0]||gt.call(s,{host:n.host,path:n.path,query:n.query,params:{}},Vt)),l=1,t.prev=7,p=JSON.stringify(n.query),h=r.pattern.exec(n.path),d=!1,t.next=13,Promise.all(r.parts.map(function(){var t=c(i.mark((function t(r,a){var c,f,v,m,y,g;return i.wrap((function(t){for(;;)switch(t.prev=t.next){case 0:if(c=o[a],ve(a,c,h,p)&&(d=!0),u.segments[l]=o[a+1],r){t.next=5;break}return t.abrupt("return",{segment:c});case 5:if(f=l++,Yt||d||!Xt[a]||Xt[a].part!==r.i){t.next=8;break}return t.abrupt("return",Xt[a]);case 8:return d=!1,t.next=11,be(Ft[r.i]);case 11:if(v=t.sent,m=v.default,y=v.preload,!Wt&&Kt.preloaded[a+1]){t.next=25;break}if(!y){t.next=21;break}return t.next=18,y.call(s,{host:n.host,path:n.path,query:n.query,params:r.params?r.params(e.match):{}},Vt);case 18:t.t0=t.sent,t.next=22;break;case 21:t.t0={};case 22:g=t.t0,t.next=26;break;case 25:g=Kt.preloaded[a+1];case 26:return t.abrupt("return",u["level".concat(f)]={component:m,props:g,segment:c,match:h,part:r.i});case 27:case"end":return t.stop()}}),t)})));return function(e,r){return t.apply(this,arguments)}}()));case 13:f=t.sent,t.next=21;break;case 16:t.prev=16,t.t0=t.catch(7),u.error=t.t0,u.status=500,f=[];case 21:return t.abrupt("return",{redirect:a,props:u,branch:f});case 22:case"end":return t.stop()}}),t,null,[[7,16]])})))).apply(this,arguments)}function ge(t){var e="client/".concat(t);if(!document.querySelector('link[href="'.concat(e,'"]')))return new Promise((function(t,r){var n=document.createElement("link");n.rel="stylesheet",n.href=e,n.onload=function(){return t()},n.onerror=r,document.head.appendChild(n)}))}function be(t){var e="string"==typeof t.css?[]:t.css.map(ge);return e.unshift(t.js()),Promise.all(e).then((function(t){return t[0]}))}function we(t){t.parentNode.removeChild(t)}function $e(t){var e=se(new URL(t,document.baseURI));if(e)return ee&&t===ee.href||function(t,e){ee={href:t,promise:e}}(t,me(e)),ee.promise}function xe(t){clearTimeout(oe),oe=setTimeout((function(){Ee(t)}),20)}function Ee(t){var e=Se(t.target);e&&"prefetch"===e.rel&&$e(e.href)}function _e(e){if(1===function(t){return null===t.which?t.button:t.which}(e)&&!(e.metaKey||e.ctrlKey||e.shiftKey||e.defaultPrevented)){var r=Se(e.target);if(r&&r.href){var n="object"===t(r.href)&&"SVGAnimatedString"===r.href.constructor.name,o=String(n?r.href.baseVal:r.href);if(o!==location.href){if(!r.hasAttribute("download")&&"external"!==r.getAttribute("rel")&&!(n?r.target.baseVal:r.target)){var a=new URL(o);if(a.pathname!==location.pathname||a.search!==location.search){var i=se(a);if(i)le(i,null,r.hasAttribute("sapper-noscroll"),a.hash),e.preventDefault(),ie.pushState({id:re},"",a.href)}}}else location.hash||e.preventDefault()}}}function Se(t){for(;t&&"A"!==t.nodeName.toUpperCase();)t=t.parentNode;return t}function Le(t){if(ue[re]=fe(),t.state){var e=se(new URL(location.href));e?le(e,t.state.id):location.href=location.href}else(function(t){re=t})(ne=ne+1),ie.replaceState({id:re},"",location.href)}ae={target:document.querySelector("#sapper")},"scrollRestoration"in ie&&(ie.scrollRestoration="manual"),addEventListener("beforeunload",(function(){ie.scrollRestoration="auto"})),addEventListener("load",(function(){ie.scrollRestoration="manual"})),function(t){te=t}(ae.target),addEventListener("click",_e),addEventListener("popstate",Le),addEventListener("touchstart",Ee),addEventListener("mousemove",xe),Promise.resolve().then((function(){var t=location,e=t.hash,r=t.href;ie.replaceState({id:ne},"",r);var n,o,a,i,u,c,s,f,l=new URL(location.href);if(Kt.error)return n=location,o=n.host,a=n.pathname,i=n.search,u=Kt.session,c=Kt.preloaded,s=Kt.status,f=Kt.error,Mt||(Mt=c&&c[0]),void he(null,[],{error:f,status:s,session:u,level0:{props:Mt},level1:{props:{status:s,error:f},component:At},segments:c},{host:o,path:a,query:ce(i),params:{}});var p=se(l);return p?le(p,ne,!0,e):void 0}));export{dt as S,l as _,s as a,h as b,o as c,v as d,p as e,P as f,I as g,C as h,ht as i,R as j,j as k,O as l,N as m,y as n,U as o,q as p,G as q,D as r,E as s,A as t,L as u,n as v,k as w,T as x,c as y,i as z};
@@ -1 +0,0 @@
-import{c as t,_ as e,a as n,b as a,d as i,i as s,s as r,e as o,S as c,f as l,g as u,h as d,j as f,n as h,k as g,l as v,t as m,m as p,q as y,o as z,p as b,r as A,u as C,v as E,w as _}from"./client.d6ba734e.js";t((function(t){!function(e,n){var a=function(t,e,n){var a,i;if(function(){var e,n={lazyClass:"lazyload",loadedClass:"lazyloaded",loadingClass:"lazyloading",preloadClass:"lazypreload",errorClass:"lazyerror",autosizesClass:"lazyautosizes",srcAttr:"data-src",srcsetAttr:"data-srcset",sizesAttr:"data-sizes",minSize:40,customMedia:{},init:!0,expFactor:1.5,hFac:.8,loadMode:2,loadHidden:!0,ricTimeout:0,throttleDelay:125};for(e in i=t.lazySizesConfig||t.lazysizesConfig||{},n)e in i||(i[e]=n[e])}(),!e||!e.getElementsByClassName)return{init:function(){},cfg:i,noSupport:!0};var s=e.documentElement,r=t.HTMLPictureElement,o=t.addEventListener.bind(t),c=t.setTimeout,l=t.requestAnimationFrame||c,u=t.requestIdleCallback,d=/^picture$/i,f=["load","error","lazyincluded","_lazyloaded"],h={},g=Array.prototype.forEach,v=function(t,e){return h[e]||(h[e]=new RegExp("(\\s|^)"+e+"(\\s|$)")),h[e].test(t.getAttribute("class")||"")&&h[e]},m=function(t,e){v(t,e)||t.setAttribute("class",(t.getAttribute("class")||"").trim()+" "+e)},p=function(t,e){var n;(n=v(t,e))&&t.setAttribute("class",(t.getAttribute("class")||"").replace(n," "))},y=function t(e,n,a){var i=a?"addEventListener":"removeEventListener";a&&t(e,n),f.forEach((function(t){e[i](t,n)}))},z=function(t,n,i,s,r){var o=e.createEvent("Event");return i||(i={}),i.instance=a,o.initEvent(n,!s,!r),o.detail=i,t.dispatchEvent(o),o},b=function(e,n){var a;!r&&(a=t.picturefill||i.pf)?(n&&n.src&&!e.getAttribute("srcset")&&e.setAttribute("srcset",n.src),a({reevaluate:!0,elements:[e]})):n&&n.src&&(e.src=n.src)},A=function(t,e){return(getComputedStyle(t,null)||{})[e]},C=function(t,e,n){for(n=n||t.offsetWidth;n<i.minSize&&e&&!t._lazysizesWidth;)n=e.offsetWidth,e=e.parentNode;return n},E=(ht=[],gt=[],vt=ht,mt=function(){var t=vt;for(vt=ht.length?gt:ht,dt=!0,ft=!1;t.length;)t.shift()();dt=!1},pt=function(t,n){dt&&!n?t.apply(this,arguments):(vt.push(t),ft||(ft=!0,(e.hidden?c:l)(mt)))},pt._lsFlush=mt,pt),_=function(t,e){return e?function(){E(t)}:function(){var e=this,n=arguments;E((function(){t.apply(e,n)}))}},w=function(t){var e,a,i=function(){e=null,t()},s=function t(){var e=n.now()-a;e<99?c(t,99-e):(u||i)(i)};return function(){a=n.now(),e||(e=c(s,99))}},x=(q=/^img$/i,U=/^iframe$/i,K="onscroll"in t&&!/(gle|ing)bot/.test(navigator.userAgent),J=0,Q=0,V=-1,X=function(t){Q--,(!t||Q<0||!t.target)&&(Q=0)},Y=function(t){return null==$&&($="hidden"==A(e.body,"visibility")),$||!("hidden"==A(t.parentNode,"visibility")&&"hidden"==A(t,"visibility"))},Z=function(t,n){var a,i=t,r=Y(t);for(I-=n,O+=n,P-=n,G+=n;r&&(i=i.offsetParent)&&i!=e.body&&i!=s;)(r=(A(i,"opacity")||1)>0)&&"visible"!=A(i,"overflow")&&(a=i.getBoundingClientRect(),r=G>a.left&&P<a.right&&O>a.top-1&&I<a.bottom+1);return r},tt=function(){var t,n,r,o,c,l,u,d,f,h,g,v,m=a.elements;if((F=i.loadMode)&&Q<8&&(t=m.length)){for(n=0,V++;n<t;n++)if(m[n]&&!m[n]._lazyRace)if(!K||a.prematureUnveil&&a.prematureUnveil(m[n]))ot(m[n]);else if((d=m[n].getAttribute("data-expand"))&&(l=1*d)||(l=J),h||(h=!i.expand||i.expand<1?s.clientHeight>500&&s.clientWidth>500?500:370:i.expand,a._defEx=h,g=h*i.expFactor,v=i.hFac,$=null,J<g&&Q<1&&V>2&&F>2&&!e.hidden?(J=g,V=0):J=F>1&&V>1&&Q<6?h:0),f!==l&&(D=innerWidth+l*v,H=innerHeight+l,u=-1*l,f=l),r=m[n].getBoundingClientRect(),(O=r.bottom)>=u&&(I=r.top)<=H&&(G=r.right)>=u*v&&(P=r.left)<=D&&(O||G||P||I)&&(i.loadHidden||Y(m[n]))&&(T&&Q<3&&!d&&(F<3||V<4)||Z(m[n],l))){if(ot(m[n]),c=!0,Q>9)break}else!c&&T&&!o&&Q<4&&V<4&&F>2&&(k[0]||i.preloadAfterLoad)&&(k[0]||!d&&(O||G||P||I||"auto"!=m[n].getAttribute(i.sizesAttr)))&&(o=k[0]||m[n]);o&&!c&&ot(o)}},et=function(t){var e,a=0,s=i.throttleDelay,r=i.ricTimeout,o=function(){e=!1,a=n.now(),t()},l=u&&r>49?function(){u(o,{timeout:r}),r!==i.ricTimeout&&(r=i.ricTimeout)}:_((function(){c(o)}),!0);return function(t){var i;(t=!0===t)&&(r=33),e||(e=!0,(i=s-(n.now()-a))<0&&(i=0),t||i<9?l():c(l,i))}}(tt),nt=function(t){var e=t.target;e._lazyCache?delete e._lazyCache:(X(t),m(e,i.loadedClass),p(e,i.loadingClass),y(e,it),z(e,"lazyloaded"))},at=_(nt),it=function(t){at({target:t.target})},st=function(t){var e,n=t.getAttribute(i.srcsetAttr);(e=i.customMedia[t.getAttribute("data-media")||t.getAttribute("media")])&&t.setAttribute("media",e),n&&t.setAttribute("srcset",n)},rt=_((function(t,e,n,a,s){var r,o,l,u,f,h;(f=z(t,"lazybeforeunveil",e)).defaultPrevented||(a&&(n?m(t,i.autosizesClass):t.setAttribute("sizes",a)),o=t.getAttribute(i.srcsetAttr),r=t.getAttribute(i.srcAttr),s&&(u=(l=t.parentNode)&&d.test(l.nodeName||"")),h=e.firesLoad||"src"in t&&(o||r||u),f={target:t},m(t,i.loadingClass),h&&(clearTimeout(W),W=c(X,2500),y(t,it,!0)),u&&g.call(l.getElementsByTagName("source"),st),o?t.setAttribute("srcset",o):r&&!u&&(U.test(t.nodeName)?function(t,e){try{t.contentWindow.location.replace(e)}catch(n){t.src=e}}(t,r):t.src=r),s&&(o||u)&&b(t,{src:r})),t._lazyRace&&delete t._lazyRace,p(t,i.lazyClass),E((function(){var e=t.complete&&t.naturalWidth>1;h&&!e||(e&&m(t,"ls-is-cached"),nt(f),t._lazyCache=!0,c((function(){"_lazyCache"in t&&delete t._lazyCache}),9)),"lazy"==t.loading&&Q--}),!0)})),ot=function(t){if(!t._lazyRace){var e,n=q.test(t.nodeName),a=n&&(t.getAttribute(i.sizesAttr)||t.getAttribute("sizes")),s="auto"==a;(!s&&T||!n||!t.getAttribute("src")&&!t.srcset||t.complete||v(t,i.errorClass)||!v(t,i.lazyClass))&&(e=z(t,"lazyunveilread").detail,s&&N.updateElem(t,!0,t.offsetWidth),t._lazyRace=!0,Q++,rt(t,e,s,a,n))}},ct=w((function(){i.loadMode=3,et()})),lt=function(){3==i.loadMode&&(i.loadMode=2),ct()},ut=function t(){T||(n.now()-B<999?c(t,999):(T=!0,i.loadMode=3,et(),o("scroll",lt,!0)))},{_:function(){B=n.now(),a.elements=e.getElementsByClassName(i.lazyClass),k=e.getElementsByClassName(i.lazyClass+" "+i.preloadClass),o("scroll",et,!0),o("resize",et,!0),o("pageshow",(function(t){if(t.persisted){var n=e.querySelectorAll("."+i.loadingClass);n.length&&n.forEach&&l((function(){n.forEach((function(t){t.complete&&ot(t)}))}))}})),t.MutationObserver?new MutationObserver(et).observe(s,{childList:!0,subtree:!0,attributes:!0}):(s.addEventListener("DOMNodeInserted",et,!0),s.addEventListener("DOMAttrModified",et,!0),setInterval(et,999)),o("hashchange",et,!0),["focus","mouseover","click","load","transitionend","animationend"].forEach((function(t){e.addEventListener(t,et,!0)})),/d$|^c/.test(e.readyState)?ut():(o("load",ut),e.addEventListener("DOMContentLoaded",et),c(ut,2e4)),a.elements.length?(tt(),E._lsFlush()):et()},checkElems:et,unveil:ot,_aLSL:lt}),N=(S=_((function(t,e,n,a){var i,s,r;if(t._lazysizesWidth=a,a+="px",t.setAttribute("sizes",a),d.test(e.nodeName||""))for(s=0,r=(i=e.getElementsByTagName("source")).length;s<r;s++)i[s].setAttribute("sizes",a);n.detail.dataAttr||b(t,n.detail)})),j=function(t,e,n){var a,i=t.parentNode;i&&(n=C(t,i,n),(a=z(t,"lazybeforesizes",{width:n,dataAttr:!!e})).defaultPrevented||(n=a.detail.width)&&n!==t._lazysizesWidth&&S(t,i,a,n))},L=w((function(){var t,e=M.length;if(e)for(t=0;t<e;t++)j(M[t])})),{_:function(){M=e.getElementsByClassName(i.autosizesClass),o("resize",L)},checkElems:L,updateElem:j}),R=function t(){!t.i&&e.getElementsByClassName&&(t.i=!0,N._(),x._())};var M,S,j,L;var k,T,W,F,B,D,H,I,P,G,O,$,q,U,K,J,Q,V,X,Y,Z,tt,et,nt,at,it,st,rt,ot,ct,lt,ut;var dt,ft,ht,gt,vt,mt,pt;return c((function(){i.init&&R()})),a={cfg:i,autoSizer:N,loader:x,init:R,uP:b,aC:m,rC:p,hC:v,fire:z,gW:C,rAF:E}}(e,e.document,Date);e.lazySizes=a,t.exports&&(t.exports=a)}("undefined"!=typeof window?window:{})}));var w=[{slug:"feijao-01",extension:"jpg",ratio:1.4511363636363637,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0},{slug:"feijao-02",extension:"jpg",ratio:1.4423076923076923,sizes:[180,300,460,720,1050,1440,2e3],hasRetina:!0}];function x(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var i,s=n(t);if(e){var r=n(this).constructor;i=Reflect.construct(s,arguments,r)}else i=s.apply(this,arguments);return a(this,i)}}function N(t,e,n){var a=t.slice();return a[0]=e[n].slug,a[1]=e[n].sizes,a[2]=e[n].extension,a[3]=e[n].srcset,a}function R(t){var e;return{c:function(){e=l("img"),this.h()},l:function(t){e=u(t,"IMG",{alt:!0,"data-sizes":!0,"data-srcset":!0,class:!0}),this.h()},h:function(){d(e,"alt",""),d(e,"data-sizes","auto"),d(e,"data-srcset",t[3]),d(e,"class","big lazyload svelte-1jidkdt")},m:function(t,n){f(t,e,n)},p:h,d:function(t){t&&g(e)}}}function M(t){for(var e,n,a,i,s,r,o,c,x,M,S,j,L,k,T,W=w,F=[],B=0;B<W.length;B+=1)F[B]=R(N(t,W,B));return{c:function(){e=v(),n=l("h1"),a=m("Great success!"),i=v(),s=l("figure"),r=l("img"),o=v(),c=l("figcaption"),x=m("Have fun with Sapper!"),M=v(),S=l("p"),j=l("strong"),L=m("Try editing this file (src/routes/index.svelte) to test live reloading."),k=v();for(var t=0;t<F.length;t+=1)F[t].c();T=p(),this.h()},l:function(t){y('[data-svelte="svelte-oh6yg0"]',document.head).forEach(g),e=z(t),n=u(t,"H1",{class:!0});var l=b(n);a=A(l,"Great success!"),l.forEach(g),i=z(t),s=u(t,"FIGURE",{class:!0});var d=b(s);r=u(d,"IMG",{alt:!0,src:!0,class:!0}),o=z(d),c=u(d,"FIGCAPTION",{});var f=b(c);x=A(f,"Have fun with Sapper!"),f.forEach(g),d.forEach(g),M=z(t),S=u(t,"P",{class:!0});var h=b(S);j=u(h,"STRONG",{});var v=b(j);L=A(v,"Try editing this file (src/routes/index.svelte) to test live reloading."),v.forEach(g),h.forEach(g),k=z(t);for(var m=0;m<F.length;m+=1)F[m].l(t);T=p(),this.h()},h:function(){document.title="Sapper project template",d(n,"class","svelte-1jidkdt"),d(r,"alt","Success Kid"),r.src!=="successkid.jpg"&&d(r,"src","successkid.jpg"),d(r,"class","svelte-1jidkdt"),d(s,"class","svelte-1jidkdt"),d(S,"class","svelte-1jidkdt")},m:function(t,l){f(t,e,l),f(t,n,l),C(n,a),f(t,i,l),f(t,s,l),C(s,r),C(s,o),C(s,c),C(c,x),f(t,M,l),f(t,S,l),C(S,j),C(j,L),f(t,k,l);for(var u=0;u<F.length;u+=1)F[u].m(t,l);f(t,T,l)},p:function(t,e){var n=E(e,1)[0];if(0&n){var a;for(W=w,a=0;a<W.length;a+=1){var i=N(t,W,a);F[a]?F[a].p(i,n):(F[a]=R(i),F[a].c(),F[a].m(T.parentNode,T))}for(;a<F.length;a+=1)F[a].d(1);F.length=W.length}},i:h,o:h,d:function(t){t&&g(e),t&&g(n),t&&g(i),t&&g(s),t&&g(M),t&&g(S),t&&g(k),_(F,t),t&&g(T)}}}function S(t){return w.map((function(t){var e=t.slug,n=t.sizes,a=t.extension,i=t.hasRetina;return t.srcset=n.reduce((function(t,n,s,r){return t+="".concat("images/").concat(e,"-").concat(n,".").concat(a," ").concat(n,"w"),i&&(t+=", ".concat("images/").concat(e,"-").concat(n,"_x2.").concat(a," ").concat(2*n,"w")),s<r.length-1&&(t+=","),t}),""),t})),[]}var j=function(t){e(a,c);var n=x(a);function a(t){var e;return i(this,a),e=n.call(this),s(o(e),t,S,M,r,{}),e}return a}();export default j;
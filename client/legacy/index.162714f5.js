@@ -0,0 +1 @@
+import{_ as t,a as n,S as r,b as a,c as s,d as o,i as e,s as c,p as i,q as f,e as u,f as p,r as l,u as h,g as $,h as g,j as m,k as d,l as v,v as b,m as _,n as j,w as y,Q as P,y as w,z as E,A as H,L as q,K as x}from"./client.6bd18ee1.js";import{H as A}from"./Head.1651de73.js";import"./PostMeta.813c0bba.js";import{P as B}from"./PostList.8a1335f4.js";function L(t,n,r){return n=s(n),o(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,r||[],s(t).constructor):n.apply(t,r))}function R(t){var n,r,a,s,o,e,c,q,x,L,R,k,z=t[2]("blog_heading")+"",K=t[2]("blog_search")+"";return n=new A({props:{title:t[2]("blog_title"),description:t[2]("blog_description")}}),e=new B({props:{posts:t[0]}}),{c:function(){i(n.$$.fragment),r=f(),a=u("h1"),s=p(z),o=f(),i(e.$$.fragment),c=f(),q=u("p"),x=u("a"),L=p(K),this.h()},l:function(t){l(n.$$.fragment,t),r=h(t),a=$(t,"H1",{});var i=g(a);s=m(i,z),i.forEach(d),o=h(t),l(e.$$.fragment,t),c=h(t),q=$(t,"P",{});var f=g(q);x=$(f,"A",{rel:!0,href:!0});var u=g(x);L=m(u,K),u.forEach(d),f.forEach(d),this.h()},h:function(){v(x,"rel","prefetch"),v(x,"href",R=t[1]+"/search")},m:function(t,i){b(n,t,i),_(t,r,i),_(t,a,i),j(a,s),_(t,o,i),b(e,t,i),_(t,c,i),_(t,q,i),j(q,x),j(x,L),k=!0},p:function(t,r){var a=y(r,1)[0],o={};4&a&&(o.title=t[2]("blog_title")),4&a&&(o.description=t[2]("blog_description")),n.$set(o),(!k||4&a)&&z!==(z=t[2]("blog_heading")+"")&&P(s,z);var c={};1&a&&(c.posts=t[0]),e.$set(c),(!k||4&a)&&K!==(K=t[2]("blog_search")+"")&&P(L,K),(!k||2&a&&R!==(R=t[1]+"/search"))&&v(x,"href",R)},i:function(t){k||(w(n.$$.fragment,t),w(e.$$.fragment,t),k=!0)},o:function(t){E(n.$$.fragment,t),E(e.$$.fragment,t),k=!1},d:function(t){H(n,t),t&&d(r),t&&d(a),t&&d(o),H(e,t),t&&d(c),t&&d(q)}}}function k(t){var n=t.params;t.query;return this.fetch("".concat(n.lang,"/blog.json")).then((function(t){return t.json()})).then((function(t){return{posts:t}}))}function z(t,n,r){var a,s,o,e=n.posts,c=q();return x(t,c,(function(t){return r(4,a=t)})),t.$set=function(t){"posts"in t&&r(0,e=t.posts)},t.$$.update=function(){var n;16&t.$$.dirty&&r(1,(s=(n=a).lang,o=n.t,n),s,(r(2,o),r(4,a)))},[e,s,o,c]}var K=function(s){function o(t){var n;return a(this,o),n=L(this,o),e(n,t,z,R,c,{posts:0}),n}return t(o,r),n(o)}();export default K;export{k as preload};
@@ -0,0 +1 @@
+import{_ as t,a as e,S as n,b as a,c as i,d as r,i as s,s as o,t as l,p as c,q as u,e as d,f,r as m,u as h,g,h as p,j as v,k as y,l as z,v as b,m as A,n as C,w as E,Q as _,y as $,z as w,A as N,L as k,K as M}from"./client.6bd18ee1.js";import{H as x,g as L}from"./Head.1651de73.js";import"./Picture.b952dd9b.js";import{G as S}from"./Gallery.a532d7fc.js";!function(t,e,n){t(n={path:e,exports:{},require:function(t,e){return function(){throw new Error("Dynamic requires are not currently supported by @rollup/plugin-commonjs")}(null==e&&n.path)}},n.exports),n.exports}((function(t){!function(e,n){var a=function(t,e,n){var a,i;if(function(){var e,n={lazyClass:"lazyload",loadedClass:"lazyloaded",loadingClass:"lazyloading",preloadClass:"lazypreload",errorClass:"lazyerror",autosizesClass:"lazyautosizes",srcAttr:"data-src",srcsetAttr:"data-srcset",sizesAttr:"data-sizes",minSize:40,customMedia:{},init:!0,expFactor:1.5,hFac:.8,loadMode:2,loadHidden:!0,ricTimeout:0,throttleDelay:125};for(e in i=t.lazySizesConfig||t.lazysizesConfig||{},n)e in i||(i[e]=n[e])}(),!e||!e.getElementsByClassName)return{init:function(){},cfg:i,noSupport:!0};var r=e.documentElement,s=t.HTMLPictureElement,o=t.addEventListener.bind(t),l=t.setTimeout,c=t.requestAnimationFrame||l,u=t.requestIdleCallback,d=/^picture$/i,f=["load","error","lazyincluded","_lazyloaded"],m={},h=Array.prototype.forEach,g=function(t,e){return m[e]||(m[e]=new RegExp("(\\s|^)"+e+"(\\s|$)")),m[e].test(t.getAttribute("class")||"")&&m[e]},p=function(t,e){g(t,e)||t.setAttribute("class",(t.getAttribute("class")||"").trim()+" "+e)},v=function(t,e){var n;(n=g(t,e))&&t.setAttribute("class",(t.getAttribute("class")||"").replace(n," "))},y=function(t,e,n){var a=n?"addEventListener":"removeEventListener";n&&y(t,e),f.forEach((function(n){t[a](n,e)}))},z=function(t,n,i,r,s){var o=e.createEvent("Event");return i||(i={}),i.instance=a,o.initEvent(n,!r,!s),o.detail=i,t.dispatchEvent(o),o},b=function(e,n){var a;!s&&(a=t.picturefill||i.pf)?(n&&n.src&&!e.getAttribute("srcset")&&e.setAttribute("srcset",n.src),a({reevaluate:!0,elements:[e]})):n&&n.src&&(e.src=n.src)},A=function(t,e){return(getComputedStyle(t,null)||{})[e]},C=function(t,e,n){for(n=n||t.offsetWidth;n<i.minSize&&e&&!t._lazysizesWidth;)n=e.offsetWidth,e=e.parentNode;return n},E=(mt=[],ht=[],gt=mt,pt=function(){var t=gt;for(gt=mt.length?ht:mt,dt=!0,ft=!1;t.length;)t.shift()();dt=!1},vt=function(t,n){dt&&!n?t.apply(this,arguments):(gt.push(t),ft||(ft=!0,(e.hidden?l:c)(pt)))},vt._lsFlush=pt,vt),_=function(t,e){return e?function(){E(t)}:function(){var e=this,n=arguments;E((function(){t.apply(e,n)}))}},$=function(t){var e,a,i=function(){e=null,t()},r=function(){var t=n.now()-a;t<99?l(r,99-t):(u||i)(i)};return function(){a=n.now(),e||(e=l(r,99))}},w=(G=/^img$/i,U=/^iframe$/i,K="onscroll"in t&&!/(gle|ing)bot/.test(navigator.userAgent),Q=0,J=0,V=-1,X=function(t){J--,(!t||J<0||!t.target)&&(J=0)},Y=function(t){return null==q&&(q="hidden"==A(e.body,"visibility")),q||!("hidden"==A(t.parentNode,"visibility")&&"hidden"==A(t,"visibility"))},Z=function(t,n){var a,i=t,s=Y(t);for(O-=n,I+=n,P-=n,D+=n;s&&(i=i.offsetParent)&&i!=e.body&&i!=r;)(s=(A(i,"opacity")||1)>0)&&"visible"!=A(i,"overflow")&&(a=i.getBoundingClientRect(),s=D>a.left&&P<a.right&&I>a.top-1&&O<a.bottom+1);return s},tt=function(){var t,n,s,o,l,c,u,d,f,m,h,g,p=a.elements;if((W=i.loadMode)&&J<8&&(t=p.length)){for(n=0,V++;n<t;n++)if(p[n]&&!p[n]._lazyRace)if(!K||a.prematureUnveil&&a.prematureUnveil(p[n]))ot(p[n]);else if((d=p[n].getAttribute("data-expand"))&&(c=1*d)||(c=Q),m||(m=!i.expand||i.expand<1?r.clientHeight>500&&r.clientWidth>500?500:370:i.expand,a._defEx=m,h=m*i.expFactor,g=i.hFac,q=null,Q<h&&J<1&&V>2&&W>2&&!e.hidden?(Q=h,V=0):Q=W>1&&V>1&&J<6?m:0),f!==c&&(j=innerWidth+c*g,H=innerHeight+c,u=-1*c,f=c),s=p[n].getBoundingClientRect(),(I=s.bottom)>=u&&(O=s.top)<=H&&(D=s.right)>=u*g&&(P=s.left)<=j&&(I||D||P||O)&&(i.loadHidden||Y(p[n]))&&(B&&J<3&&!d&&(W<3||V<4)||Z(p[n],c))){if(ot(p[n]),l=!0,J>9)break}else!l&&B&&!o&&J<4&&V<4&&W>2&&(R[0]||i.preloadAfterLoad)&&(R[0]||!d&&(I||D||P||O||"auto"!=p[n].getAttribute(i.sizesAttr)))&&(o=R[0]||p[n]);o&&!l&&ot(o)}},et=function(t){var e,a=0,r=i.throttleDelay,s=i.ricTimeout,o=function(){e=!1,a=n.now(),t()},c=u&&s>49?function(){u(o,{timeout:s}),s!==i.ricTimeout&&(s=i.ricTimeout)}:_((function(){l(o)}),!0);return function(t){var i;(t=!0===t)&&(s=33),e||(e=!0,(i=r-(n.now()-a))<0&&(i=0),t||i<9?c():l(c,i))}}(tt),nt=function(t){var e=t.target;e._lazyCache?delete e._lazyCache:(X(t),p(e,i.loadedClass),v(e,i.loadingClass),y(e,it),z(e,"lazyloaded"))},at=_(nt),it=function(t){at({target:t.target})},rt=function(t){var e,n=t.getAttribute(i.srcsetAttr);(e=i.customMedia[t.getAttribute("data-media")||t.getAttribute("media")])&&t.setAttribute("media",e),n&&t.setAttribute("srcset",n)},st=_((function(t,e,n,a,r){var s,o,c,u,f,m;(f=z(t,"lazybeforeunveil",e)).defaultPrevented||(a&&(n?p(t,i.autosizesClass):t.setAttribute("sizes",a)),o=t.getAttribute(i.srcsetAttr),s=t.getAttribute(i.srcAttr),r&&(u=(c=t.parentNode)&&d.test(c.nodeName||"")),m=e.firesLoad||"src"in t&&(o||s||u),f={target:t},p(t,i.loadingClass),m&&(clearTimeout(T),T=l(X,2500),y(t,it,!0)),u&&h.call(c.getElementsByTagName("source"),rt),o?t.setAttribute("srcset",o):s&&!u&&(U.test(t.nodeName)?function(t,e){try{t.contentWindow.location.replace(e)}catch(n){t.src=e}}(t,s):t.src=s),r&&(o||u)&&b(t,{src:s})),t._lazyRace&&delete t._lazyRace,v(t,i.lazyClass),E((function(){var e=t.complete&&t.naturalWidth>1;m&&!e||(e&&p(t,"ls-is-cached"),nt(f),t._lazyCache=!0,l((function(){"_lazyCache"in t&&delete t._lazyCache}),9)),"lazy"==t.loading&&J--}),!0)})),ot=function(t){if(!t._lazyRace){var e,n=G.test(t.nodeName),a=n&&(t.getAttribute(i.sizesAttr)||t.getAttribute("sizes")),r="auto"==a;(!r&&B||!n||!t.getAttribute("src")&&!t.srcset||t.complete||g(t,i.errorClass)||!g(t,i.lazyClass))&&(e=z(t,"lazyunveilread").detail,r&&N.updateElem(t,!0,t.offsetWidth),t._lazyRace=!0,J++,st(t,e,r,a,n))}},lt=$((function(){i.loadMode=3,et()})),ct=function(){3==i.loadMode&&(i.loadMode=2),lt()},ut=function(){B||(n.now()-F<999?l(ut,999):(B=!0,i.loadMode=3,et(),o("scroll",ct,!0)))},{_:function(){F=n.now(),a.elements=e.getElementsByClassName(i.lazyClass),R=e.getElementsByClassName(i.lazyClass+" "+i.preloadClass),o("scroll",et,!0),o("resize",et,!0),o("pageshow",(function(t){if(t.persisted){var n=e.querySelectorAll("."+i.loadingClass);n.length&&n.forEach&&c((function(){n.forEach((function(t){t.complete&&ot(t)}))}))}})),t.MutationObserver?new MutationObserver(et).observe(r,{childList:!0,subtree:!0,attributes:!0}):(r.addEventListener("DOMNodeInserted",et,!0),r.addEventListener("DOMAttrModified",et,!0),setInterval(et,999)),o("hashchange",et,!0),["focus","mouseover","click","load","transitionend","animationend"].forEach((function(t){e.addEventListener(t,et,!0)})),/d$|^c/.test(e.readyState)?ut():(o("load",ut),e.addEventListener("DOMContentLoaded",et),l(ut,2e4)),a.elements.length?(tt(),E._lsFlush()):et()},checkElems:et,unveil:ot,_aLSL:ct}),N=(x=_((function(t,e,n,a){var i,r,s;if(t._lazysizesWidth=a,a+="px",t.setAttribute("sizes",a),d.test(e.nodeName||""))for(r=0,s=(i=e.getElementsByTagName("source")).length;r<s;r++)i[r].setAttribute("sizes",a);n.detail.dataAttr||b(t,n.detail)})),L=function(t,e,n){var a,i=t.parentNode;i&&(n=C(t,i,n),(a=z(t,"lazybeforesizes",{width:n,dataAttr:!!e})).defaultPrevented||(n=a.detail.width)&&n!==t._lazysizesWidth&&x(t,i,a,n))},S=$((function(){var t,e=M.length;if(e)for(t=0;t<e;t++)L(M[t])})),{_:function(){M=e.getElementsByClassName(i.autosizesClass),o("resize",S)},checkElems:S,updateElem:L}),k=function(){!k.i&&e.getElementsByClassName&&(k.i=!0,N._(),w._())};var M,x,L,S;var R,B,T,W,F,j,H,O,P,D,I,q,G,U,K,Q,J,V,X,Y,Z,tt,et,nt,at,it,rt,st,ot,lt,ct,ut;var dt,ft,mt,ht,gt,pt,vt;return l((function(){i.init&&k()})),a={cfg:i,autoSizer:N,loader:w,init:k,uP:b,aC:p,rC:v,hC:g,fire:z,gW:C,rAF:E}}(e,e.document,Date);e.lazySizes=a,t.exports&&(t.exports=a)}("undefined"!=typeof window?window:{})}));function R(t,e,n){return e=i(e),r(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(e,n||[],i(t).constructor):e.apply(t,n))}function B(t){var e,n,a,i,r,s,o,k,M,R,B,T,W,F,j,H,O,P=t[0]("home_heading")+"",D=t[0]("home_caption")+"",I=t[0]("home_hint")+"";return e=new x({props:{title:l,image:L[0]}}),H=new S({props:{images:L,lazy:!0}}),{c:function(){c(e.$$.fragment),n=u(),a=d("h1"),i=f(P),r=u(),s=d("figure"),o=d("img"),k=u(),M=d("figcaption"),R=f(D),B=u(),T=d("p"),W=d("strong"),F=f(I),j=u(),c(H.$$.fragment),this.h()},l:function(t){m(e.$$.fragment,t),n=h(t),a=g(t,"H1",{class:!0});var l=p(a);i=v(l,P),l.forEach(y),r=h(t),s=g(t,"FIGURE",{class:!0});var c=p(s);o=g(c,"IMG",{alt:!0,src:!0,class:!0}),k=h(c),M=g(c,"FIGCAPTION",{});var u=p(M);R=v(u,D),u.forEach(y),c.forEach(y),B=h(t),T=g(t,"P",{class:!0});var d=p(T);W=g(d,"STRONG",{});var f=p(W);F=v(f,I),f.forEach(y),d.forEach(y),j=h(t),m(H.$$.fragment,t),this.h()},h:function(){z(a,"class","svelte-1kk9opm"),z(o,"alt","Success Kid"),o.src!=="successkid.jpg"&&z(o,"src","successkid.jpg"),z(o,"class","svelte-1kk9opm"),z(s,"class","svelte-1kk9opm"),z(T,"class","svelte-1kk9opm")},m:function(t,l){b(e,t,l),A(t,n,l),A(t,a,l),C(a,i),A(t,r,l),A(t,s,l),C(s,o),C(s,k),C(s,M),C(M,R),A(t,B,l),A(t,T,l),C(T,W),C(W,F),A(t,j,l),b(H,t,l),O=!0},p:function(t,e){var n=E(e,1)[0];(!O||1&n)&&P!==(P=t[0]("home_heading")+"")&&_(i,P),(!O||1&n)&&D!==(D=t[0]("home_caption")+"")&&_(R,D),(!O||1&n)&&I!==(I=t[0]("home_hint")+"")&&_(F,I)},i:function(t){O||($(e.$$.fragment,t),$(H.$$.fragment,t),O=!0)},o:function(t){w(e.$$.fragment,t),w(H.$$.fragment,t),O=!1},d:function(t){N(e,t),t&&y(n),t&&y(a),t&&y(r),t&&y(s),t&&y(B),t&&y(T),t&&y(j),N(H,t)}}}function T(t,e,n){var a,i,r=k();return M(t,r,(function(t){return n(2,a=t)})),t.$$.update=function(){var e;4&t.$$.dirty&&n(0,(i=(e=a).t,e),i)},[i,r]}var W=function(i){function r(t){var e;return a(this,r),e=R(this,r),s(e,t,T,B,o,{}),e}return t(r,n),e(r)}();export default W;
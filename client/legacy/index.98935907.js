@@ -0,0 +1 @@
+import{_ as n,a as t,S as r,b as o,c,d as e,i as a,s as u,F as f,p as s,r as i,v as l,w as h,y as p,z as v,A as g,e as m,f as $,g as d,h as j,j as w,k as y,l as k,m as x,n as B,Q as E,B as b}from"./client.6bd18ee1.js";import{M as A}from"./Moved.c294f3ee.js";function L(n,t,r){return t=c(t),e(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,r||[],c(n).constructor):t.apply(n,r))}function M(n,t,r){var o=n.slice();return o[1]=t[r],o}function R(n){var t,r,o,c,e=n[1].title+"";return{c:function(){t=m("li"),r=m("a"),o=$(e),this.h()},l:function(n){t=d(n,"LI",{});var c=j(t);r=d(c,"A",{href:!0});var a=j(r);o=w(a,e),a.forEach(y),c.forEach(y),this.h()},h:function(){k(r,"href",c=f+"/work/"+n[1].slug)},m:function(n,c){x(n,t,c),B(t,r),B(r,o)},p:function(n,t){1&t&&e!==(e=n[1].title+"")&&E(o,e),1&t&&c!==(c=f+"/work/"+n[1].slug)&&k(r,"href",c)},d:function(n){n&&y(t)}}}function q(n){for(var t,r=n[0],o=[],c=0;c<r.length;c+=1)o[c]=R(M(n,r,c));return{c:function(){t=m("ul");for(var n=0;n<o.length;n+=1)o[n].c()},l:function(n){t=d(n,"UL",{});for(var r=j(t),c=0;c<o.length;c+=1)o[c].l(r);r.forEach(y)},m:function(n,r){x(n,t,r);for(var c=0;c<o.length;c+=1)o[c].m(t,null)},p:function(n,c){if(1&c){var e;for(r=n[0],e=0;e<r.length;e+=1){var a=M(n,r,e);o[e]?o[e].p(a,c):(o[e]=R(a),o[e].c(),o[e].m(t,null))}for(;e<o.length;e+=1)o[e].d(1);o.length=r.length}},d:function(n){n&&y(t),b(o,n)}}}function z(n){var t,r;return t=new A({props:{path:f+"/work",$$slots:{default:[q]},$$scope:{ctx:n}}}),{c:function(){s(t.$$.fragment)},l:function(n){i(t.$$.fragment,n)},m:function(n,o){l(t,n,o),r=!0},p:function(n,r){var o=h(r,1)[0],c={};17&o&&(c.$$scope={dirty:o,ctx:n}),t.$set(c)},i:function(n){r||(p(t.$$.fragment,n),r=!0)},o:function(n){v(t.$$.fragment,n),r=!1},d:function(n){g(t,n)}}}function F(n){n.params,n.query;return this.fetch("work.json").then((function(n){return n.json()})).then((function(n){return{projects:n.map((function(n){return{title:n.title,slug:n.slug}}))}}))}function I(n,t,r){var o=t.projects;return n.$set=function(n){"projects"in n&&r(0,o=n.projects)},[o]}var O=function(c){function e(n){var t;return o(this,e),t=L(this,e),a(t,n,I,z,u,{projects:0}),t}return n(e,r),t(e)}();export default O;export{F as preload};
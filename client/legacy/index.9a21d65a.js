@@ -0,0 +1 @@
+import{_ as t,a as r,S as n,b as e,c as a,d as o,i as s,s as c,e as i,p as f,q as l,f as u,g as h,h as v,r as p,u as g,j as m,k as $,l as d,m as w,n as k,v as j,Q as y,y as _,z as q,A as E,w as b,$ as B,B as H,L as x,K as L,Z as P}from"./client.6bd18ee1.js";import{H as z}from"./Head.1651de73.js";import{P as A}from"./Picture.b952dd9b.js";function R(t,r,n){return r=a(r),o(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(r,n||[],a(t).constructor):r.apply(t,n))}function I(t,r,n){var e=t.slice();return e[5]=r[n],e}function K(t){var r,n,e,a,o,s,c,b,B,H,x,L,P,z,R=t[5].title+"",I=t[5].year+"",K=t[5].role+"";return e=new A({props:{image:t[5].cover,sizes:"(min-width: 600px) 50vw, 100vw"}}),{c:function(){r=i("li"),n=i("a"),f(e.$$.fragment),a=l(),o=i("h2"),s=u(R),c=l(),b=i("p"),B=u(I),H=u(" · "),x=u(K),P=l(),this.h()},l:function(t){r=h(t,"LI",{});var i=v(r);n=h(i,"A",{rel:!0,href:!0,class:!0});var f=v(n);p(e.$$.fragment,f),a=g(f),o=h(f,"H2",{class:!0});var l=v(o);s=m(l,R),l.forEach($),c=g(f),b=h(f,"P",{class:!0});var u=v(b);B=m(u,I),H=m(u," · "),x=m(u,K),u.forEach($),f.forEach($),P=g(i),i.forEach($),this.h()},h:function(){d(o,"class","svelte-1qhkhgh"),d(b,"class","svelte-1qhkhgh"),d(n,"rel","prefetch"),d(n,"href",L=t[1]+"/work/"+t[5].slug),d(n,"class","svelte-1qhkhgh")},m:function(t,i){w(t,r,i),k(r,n),j(e,n,null),k(n,a),k(n,o),k(o,s),k(n,c),k(n,b),k(b,B),k(b,H),k(b,x),k(r,P),z=!0},p:function(t,r){var a={};1&r&&(a.image=t[5].cover),e.$set(a),(!z||1&r)&&R!==(R=t[5].title+"")&&y(s,R),(!z||1&r)&&I!==(I=t[5].year+"")&&y(B,I),(!z||1&r)&&K!==(K=t[5].role+"")&&y(x,K),(!z||3&r&&L!==(L=t[1]+"/work/"+t[5].slug))&&d(n,"href",L)},i:function(t){z||(_(e.$$.fragment,t),z=!0)},o:function(t){q(e.$$.fragment,t),z=!1},d:function(t){t&&$(r),E(e)}}}function O(t){var r,n,e,a,o,s,c,x=t[2]("work_title")+"";r=new z({props:{title:t[2]("work_title"),description:t[2]("work_description"),image:t[0][0].cover}});for(var L=t[0],A=[],R=0;R<L.length;R+=1)A[R]=K(I(t,L,R));var O=function(t){return q(A[t],1,1,(function(){A[t]=null}))};return{c:function(){f(r.$$.fragment),n=l(),e=i("h1"),a=u(x),o=l(),s=i("ul");for(var t=0;t<A.length;t+=1)A[t].c();this.h()},l:function(t){p(r.$$.fragment,t),n=g(t),e=h(t,"H1",{});var c=v(e);a=m(c,x),c.forEach($),o=g(t),s=h(t,"UL",{class:!0});for(var i=v(s),f=0;f<A.length;f+=1)A[f].l(i);i.forEach($),this.h()},h:function(){d(s,"class","svelte-1qhkhgh")},m:function(t,i){j(r,t,i),w(t,n,i),w(t,e,i),k(e,a),w(t,o,i),w(t,s,i);for(var f=0;f<A.length;f+=1)A[f].m(s,null);c=!0},p:function(t,n){var e=b(n,1)[0],o={};if(4&e&&(o.title=t[2]("work_title")),4&e&&(o.description=t[2]("work_description")),1&e&&(o.image=t[0][0].cover),r.$set(o),(!c||4&e)&&x!==(x=t[2]("work_title")+"")&&y(a,x),3&e){var i;for(L=t[0],i=0;i<L.length;i+=1){var f=I(t,L,i);A[i]?(A[i].p(f,e),_(A[i],1)):(A[i]=K(f),A[i].c(),_(A[i],1),A[i].m(s,null))}for(P(),i=L.length;i<A.length;i+=1)O(i);B()}},i:function(t){if(!c){_(r.$$.fragment,t);for(var n=0;n<L.length;n+=1)_(A[n]);c=!0}},o:function(t){q(r.$$.fragment,t),A=A.filter(Boolean);for(var n=0;n<A.length;n+=1)q(A[n]);c=!1},d:function(t){E(r,t),t&&$(n),t&&$(e),t&&$(o),t&&$(s),H(A,t)}}}function Q(t){var r=t.params;t.query;return this.fetch("".concat(r.lang,"/work.json")).then((function(t){return t.json()})).then((function(t){return{projects:t}}))}function S(t,r,n){var e,a,o,s=r.projects,c=x();return L(t,c,(function(t){return n(4,e=t)})),t.$set=function(t){"projects"in t&&n(0,s=t.projects)},t.$$.update=function(){var r;16&t.$$.dirty&&n(1,(a=(r=e).lang,o=r.t,r),a,(n(2,o),n(4,e)))},[s,a,o,c]}var U=function(a){function o(t){var r;return e(this,o),r=R(this,o),s(r,t,S,O,c,{projects:0}),r}return t(o,n),r(o)}();export default U;export{Q as preload};
@@ -0,0 +1 @@
+import{_ as n,a as t,S as r,b as o,c as a,d as s,i as c,s as e,F as u,p as f,r as i,v as l,w as h,y as p,z as g,A as v,e as m,f as $,g as d,h as b,j as y,k as j,l as x,m as B,n as E,Q as w,B as A}from"./client.6bd18ee1.js";import{M as L}from"./Moved.c294f3ee.js";function M(n,t,r){return t=a(t),s(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,r||[],a(n).constructor):t.apply(n,r))}function R(n,t,r){var o=n.slice();return o[1]=t[r],o}function k(n){var t,r,o,a,s=n[1].title+"";return{c:function(){t=m("li"),r=m("a"),o=$(s),this.h()},l:function(n){t=d(n,"LI",{});var a=b(t);r=d(a,"A",{href:!0});var c=b(r);o=y(c,s),c.forEach(j),a.forEach(j),this.h()},h:function(){x(r,"href",a=u+"/blog/"+n[1].slug)},m:function(n,a){B(n,t,a),E(t,r),E(r,o)},p:function(n,t){1&t&&s!==(s=n[1].title+"")&&w(o,s),1&t&&a!==(a=u+"/blog/"+n[1].slug)&&x(r,"href",a)},d:function(n){n&&j(t)}}}function q(n){for(var t,r=n[0],o=[],a=0;a<r.length;a+=1)o[a]=k(R(n,r,a));return{c:function(){t=m("ul");for(var n=0;n<o.length;n+=1)o[n].c()},l:function(n){t=d(n,"UL",{});for(var r=b(t),a=0;a<o.length;a+=1)o[a].l(r);r.forEach(j)},m:function(n,r){B(n,t,r);for(var a=0;a<o.length;a+=1)o[a].m(t,null)},p:function(n,a){if(1&a){var s;for(r=n[0],s=0;s<r.length;s+=1){var c=R(n,r,s);o[s]?o[s].p(c,a):(o[s]=k(c),o[s].c(),o[s].m(t,null))}for(;s<o.length;s+=1)o[s].d(1);o.length=r.length}},d:function(n){n&&j(t),A(o,n)}}}function z(n){var t,r;return t=new L({props:{path:u+"/blog",$$slots:{default:[q]},$$scope:{ctx:n}}}),{c:function(){f(t.$$.fragment)},l:function(n){i(t.$$.fragment,n)},m:function(n,o){l(t,n,o),r=!0},p:function(n,r){var o=h(r,1)[0],a={};17&o&&(a.$$scope={dirty:o,ctx:n}),t.$set(a)},i:function(n){r||(p(t.$$.fragment,n),r=!0)},o:function(n){g(t.$$.fragment,n),r=!1},d:function(n){v(t,n)}}}function F(n){n.params,n.query;return this.fetch("blog.json").then((function(n){return n.json()})).then((function(n){return{posts:n.map((function(n){return{title:n.title,slug:n.slug}}))}}))}function I(n,t,r){var o=t.posts;return n.$set=function(n){"posts"in n&&r(0,o=n.posts)},[o]}var O=function(a){function s(n){var t;return o(this,s),t=M(this,s),c(t,n,I,z,e,{posts:0}),t}return n(s,r),t(s)}();export default O;export{F as preload};
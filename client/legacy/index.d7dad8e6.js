@@ -0,0 +1 @@
+import{_ as n,a,S as t,b as r,c as s,d as e,i as o,s as c,t as f,e as u,f as l,g as i,h,j as g,k as v,l as p,m,n as d,o as $,p as y,q as E,r as j,u as w,v as B,w as H,x as L,y as b,z as x,A,B as C,C as R,D as S,E as _,F as k}from"./client.6bd18ee1.js";import{H as q}from"./Head.1651de73.js";function z(n,a,t){return a=s(a),e(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(a,t||[],s(n).constructor):a.apply(n,t))}function D(n,a,t){var r=n.slice();return r[0]=a[t],r}function F(n){var a,t,r,s=S(n[0],"language_name")+"";return{c:function(){a=u("li"),t=u("a"),r=l(s),this.h()},l:function(n){a=i(n,"LI",{class:!0});var e=h(a);t=i(e,"A",{href:!0,hreflang:!0,lang:!0});var o=h(t);r=g(o,s),o.forEach(v),e.forEach(v),this.h()},h:function(){p(t,"href",n[0]),p(t,"hreflang",n[0]),p(t,"lang",n[0]),p(a,"class","svelte-25n4y2")},m:function(n,s){m(n,a,s),d(a,t),d(t,r)},p:$,d:function(n){n&&v(a)}}}function I(n){var a,t,r,s,e,o,c;a=new q({props:{title:f}});for(var $=L,R=[],S=0;S<$.length;S+=1)R[S]=F(D(n,$,S));return{c:function(){y(a.$$.fragment),t=E(),r=u("h1"),s=l(f),e=E(),o=u("ul");for(var n=0;n<R.length;n+=1)R[n].c();this.h()},l:function(n){j(a.$$.fragment,n),t=w(n),r=i(n,"H1",{class:!0});var c=h(r);s=g(c,f),c.forEach(v),e=w(n),o=i(n,"UL",{class:!0});for(var u=h(o),l=0;l<R.length;l+=1)R[l].l(u);u.forEach(v),this.h()},h:function(){p(r,"class","svelte-25n4y2"),p(o,"class","svelte-25n4y2")},m:function(n,f){B(a,n,f),m(n,t,f),m(n,r,f),d(r,s),m(n,e,f),m(n,o,f);for(var u=0;u<R.length;u+=1)R[u].m(o,null);c=!0},p:function(n,a){var t=H(a,1)[0];if(0&t){var r;for($=L,r=0;r<$.length;r+=1){var s=D(n,$,r);R[r]?R[r].p(s,t):(R[r]=F(s),R[r].c(),R[r].m(o,null))}for(;r<R.length;r+=1)R[r].d(1);R.length=$.length}},i:function(n){c||(b(a.$$.fragment,n),c=!0)},o:function(n){x(a.$$.fragment,n),c=!1},d:function(n){A(a,n),n&&v(t),n&&v(r),n&&v(e),n&&v(o),C(R,n)}}}function O(n){return R((function(){var n=(navigator.languages||[navigator.language]).map((function(n){return n.toLowerCase().split("-")[0]})).find((function(n){return L.includes(n)}));_("".concat(n||k),{replaceState:!0})})),[]}var U=function(s){function e(n){var a;return r(this,e),a=z(this,e),o(a,n,O,I,c,{}),a}return n(e,t),a(e)}();export default U;
@@ -0,0 +1 @@
+import{w as t,_ as n,a as e,S as r,b as a,c,d as s,i as l,s as o,e as i,f as u,q as f,g as h,h as p,j as v,k as d,u as g,l as m,m as y,n as _,Q as $,B as x,p as b,G as k,r as E,v as L,a3 as H,W as M,a4 as j,y as O,z as q,A,Y as I,J as T,K as w,L as z}from"./client.6bd18ee1.js";import{H as B}from"./Head.1651de73.js";var R=/[a-zA-Z0-9À-ɏ]+/g;function N(t){return t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")}function P(t){return t.normalize("NFD").replace(/[̀-ͯ]/g,"").toLowerCase()}function S(t){return P(t).split(/[^a-z0-9]+/).filter(Boolean)}function W(t){var n=S(t);return function(t){return n.some((function(n){return P(t).startsWith(n)}))}}function C(t,n){var e,r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:160,a=W(n),c=0;for(R.lastIndex=0;e=R.exec(t);)if(a(e[0])){c=Math.max(0,t.lastIndexOf(" ",e.index-r/4)+1);break}var s=t.length;return c+r<t.length&&(s=t.lastIndexOf(" ",c+r))<=c&&(s=c+r),(c>0?"…":"")+t.slice(c,s)+(s<t.length?"…":"")}function F(t,n){var e=W(n),r="",a=0;return t.replace(R,(function(n,c){r+=N(t.slice(a,c)),r+=e(n)?"<mark>".concat(N(n),"</mark>"):N(n),a=c+n.length})),r+N(t.slice(a))}function U(t,n,e){return n=c(n),s(t,function(){try{var t=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(t){}return function(){return!!t}()}()?Reflect.construct(n,e||[],c(t).constructor):n.apply(t,e))}function D(t,n,e){var r=t.slice();return r[11]=n[e],r}function G(t){for(var n,e,r,a,c=t[2](1===t[3].length?"search_result":"search_results",{count:t[3].length})+"",s=t[3],l=[],o=0;o<s.length;o+=1)l[o]=J(D(t,s,o));return{c:function(){n=i("p"),e=u(c),r=f(),a=i("ol");for(var t=0;t<l.length;t+=1)l[t].c();this.h()},l:function(t){n=h(t,"P",{"aria-live":!0,class:!0});var s=p(n);e=v(s,c),s.forEach(d),r=g(t),a=h(t,"OL",{class:!0});for(var o=p(a),i=0;i<l.length;i+=1)l[i].l(o);o.forEach(d),this.h()},h:function(){m(n,"aria-live","polite"),m(n,"class","svelte-8ek5ln"),m(a,"class","svelte-8ek5ln")},m:function(t,c){y(t,n,c),_(n,e),y(t,r,c),y(t,a,c);for(var s=0;s<l.length;s+=1)l[s].m(a,null)},p:function(t,n){if(12&n&&c!==(c=t[2](1===t[3].length?"search_result":"search_results",{count:t[3].length})+"")&&$(e,c),13&n){var r;for(s=t[3],r=0;r<s.length;r+=1){var o=D(t,s,r);l[r]?l[r].p(o,n):(l[r]=J(o),l[r].c(),l[r].m(a,null))}for(;r<l.length;r+=1)l[r].d(1);l.length=s.length}},d:function(t){t&&d(n),t&&d(r),t&&d(a),x(l,t)}}}function J(t){var n,e,r,a,c,s,l,o,x,b,k=t[2]("search_type_".concat(t[11].type))+"",E=F(t[11].title,t[0])+"",L=F(C(t[11].text,t[0]),t[0])+"";return{c:function(){n=i("li"),e=i("small"),r=u(k),a=f(),c=i("h2"),s=i("a"),o=f(),x=i("p"),b=f(),this.h()},l:function(t){n=h(t,"LI",{class:!0});var l=p(n);e=h(l,"SMALL",{class:!0});var i=p(e);r=v(i,k),i.forEach(d),a=g(l),c=h(l,"H2",{class:!0});var u=p(c);s=h(u,"A",{rel:!0,href:!0}),p(s).forEach(d),u.forEach(d),o=g(l),x=h(l,"P",{class:!0}),p(x).forEach(d),b=g(l),l.forEach(d),this.h()},h:function(){m(e,"class","svelte-8ek5ln"),m(s,"rel","prefetch"),m(s,"href",l=t[11].url),m(c,"class","svelte-8ek5ln"),m(x,"class","svelte-8ek5ln"),m(n,"class","svelte-8ek5ln")},m:function(t,l){y(t,n,l),_(n,e),_(e,r),_(n,a),_(n,c),_(c,s),s.innerHTML=E,_(n,o),_(n,x),x.innerHTML=L,_(n,b)},p:function(t,n){12&n&&k!==(k=t[2]("search_type_".concat(t[11].type))+"")&&$(r,k),9&n&&E!==(E=F(t[11].title,t[0])+"")&&(s.innerHTML=E),8&n&&l!==(l=t[11].url)&&m(s,"href",l),9&n&&L!==(L=F(C(t[11].text,t[0]),t[0])+"")&&(x.innerHTML=L)},d:function(t){t&&d(n)}}}function K(n){var e,r,a,c,s,l,o,x,T,w,z,R,N,P,S,W=n[2]("search_title")+"";e=new B({props:{title:n[2]("search_title"),description:n[2]("search_description")}});var C=n[0]&&G(n);return{c:function(){b(e.$$.fragment),r=f(),a=i("h1"),c=u(W),s=f(),l=i("form"),o=i("input"),z=f(),C&&C.c(),R=k(),this.h()},l:function(t){E(e.$$.fragment,t),r=g(t),a=h(t,"H1",{});var n=p(a);c=v(n,W),n.forEach(d),s=g(t),l=h(t,"FORM",{action:!0,role:!0});var i=p(l);o=h(i,"INPUT",{type:!0,name:!0,"aria-label":!0,placeholder:!0,class:!0}),i.forEach(d),z=g(t),C&&C.l(t),R=k(),this.h()},h:function(){m(o,"type","search"),m(o,"name","q"),m(o,"aria-label",x=n[2]("search_label")),m(o,"placeholder",T=n[2]("search_label")),m(o,"class","svelte-8ek5ln"),m(l,"action",w=n[1]+"/search"),m(l,"role","search")},m:function(t,i){L(e,t,i),y(t,r,i),y(t,a,i),_(a,c),y(t,s,i),y(t,l,i),_(l,o),H(o,n[0]),y(t,z,i),C&&C.m(t,i),y(t,R,i),N=!0,P||(S=[M(o,"input",n[8]),M(o,"input",n[6]),M(l,"submit",j(n[6]))],P=!0)},p:function(n,r){var a=t(r,1)[0],s={};4&a&&(s.title=n[2]("search_title")),4&a&&(s.description=n[2]("search_description")),e.$set(s),(!N||4&a)&&W!==(W=n[2]("search_title")+"")&&$(c,W),(!N||4&a&&x!==(x=n[2]("search_label")))&&m(o,"aria-label",x),(!N||4&a&&T!==(T=n[2]("search_label")))&&m(o,"placeholder",T),1&a&&H(o,n[0]),(!N||2&a&&w!==(w=n[1]+"/search"))&&m(l,"action",w),n[0]?C?C.p(n,a):((C=G(n)).c(),C.m(R.parentNode,R)):C&&(C.d(1),C=null)},i:function(t){N||(O(e.$$.fragment,t),N=!0)},o:function(t){q(e.$$.fragment,t),N=!1},d:function(t){A(e,t),t&&d(r),t&&d(a),t&&d(s),t&&d(l),t&&d(z),C&&C.d(t),t&&d(R),P=!1,I(S)}}}function Q(t){var n=t.params;t.query;return this.fetch("".concat(n.lang,"/search.json")).then((function(t){return t.json()})).then((function(t){return{index:t}}))}function Y(n,e,r){var a,c,s=e.index,l=T().page;w(n,l,(function(t){return r(10,c=t)}));var o=z();w(n,o,(function(t){return r(9,a=t)}));var i,u,f,h="";return n.$set=function(t){"index"in t&&r(7,s=t.index)},n.$$.update=function(){var e;512&n.$$.dirty&&r(1,(i=(e=a).lang,u=e.t,e),i,(r(2,u),r(9,a)));1024&n.$$.dirty&&r(0,h=c.query.q||""),129&n.$$.dirty&&r(3,f=function(n,e){var r=n.documents,a=n.terms,c=S(e);if(!c.length)return[];var s=Object.keys(a),l=null;return c.forEach((function(n){var e=new Map;s.forEach((function(r){if(r.startsWith(n)){var c=r===n?2:1;a[r].forEach((function(n){var r=t(n,3),a=r[0],s=r[1],l=r[2],o=c*(10*s+l);e.set(a,(e.get(a)||0)+o)}))}})),null===l?l=e:Array.from(l.keys()).forEach((function(t){e.has(t)?l.set(t,l.get(t)+e.get(t)):l.delete(t)}))})),Array.from(l).sort((function(t,n){return n[1]-t[1]})).map((function(n){var e=t(n,2),a=e[0],c=e[1];return Object.assign({score:c},r[a])}))}(s,h))},[h,i,u,f,l,o,function(){var t=h?"".concat(i,"/search?q=").concat(encodeURIComponent(h)):"".concat(i,"/search");history.replaceState(history.state,"",t)},s,function(){h=this.value,r(0,h),r(10,c)}]}var Z=function(t){function c(t){var n;return a(this,c),n=U(this,c),l(n,t,Y,K,o,{index:7}),n}return n(c,r),e(c)}();export default Z;export{Q as preload};
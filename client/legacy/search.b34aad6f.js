@@ -0,0 +1 @@
+import{_ as n,a as t,S as a,b as r,c as o,d as c,i as e,s,F as u,p as f,r as i,v as l,o as p,y as m,z as $,A as v}from"./client.6bd18ee1.js";import{M as d}from"./Moved.c294f3ee.js";function h(n,t,a){return t=o(t),c(n,function(){try{var n=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],(function(){})))}catch(n){}return function(){return!!n}()}()?Reflect.construct(t,a||[],o(n).constructor):t.apply(n,a))}function g(n){var t,a;return t=new d({props:{path:u+"/search"}}),{c:function(){f(t.$$.fragment)},l:function(n){i(t.$$.fragment,n)},m:function(n,r){l(t,n,r),a=!0},p:p,i:function(n){a||(m(t.$$.fragment,n),a=!0)},o:function(n){$(t.$$.fragment,n),a=!1},d:function(n){v(t,n)}}}var y=function(o){function c(n){var t;return r(this,c),t=h(this,c),e(t,n,null,g,s,{}),t}return n(c,a),t(c)}();export default y;
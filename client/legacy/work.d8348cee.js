@@ -1 +0,0 @@
-import{_ as t,a as r,b as n,d as e,i as c,s as u,e as a,S as o}from"./client.d6ba734e.js";function s(t){var e=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(t){return!1}}();return function(){var c,u=r(t);if(e){var a=r(this).constructor;c=Reflect.construct(u,arguments,a)}else c=u.apply(this,arguments);return n(this,c)}}var f=function(r){t(f,o);var n=s(f);function f(t){var r;return e(this,f),r=n.call(this),c(a(r),t,null,null,u,{}),r}return f}();export default f;
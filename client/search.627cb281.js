@@ -0,0 +1 @@
+import{S as s,i as a,s as r,A as t,k as e,m as n,p as o,n as m,r as f,u as p,v as $}from"./client.46811942.js";import{M as c}from"./Moved.65e0fa97.js";function i(s){let a,r;return a=new c({props:{path:t+"/search"}}),{c(){e(a.$$.fragment)},l(s){n(a.$$.fragment,s)},m(s,t){o(a,s,t),r=!0},p:m,i(s){r||(f(a.$$.fragment,s),r=!0)},o(s){p(a.$$.fragment,s),r=!1},d(s){$(a,s)}}}export default class extends s{constructor(s){super(),a(this,s,null,i,r,{})}}
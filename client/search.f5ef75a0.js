@@ -0,0 +1 @@
+import{S as e,i as t,s,e as a,a as r,l,c as n,b as c,d as o,f as i,o as h,g as f,h as u,j as p,L as g,w as d,k as m,B as $,m as v,p as _,Y as y,P as x,Z as E,r as k,u as b,v as L,R as H,D as M,E as j,F as I}from"./client.46811942.js";import{H as O}from"./Head.e502e17e.js";const q=/[a-zA-Z0-9À-ɏ]+/g;function A(e){return e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")}function T(e){return e.normalize("NFD").replace(/[̀-ͯ]/g,"").toLowerCase()}function w(e){return T(e).split(/[^a-z0-9]+/).filter(Boolean)}function P(e){const t=w(e);return e=>t.some(t=>T(e).startsWith(t))}function z(e,t,s=160){const a=P(t);let r,l=0;for(q.lastIndex=0;r=q.exec(e);)if(a(r[0])){l=Math.max(0,e.lastIndexOf(" ",r.index-s/4)+1);break}let n=e.length;return l+s<e.length&&(n=e.lastIndexOf(" ",l+s),n<=l&&(n=l+s)),(l>0?"…":"")+e.slice(l,n)+(n<e.length?"…":"")}function F(e,t){const s=P(t);let a="",r=0;return e.replace(q,(t,l)=>{a+=A(e.slice(r,l)),a+=s(t)?`<mark>${A(t)}</mark>`:A(t),r=l+t.length}),a+A(e.slice(r))}function N(e,t,s){const a=e.slice();return a[11]=t[s],a}function R(e){let t,s,m,$,v=e[2](1===e[3].length?"search_result":"search_results",{count:e[3].length})+"",_=e[3],y=[];for(let t=0;t<_.length;t+=1)y[t]=S(N(e,_,t));return{c(){t=a("p"),s=r(v),m=l(),$=a("ol");for(let e=0;e<y.length;e+=1)y[e].c();this.h()},l(e){t=n(e,"P",{"aria-live":!0,class:!0});var a=c(t);s=o(a,v),a.forEach(i),m=h(e),$=n(e,"OL",{class:!0});var r=c($);for(let e=0;e<y.length;e+=1)y[e].l(r);r.forEach(i),this.h()},h(){f(t,"aria-live","polite"),f(t,"class","svelte-8ek5ln"),f($,"class","svelte-8ek5ln")},m(e,a){u(e,t,a),p(t,s),u(e,m,a),u(e,$,a);for(let e=0;e<y.length;e+=1)y[e].m($,null)},p(e,t){if(12&t&&v!==(v=e[2](1===e[3].length?"search_result":"search_results",{count:e[3].length})+"")&&g(s,v),13&t){let s;for(_=e[3],s=0;s<_.length;s+=1){const a=N(e,_,s);y[s]?y[s].p(a,t):(y[s]=S(a),y[s].c(),y[s].m($,null))}for(;s<y.length;s+=1)y[s].d(1);y.length=_.length}},d(e){e&&i(t),e&&i(m),e&&i($),d(y,e)}}}function S(e){let t,s,d,m,$,v,_,y,x,E,k=e[2]("search_type_"+e[11].type)+"",b=F(e[11].title,e[0])+"",L=F(z(e[11].text,e[0]),e[0])+"";return{c(){t=a("li"),s=a("small"),d=r(k),m=l(),$=a("h2"),v=a("a"),y=l(),x=a("p"),E=l(),this.h()},l(e){t=n(e,"LI",{class:!0});var a=c(t);s=n(a,"SMALL",{class:!0});var r=c(s);d=o(r,k),r.forEach(i),m=h(a),$=n(a,"H2",{class:!0});var l=c($);v=n(l,"A",{rel:!0,href:!0}),c(v).forEach(i),l.forEach(i),y=h(a),x=n(a,"P",{class:!0}),c(x).forEach(i),E=h(a),a.forEach(i),this.h()},h(){f(s,"class","svelte-8ek5ln"),f(v,"rel","prefetch"),f(v,"href",_=e[11].url),f($,"class","svelte-8ek5ln"),f(x,"class","svelte-8ek5ln"),f(t,"class","svelte-8ek5ln")},m(e,a){u(e,t,a),p(t,s),p(s,d),p(t,m),p(t,$),p($,v),v.innerHTML=b,p(t,y),p(t,x),x.innerHTML=L,p(t,E)},p(e,t){12&t&&k!==(k=e[2]("search_type_"+e[11].type)+"")&&g(d,k),9&t&&b!==(b=F(e[11].title,e[0])+"")&&(v.innerHTML=b),8&t&&_!==(_=e[11].url)&&f(v,"href",_),9&t&&L!==(L=F(z(e[11].text,e[0]),e[0])+"")&&(x.innerHTML=L)},d(e){e&&i(t)}}}function B(e){let t,s,d,M,j,I,q,A,T,w,P,z,F,N,S,B=e[2]("search_title")+"";t=new O({props:{title:e[2]("search_title"),description:e[2]("search_description")}});let C=e[0]&&R(e);return{c(){m(t.$$.fragment),s=l(),d=a("h1"),M=r(B),j=l(),I=a("form"),q=a("input"),P=l(),C&&C.c(),z=$(),this.h()},l(e){v(t.$$.fragment,e),s=h(e),d=n(e,"H1",{});var a=c(d);M=o(a,B),a.forEach(i),j=h(e),I=n(e,"FORM",{action:!0,role:!0});var r=c(I);q=n(r,"INPUT",{type:!0,name:!0,"aria-label":!0,placeholder:!0,class:!0}),r.forEach(i),P=h(e),C&&C.l(e),z=$(),this.h()},h(){f(q,"type","search"),f(q,"name","q"),f(q,"aria-label",A=e[2]("search_label")),f(q,"placeholder",T=e[2]("search_label")),f(q,"class","svelte-8ek5ln"),f(I,"action",w=e[1]+"/search"),f(I,"role","search")},m(a,r){_(t,a,r),u(a,s,r),u(a,d,r),p(d,M),u(a,j,r),u(a,I,r),p(I,q),y(q,e[0]),u(a,P,r),C&&C.m(a,r),u(a,z,r),F=!0,N||(S=[x(q,"input",e[8]),x(q,"input",e[6]),x(I,"submit",E(e[6]))],N=!0)},p(e,[s]){const a={};4&s&&(a.title=e[2]("search_title")),4&s&&(a.description=e[2]("search_description")),t.$set(a),(!F||4&s)&&B!==(B=e[2]("search_title")+"")&&g(M,B),(!F||4&s&&A!==(A=e[2]("search_label")))&&f(q,"aria-label",A),(!F||4&s&&T!==(T=e[2]("search_label")))&&f(q,"placeholder",T),1&s&&y(q,e[0]),(!F||2&s&&w!==(w=e[1]+"/search"))&&f(I,"action",w),e[0]?C?C.p(e,s):(C=R(e),C.c(),C.m(z.parentNode,z)):C&&(C.d(1),C=null)},i(e){F||(k(t.$$.fragment,e),F=!0)},o(e){b(t.$$.fragment,e),F=!1},d(e){L(t,e),e&&i(s),e&&i(d),e&&i(j),e&&i(I),e&&i(P),C&&C.d(e),e&&i(z),N=!1,H(S)}}}function C({params:e,query:t}){return this.fetch(e.lang+"/search.json").then(e=>e.json()).then(e=>({index:e}))}function D(e,t,s){let a,r,{index:l}=t;const{page:n}=M();j(e,n,e=>s(10,r=e));const c=I();j(e,c,e=>s(9,a=e));let o,i,h,f="";return e.$set=e=>{"index"in e&&s(7,l=e.index)},e.$$.update=()=>{512&e.$$.dirty&&s(1,({lang:o,t:i}=a),o,(s(2,i),s(9,a))),1024&e.$$.dirty&&s(0,f=r.query.q||""),129&e.$$.dirty&&s(3,h=function({documents:e,terms:t},s){const a=w(s);if(!a.length)return[];const r=Object.keys(t);let l=null;return a.forEach(e=>{const s=new Map;r.forEach(a=>{if(!a.startsWith(e))return;const r=a===e?2:1;t[a].forEach(([e,t,a])=>{const l=r*(10*t+a);s.set(e,(s.get(e)||0)+l)})}),null===l?l=s:Array.from(l.keys()).forEach(e=>{s.has(e)?l.set(e,l.get(e)+s.get(e)):l.delete(e)})}),Array.from(l).sort((e,t)=>t[1]-e[1]).map(([t,s])=>Object.assign({score:s},e[t]))}(l,f))},[f,o,i,h,n,c,function(){const e=f?`${o}/search?q=${encodeURIComponent(f)}`:o+"/search";history.replaceState(history.state,"",e)},l,function(){f=this.value,s(0,f),s(10,r)}]}export default class extends e{constructor(e){super(),t(this,e,D,B,s,{index:7})}}export{C as preload};
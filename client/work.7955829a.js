@@ -1 +0,0 @@
-import{S as s,i as t,s as a}from"./client.c445aa20.js";export default class extends s{constructor(s){super(),t(this,s,null,null,a,{})}}
@@ -1 +1 @@
-!function(){"use strict";const e=["client/about.a5d218b7.js","client/index.ea6fd0e3.js","client/[slug].3a88b78d.js","client/work.7955829a.js","client/index.9420b1c1.js","client/client.c445aa20.js"].concat(["service-worker-index.html",".DS_Store","favicon.png","global.css","images/.DS_Store","images/feijao-01-1050.jpg","images/feijao-01-1050_x2.jpg","images/feijao-01-1440.jpg","images/feijao-01-1440_x2.jpg","images/feijao-01-180.jpg","images/feijao-01-180_x2.jpg","images/feijao-01-2000.jpg","images/feijao-01-2000_x2.jpg","images/feijao-01-300.jpg","images/feijao-01-300_x2.jpg","images/feijao-01-460.jpg","images/feijao-01-460_x2.jpg","images/feijao-01-720.jpg","images/feijao-01-720_x2.jpg","images/feijao-02-1050.jpg","images/feijao-02-1050_x2.jpg","images/feijao-02-1440.jpg","images/feijao-02-1440_x2.jpg","images/feijao-02-180.jpg","images/feijao-02-180_x2.jpg","images/feijao-02-2000.jpg","images/feijao-02-2000_x2.jpg","images/feijao-02-300.jpg","images/feijao-02-300_x2.jpg","images/feijao-02-460.jpg","images/feijao-02-460_x2.jpg","images/feijao-02-720.jpg","images/feijao-02-720_x2.jpg","logo-192.png","logo-512.png","manifest.json","successkid.jpg"]),a=new Set(e);self.addEventListener("install",a=>{a.waitUntil(caches.open("cache1594256266017").then(a=>a.addAll(e)).then(()=>{self.skipWaiting()}))}),self.addEventListener("activate",e=>{e.waitUntil(caches.keys().then(async e=>{for(const a of e)"cache1594256266017"!==a&&await caches.delete(a);self.clients.claim()}))}),self.addEventListener("fetch",e=>{if("GET"!==e.request.method||e.request.headers.has("range"))return;const i=new URL(e.request.url);i.protocol.startsWith("http")&&(i.hostname===self.location.hostname&&i.port!==self.location.port||(i.host===self.location.host&&a.has(i.pathname)?e.respondWith(caches.match(e.request)):"only-if-cached"!==e.request.cache&&e.respondWith(caches.open("offline1594256266017").then(async a=>{try{const i=await fetch(e.request);return a.put(e.request,i.clone()),i}catch(i){const s=await a.match(e.request);if(s)return s;throw i}}))))})}();
+!function(){"use strict";const e="precache1792428963888",t={assets:{name:"assets1792428963888",max_entries:120,max_age:2592e6},data:{name:"data1792428963888",max_entries:60,max_age:6048e5},pages:{name:"pages1792428963888",max_entries:40,max_age:864e5}},a=["client/client.46811942.js","client/index.8f24d290.js","client/Head.e502e17e.js","client/search.627cb281.js","client/Moved.65e0fa97.js","client/about.3f2450eb.js","client/index.4aaf7cd6.js","client/[tag].e1ef5429.js","client/[slug].6c0f18fc.js","client/index.830f7f9b.js","client/[slug].3a43d09c.js","client/_layout.651b4ffb.js","client/index.b02f1080.js","client/Gallery.efaf926b.js","client/Picture.c42287bf.js","client/search.f5ef75a0.js","client/about.59e1dcd8.js","client/index.138eac3e.js","client/PostList.66118191.js","client/PostMeta.b7503def.js","client/[tag].36fda1c6.js","client/[slug].77376ba0.js","client/index.e64cf02e.js","client/[slug].d921a1c7.js"].concat(["service-worker-index.html",".DS_Store","favicon.png","global.css","images/.DS_Store","images/feijao-01-1050.jpg","images/feijao-01-1050_x2.jpg","images/feijao-01-1440.jpg","images/feijao-01-1440_x2.jpg","images/feijao-01-180.jpg","images/feijao-01-180_x2.jpg","images/feijao-01-2000.jpg","images/feijao-01-2000_x2.jpg","images/feijao-01-300.jpg","images/feijao-01-300_x2.jpg","images/feijao-01-460.jpg","images/feijao-01-460_x2.jpg","images/feijao-01-720.jpg","images/feijao-01-720_x2.jpg","images/feijao-02-1050.jpg","images/feijao-02-1050_x2.jpg","images/feijao-02-1440.jpg","images/feijao-02-1440_x2.jpg","images/feijao-02-180.jpg","images/feijao-02-180_x2.jpg","images/feijao-02-2000.jpg","images/feijao-02-2000_x2.jpg","images/feijao-02-300.jpg","images/feijao-02-300_x2.jpg","images/feijao-02-460.jpg","images/feijao-02-460_x2.jpg","images/feijao-02-720.jpg","images/feijao-02-720_x2.jpg","logo-192.png","logo-512.png","manifest.json","offline.html","robots.txt","successkid.jpg"].filter(e=>!/(^|\/)\./.test(e)&&!e.startsWith("images/")),...["en","pt"].map(e=>[e+"/search/",e+"/search.json"])),s=new Set(a);async function i(t,a){const s=await caches.open(a.name),i=await s.match(t);return i&&function(e,{max_age:t}){const a=e.headers.get("sw-cached-at");return!a||Date.now()-Number(a)<t}(i,a)?i:caches.match(t,{cacheName:e})}async function n(e,t,a){if(!t.ok)return;const s=new Headers(t.headers);s.set("sw-cached-at",String(Date.now()));const i=await t.blob(),n=await caches.open(a.name);await n.put(e,new Response(i,{status:t.status,statusText:t.statusText,headers:s}));const c=await n.keys();for(let e=0;e<c.length-a.max_entries;e+=1)await n.delete(c[e])}async function c(e,t){const a=await i(e.request,t);if(a)return a;const s=await fetch(e.request);return e.waitUntil(n(e.request,s.clone(),t)),s}async function o(e,t){try{const a=await fetch(e.request);return e.waitUntil(n(e.request,a.clone(),t)),a}catch(t){const a=new URL(e.request.url);a.pathname.endsWith("/")||(a.pathname+="/");const s=await caches.match(e.request,{ignoreSearch:!0})||await caches.match(a.href,{ignoreSearch:!0});if(s)return s;if("navigate"===e.request.mode){const e=await caches.match("offline.html");if(e)return e}throw t}}self.addEventListener("install",t=>{t.waitUntil(caches.open(e).then(e=>e.addAll(a)))}),self.addEventListener("activate",a=>{const s=new Set([e,...Object.keys(t).map(e=>t[e].name)]);a.waitUntil(caches.keys().then(async e=>{for(const t of e)s.has(t)||await caches.delete(t);self.clients.claim()}))}),self.addEventListener("message",e=>{e.data&&"SKIP_WAITING"===e.data.type&&self.skipWaiting()}),self.addEventListener("fetch",e=>{if("GET"!==e.request.method||e.request.headers.has("range"))return;const a=new URL(e.request.url);if(!a.protocol.startsWith("http"))return;if(a.hostname===self.location.hostname&&a.port!==self.location.port)return;if(a.host!==self.location.host)return;if("only-if-cached"===e.request.cache&&"same-origin"!==e.request.mode)return;const r=a.pathname.slice(1);r.startsWith("client/")||r.startsWith("images/")?e.respondWith(c(e,t.assets)):r.endsWith(".json")?e.respondWith(async function(e,t){const a=await i(e.request,t),s=fetch(e.request).then(a=>(e.waitUntil(n(e.request,a.clone(),t)),a));return a?(e.waitUntil(s.catch(()=>{})),a):s}(e,t.data)):"navigate"===e.request.mode||(e.request.headers.get("accept")||"").includes("text/html")?e.respondWith(o(e,t.pages)):s.has(r)?e.respondWith(c(e,t.assets)):e.respondWith(o(e,t.pages))})}();